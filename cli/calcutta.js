@@ -0,0 +1,300 @@
+// calcutta.js - Bid sheet and matchup evaluator from the command line
+//
+// Usage:
+//   node cli/calcutta.js sheet [--pot 20000] [--format table|csv|json]
+//   node cli/calcutta.js evaluate <matchup> <highBarthag> <lowBarthag> [--pot 2000]
+//   node cli/calcutta.js fit [--from 2015] [--to 2023] [--rounds R64,R32] [--format table|json]
+//
+// Options (sheet and evaluate):
+//   --data <file>          data.json to price against (default docs/data.json)
+//   --payouts <file>       JSON { rounds, rake }, or a tracker export with payouts
+//   --rake-percent <n>     House rake as a percent of the gross pot
+//   --rake-flat <n>        House rake in dollars
+//   --model <file>         Win model JSON from `fit --format json` (or R's
+//                          fitted_model_coefficients.json) instead of data.json's
+//   --weights <list>       Rating source blend, e.g. barthag=1,wab=0.5
+//                          (sources: barthag, efficiency, wab, kenpom, vegas)
+//
+// `fit` refits the win-probability model from --games (default
+// data/processed/tournament_games_with_barthag.csv) and reports Brier
+// score, log loss, accuracy and calibration on the games it used.
+//
+// Uses the same engine as the tracker (docs/engine.js), so the sheet
+// matches the in-app targets for the same data, pot and payouts.
+// Without --pot, the sheet is priced on the pot model's projection.
+
+const fs = require('fs');
+const path = require('path');
+const Engine = require('../docs/engine.js');
+
+const DEFAULT_DATA = path.join(__dirname, '..', 'docs', 'data.json');
+const DEFAULT_GAMES = path.join(__dirname, '..', 'data', 'processed', 'tournament_games_with_barthag.csv');
+const FORMATS = ['table', 'csv', 'json'];
+const RULE = '═══════════════════════════════════════════════════════';
+
+// ============================================================
+// ARGUMENTS
+// ============================================================
+
+function parseArgs(argv) {
+    const args = { positional: [], options: {} };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            args.options[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        } else {
+            args.positional.push(argv[i]);
+        }
+    }
+    return args;
+}
+
+function readJson(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        throw new Error(`Cannot read ${file}: ${e.message}`);
+    }
+}
+
+function parseNumber(value, name) {
+    const n = Number(value);
+    if (value === undefined || !Number.isFinite(n) || n < 0) {
+        throw new Error(`--${name} needs a non-negative number`);
+    }
+    return n;
+}
+
+// Payouts from --payouts, then data.json, with rake flags on top
+function getPayouts(config, options) {
+    let payouts = config.payouts || Engine.DEFAULT_PAYOUTS;
+    if (options.payouts) {
+        const json = readJson(options.payouts);
+        payouts = json.state?.payouts || json.payouts || json;
+        if (!payouts.rounds) throw new Error(`${options.payouts} has no payout rounds`);
+    }
+
+    const rake = { ...(payouts.rake || {}) };
+    if ('rake-percent' in options) rake.percent = parseNumber(options['rake-percent'], 'rake-percent');
+    if ('rake-flat' in options) rake.flat = parseNumber(options['rake-flat'], 'rake-flat');
+    return { ...payouts, rake };
+}
+
+// Intercept and coefficient from a model file; R's write_json wraps
+// every value in an array
+function readModel(file) {
+    const json = readJson(file);
+    const value = v => Number(Array.isArray(v) ? v[0] : v);
+    const model = { intercept: value(json.intercept), coefficient: value(json.coefficient) };
+    if (!Number.isFinite(model.intercept) || !Number.isFinite(model.coefficient)) {
+        throw new Error(`${file} has no intercept and coefficient`);
+    }
+    return model;
+}
+
+// "barthag=1,wab=0.5" -> { barthag: 1, wab: 0.5 }
+function parseWeights(value) {
+    const ids = Engine.RATING_SOURCES.map(s => s.id);
+    const weights = {};
+    String(value || '').split(',').forEach(pair => {
+        const [id, weight] = pair.split('=').map(x => x.trim());
+        if (!ids.includes(id)) {
+            throw new Error(`--weights: unknown source "${id}" (use ${ids.join(', ')})`);
+        }
+        weights[id] = parseNumber(weight, 'weights');
+    });
+    if (!Object.values(weights).some(w => w > 0)) throw new Error('--weights needs a positive weight');
+    return weights;
+}
+
+function loadEnv(options) {
+    const config = readJson(options.data || DEFAULT_DATA);
+    const overrides = { payouts: getPayouts(config, options) };
+    if (options.model) overrides.model = readModel(options.model);
+    if ('weights' in options) overrides.ratingWeights = parseWeights(options.weights);
+    return Engine.createEnv(config, overrides);
+}
+
+// ============================================================
+// COMMANDS
+// ============================================================
+
+function formatDollars(value) {
+    return '$' + Math.round(value).toLocaleString('en-US');
+}
+
+function formatTable(rows, pot) {
+    const lines = [
+        '',
+        RULE,
+        `  CALCUTTA BID SHEET (${formatDollars(pot)} pot)`,
+        RULE,
+        ''
+    ];
+    const row = (cells) => '  ' + cells.map((c, i) => i < 2 ? String(c).padEnd(i ? 30 : 8) : String(c).padStart(10)).join(' ');
+
+    lines.push(row(['Region', 'Matchup', 'Base EV', 'EV', 'Target', 'Max']));
+    lines.push('  ' + '-'.repeat(84));
+    rows.forEach(r => {
+        lines.push(row([
+            r.region,
+            `${r.matchup} ${r.high} / ${r.low}`.slice(0, 30),
+            `${r.baseEV.toFixed(2)}%`,
+            `${r.ev.toFixed(2)}%`,
+            formatDollars(r.target),
+            formatDollars(r.max)
+        ]));
+    });
+    lines.push('');
+    return lines.join('\n');
+}
+
+function csvField(value) {
+    const s = String(value);
+    return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function formatCsv(rows) {
+    const header = ['region', 'matchup', 'high_team', 'low_team', 'base_ev_pct', 'ev_pct', 'target_bid', 'max_bid'];
+    const lines = rows.map(r => [
+        r.region, r.matchup, r.high, r.low,
+        r.baseEV.toFixed(4), r.ev.toFixed(4), Math.round(r.target), Math.round(r.max)
+    ].map(csvField).join(','));
+    return [header.join(','), ...lines].join('\n') + '\n';
+}
+
+function runSheet(args) {
+    const env = loadEnv(args.options);
+    const format = args.options.format || 'table';
+    if (!FORMATS.includes(format)) {
+        throw new Error(`--format must be one of ${FORMATS.join(', ')}`);
+    }
+
+    let pot;
+    if ('pot' in args.options) {
+        pot = parseNumber(args.options.pot, 'pot');
+    } else {
+        const model = Engine.fitPotModel(env.config, env.config.pastAuctions || []);
+        pot = Engine.projectPot(env.config, model, []).mid;
+    }
+
+    const rows = Engine.buildBidSheet(env, pot);
+    if (format === 'json') {
+        return JSON.stringify({ pot, netPot: Engine.getNetPot(env, pot), items: rows }, null, 2) + '\n';
+    }
+    return format === 'csv' ? formatCsv(rows) : formatTable(rows, pot) + '\n';
+}
+
+function describeStrength(z) {
+    if (z > 0.5) return '(STRONG for seed) ↑';
+    if (z < -0.5) return '(WEAK for seed) ↓';
+    return '(average for seed)';
+}
+
+function runEvaluate(args) {
+    const [matchup, high, low] = args.positional;
+    if (!matchup || high === undefined || low === undefined) {
+        throw new Error('Usage: evaluate <matchup> <highBarthag> <lowBarthag> [--pot 1000]');
+    }
+
+    const env = loadEnv(args.options);
+    const pot = 'pot' in args.options ? parseNumber(args.options.pot, 'pot') : 1000;
+    const [highBarthag, lowBarthag] = [high, low].map(v => {
+        const n = Number(v);
+        if (!(n > 0 && n < 1)) throw new Error(`Barthag must be between 0 and 1, got ${v}`);
+        return n;
+    });
+
+    const r = Engine.evaluateMatchup(env, { matchup, highBarthag, lowBarthag, grossPot: pot });
+    if (args.options.format === 'json') return JSON.stringify(r, null, 2) + '\n';
+
+    const adj = Math.round((r.adjustment - 1) * 100);
+    return [
+        '',
+        RULE,
+        `  MATCHUP EVALUATION: ${r.matchup}`,
+        RULE,
+        '',
+        `  ${r.highSeed}-seed: Barthag ${r.highBarthag.toFixed(3)} ${describeStrength(r.highZ)}`,
+        `  ${r.lowSeed}-seed: Barthag ${r.lowBarthag.toFixed(3)} ${describeStrength(r.lowZ)}`,
+        '',
+        `  Base EV:      ${r.baseEV.toFixed(2)}% (${formatDollars(r.baseDollars)})`,
+        `  Adjusted EV:  ${r.adjustedEV.toFixed(2)}% (${formatDollars(r.evDollars)})`,
+        `  Adjustment:   ${adj >= 0 ? '+' : ''}${adj}%`,
+        '',
+        '  ─────────────────────────────────────────────────────',
+        `  TARGET BID:   ${formatDollars(r.targetLow)} - ${formatDollars(r.targetHigh)}`,
+        `  MAX BID:      ${formatDollars(r.max)} (break-even)`,
+        '  ─────────────────────────────────────────────────────',
+        '',
+        ''
+    ].join('\n');
+}
+
+function formatMetrics(label, m) {
+    return `  ${label.padEnd(14)} ${m.brierScore.toFixed(4).padStart(8)} ${m.logLoss.toFixed(4).padStart(9)} ${(m.accuracy * 100).toFixed(1).padStart(8)}%`;
+}
+
+function runFit(args) {
+    const { options } = args;
+    const file = options.games || DEFAULT_GAMES;
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (e) {
+        throw new Error(`Cannot read ${file}: ${e.message}`);
+    }
+
+    const filter = {};
+    if ('from' in options) filter.fromYear = parseNumber(options.from, 'from');
+    if ('to' in options) filter.toYear = parseNumber(options.to, 'to');
+    if (options.rounds) filter.rounds = options.rounds.split(',').map(r => r.trim().toUpperCase());
+
+    const r = Engine.refitWinModel(Engine.parseGames(text), filter);
+    if (options.format === 'json') {
+        const { calibration, ...model } = r;
+        return JSON.stringify({ ...model, calibration, fittedAt: new Date().toISOString() }, null, 2) + '\n';
+    }
+
+    return [
+        '',
+        RULE,
+        `  WIN MODEL REFIT: ${r.years}, ${r.rounds.join('/')} (${r.nGames} games)`,
+        RULE,
+        '',
+        `  Intercept:    ${r.intercept.toFixed(4)} (theoretical: 0)`,
+        `  Coefficient:  ${r.coefficient.toFixed(4)} (theoretical: 1)`,
+        '',
+        `  ${''.padEnd(14)} ${'Brier'.padStart(8)} ${'Log loss'.padStart(9)} ${'Accuracy'.padStart(9)}`,
+        formatMetrics('Fitted', r.metrics.fitted),
+        formatMetrics('Theoretical', r.metrics.theoretical),
+        '',
+        '  Calibration (predicted vs actual win rate of team A):',
+        ...r.calibration.map(b =>
+            `    ${(b.from * 100).toFixed(0).padStart(3)}-${(b.to * 100).toFixed(0).padEnd(3)}%  ${String(b.n).padStart(4)} games  ` +
+            `${(b.predicted * 100).toFixed(1).padStart(5)}% vs ${(b.actual * 100).toFixed(1).padStart(5)}%`),
+        '',
+        ''
+    ].join('\n');
+}
+
+function main(argv) {
+    const commands = { sheet: runSheet, evaluate: runEvaluate, fit: runFit };
+    const [command, ...rest] = argv[0] && !argv[0].startsWith('--') ? argv : ['sheet', ...argv];
+
+    if (!commands[command]) {
+        throw new Error(`Unknown command "${command}" (use sheet, evaluate or fit)`);
+    }
+    return commands[command](parseArgs(rest));
+}
+
+if (require.main === module) {
+    try {
+        process.stdout.write(main(process.argv.slice(2)));
+    } catch (e) {
+        console.error(e.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { main };
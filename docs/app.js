@@ -4,28 +4,70 @@ let CONFIG = null;
 
 const state = {
     prices: {},      // { "East_8_9": 150, ... }
-    mine: {},        // { "East_8_9": true, ... }
+    owners: {},      // Buyer per item: { "East_8_9": "me", ... }
+    shares: {},      // Split items, percent per partner: { "South_2_15": { me: 40, p1: 60 } }
+    participants: [{ id: 'me', name: 'Me' }],
+    payouts: null,   // Pool's payout/rake overrides; null uses data.json
+    onBlock: null,   // Key of the item currently being auctioned
+    playInWinners: {}, // { "South_11": "North Carolina", ... }
+    results: {},     // Games won per seed line: { "East_1": 4, ... }
+    mode: 'auction', // 'auction' or 'results'
+    year: null,      // Season whose field the auction runs on; null is data.json's
+    log: [],         // Append-only price/buyer changes, see EVENT LOG
+    winModel: null,  // Refit win model in use; null uses data.json's fittedModel
+    ratingWeights: null, // Weight per rating source; null prices on Barthag alone
+    teamRatings: {}, // Ratings entered for the pool: { kenpom: { "Duke": 38.2 }, vegas: {...} }
+    ratingOverrides: {}, // What-if changes per team: { "Duke": { points: -3 } } or { barthag: 0.95 }
     budget: 2000,
+    risk: 'balanced', // Purchase planner risk preference, see Engine.RISK_PROFILES
     activeRegion: 'East'
 };
 
 const STORAGE_KEY = 'ncaa_auction_tracker_v2';
+const SEASONS_KEY = 'ncaa_auction_seasons';
+
+// Pure pricing helpers shared with the CLI (see engine.js)
+const { DEFAULT_PAYOUTS, BRACKET_ORDER, ROUNDS, mean, parseItemKey, parseCsv } = Engine;
 
 // Initialize
 async function init() {
     try {
-        const response = await fetch('data.json');
-        CONFIG = await response.json();
+        const loaded = await fetchConfig();
+        CONFIG = loaded.config;
+        dataStatus = { ...dataStatus, source: loaded.source, fetchedAt: loaded.fetchedAt };
     } catch (e) {
         console.error('Failed to load config:', e);
         CONFIG = getDefaultConfig();
+        dataStatus.source = 'fallback';
     }
 
+    loadSeasons();
     loadState();
+    loadAddedAuctions();
+    potModel = fitPotModel(getPastAuctions());
+    refreshBracketProbs();
     buildRegionPanels();
     buildTargetsList();
+    buildPayoutEditor();
+    buildPotModelPanel();
+    buildMarketPanel();
+    buildWinModelPanel();
+    buildRatingsPanel();
+    buildWhatIfPanel();
+    buildHistoryPanel();
+    buildParticipantsEditor();
+    buildSeasonPicker();
     setupEventListeners();
+    applyMode();
     updateAll();
+
+    // Rejoin a shared session this device was in
+    loadSession();
+    buildSessionPanel();
+    if (session) connectSession();
+
+    renderDataBanner();
+    registerServiceWorker();
 }
 
 function getDefaultConfig() {
@@ -49,12 +91,164 @@ function getDefaultConfig() {
             "8_9": 1.0, "7_10": 1.15, "6_11": 1.35, "5_12": 1.30,
             "4_13": 1.75, "3_14": 2.10, "2_15": 3.50, "1_16": 6.50
         },
-        teams2025: null
+        payouts: DEFAULT_PAYOUTS,
+        bracketYear: null,
+        bracket2025: null
+    };
+}
+
+// ============================================================
+// OFFLINE DATA
+// sw.js caches the app and the last good data.json. A banner says
+// when the tracker is running on a saved copy or on the built-in
+// fallback (no bracket, team names or fitted model), and offers new
+// data or a new app build when one arrives. New data is applied in
+// place: prices, buyers, results and the log are untouched.
+// ============================================================
+
+// Where CONFIG came from: 'network', 'cache' (sw.js's copy, saved at
+// fetchedAt) or 'fallback' (getDefaultConfig)
+let dataStatus = { source: 'network', fetchedAt: null, dataUpdate: false, appUpdate: null };
+let dataBannerDismissed = false;
+
+async function fetchConfig() {
+    const response = await fetch('data.json', { cache: 'no-cache' });
+    if (!response.ok) throw new Error(`data.json: HTTP ${response.status}`);
+    return {
+        config: await response.json(),
+        source: response.headers.get('X-Data-Source') || 'network',
+        fetchedAt: response.headers.get('X-Fetched-At')
     };
 }
 
-// Build region panels with matchup cards
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.addEventListener('message', e => {
+        if (e.data?.type === 'data-updated') {
+            dataStatus.dataUpdate = true;
+            renderDataBanner();
+        }
+    });
+
+    // Reload into a new build once it has taken over
+    let reloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (!reloading && dataStatus.appUpdate) {
+            reloading = true;
+            window.location.reload();
+        }
+    });
+
+    navigator.serviceWorker.register('sw.js').then(registration => {
+        const offerUpdate = worker => {
+            dataStatus.appUpdate = worker;
+            renderDataBanner();
+        };
+        if (registration.waiting && navigator.serviceWorker.controller) offerUpdate(registration.waiting);
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) offerUpdate(worker);
+            });
+        });
+    }).catch(e => console.warn('Service worker registration failed:', e));
+
+    // Coming back online: pick up fresh data if we started without it
+    window.addEventListener('online', () => {
+        if (dataStatus.source !== 'network') reloadConfig();
+    });
+}
+
+// Fetch data.json again and apply it if it came from the network
+async function reloadConfig() {
+    try {
+        const loaded = await fetchConfig();
+        if (loaded.source === 'network' || dataStatus.source === 'fallback') {
+            applyConfig(loaded.config);
+        }
+        dataStatus = { ...dataStatus, source: loaded.source, fetchedAt: loaded.fetchedAt, dataUpdate: false };
+    } catch (e) {
+        console.warn('Data refresh failed:', e);
+    }
+    dataBannerDismissed = false;
+    renderDataBanner();
+}
+
+// Swap in a new data.json without touching the auction state
+function applyConfig(config) {
+    CONFIG = config;
+    potModel = fitPotModel(getPastAuctions());
+    buildTargetsList();
+    buildPayoutEditor();
+    buildPotModelPanel();
+    buildMarketPanel();
+    buildWinModelPanel();
+    buildRatingsPanel();
+    buildWhatIfPanel();
+    buildHistoryPanel();
+    buildSeasonPicker();
+    repriceAll();
+}
+
+function describeDataAge(iso) {
+    const date = new Date(iso);
+    if (!iso || isNaN(date)) return 'an earlier visit';
+    return date.toLocaleString(undefined, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+}
+
+// One message at a time, most important first
+function renderDataBanner() {
+    const banner = document.getElementById('data-banner');
+    let message = '';
+    let action = '';
+
+    if (dataStatus.source === 'fallback') {
+        message = 'No season data: offline with nothing saved. Team names, bracket odds and the fitted model are missing.';
+        action = 'retry';
+    } else if (dataStatus.dataUpdate) {
+        message = 'Updated season data is available.';
+        action = 'load';
+    } else if (dataStatus.appUpdate) {
+        message = 'A new version of the tracker is ready. Your auction is saved.';
+        action = 'update';
+    } else if (dataStatus.source === 'cache' && !dataBannerDismissed) {
+        message = `Offline: using season data saved ${describeDataAge(dataStatus.fetchedAt)}.`;
+        action = 'retry';
+    }
+
+    const labels = { retry: 'Retry', load: 'Load', update: 'Reload' };
+    banner.classList.toggle('fallback', dataStatus.source === 'fallback');
+    banner.classList.toggle('hidden', !message);
+    banner.innerHTML = message ? `
+        <span>${message}</span>
+        <span class="data-banner-actions">
+            <button class="btn" data-action="${action}">${labels[action]}</button>
+            ${dataStatus.source === 'cache' && action === 'retry' ? '<button class="icon-btn" data-action="dismiss" aria-label="Dismiss">&times;</button>' : ''}
+        </span>
+    ` : '';
+}
+
+function handleDataBannerClick(e) {
+    const action = e.target.closest('[data-action]')?.dataset.action;
+    if (action === 'retry' || action === 'load') {
+        reloadConfig();
+    } else if (action === 'update' && dataStatus.appUpdate) {
+        saveState();
+        dataStatus.appUpdate.postMessage({ type: 'skip-waiting' });
+    } else if (action === 'dismiss') {
+        dataBannerDismissed = true;
+        renderDataBanner();
+    }
+}
+
+// Build region panels with matchup cards (or the results bracket)
 function buildRegionPanels() {
+    if (state.mode === 'results') {
+        buildResultsPanels();
+        return;
+    }
+
     const main = document.getElementById('main');
     main.innerHTML = '';
 
@@ -70,187 +264,385 @@ function buildRegionPanels() {
 
         main.appendChild(panel);
     });
+
+    main.appendChild(createBracketPanel());
 }
 
 // ============================================================
-// BRACKET-AWARE EV CALCULATION
-// Uses fitted logistic regression model with actual opponent
-// Barthag ratings to compute win probabilities through bracket
+// SEASON FIELDS
+// data.json ships one year's bracket. Other years are built in
+// the browser from a Barttorvik export plus a seed/region CSV and
+// kept in their own storage key, so every auction can reopen
+// against the field it was run on.
 // ============================================================
 
-// Convert Barthag to log-odds
-function barthagToLogOdds(barthag) {
-    barthag = Math.max(0.0001, Math.min(0.9999, barthag));
-    return Math.log(barthag / (1 - barthag));
+// Imported fields by year: { "2026": { year, bracket, importedAt } }
+let importedSeasons = {};
+
+// Common names and nicknames that differ from Barttorvik's spelling,
+// used by the season importer and the quick-entry bar
+const TEAM_ALIASES = {
+    'uconn': 'connecticut',
+    'ole miss': 'mississippi',
+    'omaha': 'nebraska omaha',
+    'mcneese': 'mcneese st',
+    'siue': 'siu edwardsville',
+    'uncw': 'unc wilmington',
+    'pitt': 'pittsburgh',
+    'mizzou': 'missouri',
+    'unc': 'north carolina',
+    'tar heels': 'north carolina',
+    'nc st': 'n c st',
+    'north carolina st': 'n c st',
+    'ncsu': 'n c st',
+    'msu': 'michigan st',
+    'sparty': 'michigan st',
+    'zags': 'gonzaga',
+    'smc': 'st marys',
+    'sju': 'st johns',
+    'johnnies': 'st johns',
+    'sdsu': 'san diego st',
+    'texas am': 'texas a and m',
+    'tamu': 'texas a and m',
+    'ttu': 'texas tech',
+    'bama': 'alabama',
+    'zona': 'arizona',
+    'nova': 'villanova',
+    'ku': 'kansas',
+    'uk': 'kentucky',
+    'vols': 'tennessee',
+    'illini': 'illinois',
+    'terps': 'maryland',
+    'hogs': 'arkansas',
+    'cuse': 'syracuse',
+    'uva': 'virginia',
+    'wvu': 'west virginia',
+    'umass': 'massachusetts',
+    'miami': 'miami fl',
+    'fau': 'florida atlantic',
+    'fdu': 'fairleigh dickinson',
+    'loyola': 'loyola chicago'
+};
+
+function getBundledYear() {
+    return CONFIG.bracketYear || null;
 }
 
-// Calculate win probability using fitted model
-function calcWinProb(barthagA, barthagB, model) {
-    const logOddsDiff = barthagToLogOdds(barthagA) - barthagToLogOdds(barthagB);
-    const eta = model.intercept + model.coefficient * logOddsDiff;
-    return 1 / (1 + Math.exp(-eta));
+function getSeasonYear() {
+    return state.year || getBundledYear();
 }
 
-// Get Barthag for a seed in a region (from full bracket data)
-function getRegionBarthag(region, seed) {
-    const bracket = CONFIG.bracket2025?.[region];
-    if (!bracket || !bracket[seed]) return getDefaultBarthag(seed);
-    return bracket[seed].barthag;
-}
-
-// Default Barthag values by seed (historical averages)
-function getDefaultBarthag(seed) {
-    const defaults = {
-        1: 0.96, 2: 0.93, 3: 0.91, 4: 0.88,
-        5: 0.86, 6: 0.83, 7: 0.80, 8: 0.78,
-        9: 0.76, 10: 0.74, 11: 0.72, 12: 0.70,
-        13: 0.68, 14: 0.65, 15: 0.62, 16: 0.55
-    };
-    return defaults[seed] || 0.75;
+// Bracket for the auction's season; data.json's when none is imported
+function getBracket() {
+    return importedSeasons[state.year]?.bracket || CONFIG.bracket2025;
 }
 
-// R64 opponent by seed
-function getR64Opponent(seed) {
-    const opponents = {
-        1: 16, 2: 15, 3: 14, 4: 13, 5: 12, 6: 11, 7: 10, 8: 9,
-        9: 8, 10: 7, 11: 6, 12: 5, 13: 4, 14: 3, 15: 2, 16: 1
-    };
-    return opponents[seed];
+function getAvailableYears() {
+    const years = new Set(Object.keys(importedSeasons).map(Number));
+    if (getBundledYear()) years.add(getBundledYear());
+    return [...years].sort((a, b) => b - a);
 }
 
-// R32 matchup possibilities (who you could face)
-function getR32Opponents(seed) {
-    const matchups = {
-        1: [8, 9], 16: [8, 9], 8: [1, 16], 9: [1, 16],
-        4: [5, 12], 13: [5, 12], 5: [4, 13], 12: [4, 13],
-        3: [6, 11], 14: [6, 11], 6: [3, 14], 11: [3, 14],
-        2: [7, 10], 15: [7, 10], 7: [2, 15], 10: [2, 15]
-    };
-    return matchups[seed] || [];
+function loadSeasons() {
+    try {
+        importedSeasons = JSON.parse(localStorage.getItem(SEASONS_KEY)) || {};
+    } catch (e) {
+        console.warn('Season load failed:', e);
+        importedSeasons = {};
+    }
 }
 
-// S16 opponents (from opposite side of bracket quarter)
-function getS16Opponents(seed) {
-    const pairings = {
-        1: [4, 5, 12, 13], 16: [4, 5, 12, 13], 8: [4, 5, 12, 13], 9: [4, 5, 12, 13],
-        4: [1, 8, 9, 16], 13: [1, 8, 9, 16], 5: [1, 8, 9, 16], 12: [1, 8, 9, 16],
-        2: [3, 6, 11, 14], 15: [3, 6, 11, 14], 7: [3, 6, 11, 14], 10: [3, 6, 11, 14],
-        3: [2, 7, 10, 15], 14: [2, 7, 10, 15], 6: [2, 7, 10, 15], 11: [2, 7, 10, 15]
+function saveSeasons() {
+    try {
+        localStorage.setItem(SEASONS_KEY, JSON.stringify(importedSeasons));
+    } catch (e) {
+        console.warn('Season save failed:', e);
+    }
+}
+
+// Lookup key for a team name: case, punctuation and St./State/Saint folded
+function normalizeTeamName(name) {
+    const key = String(name).toLowerCase()
+        .replace(/\u00a0/g, ' ')
+        .replace(/['\u2019]/g, '')
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9 ]/g, ' ')
+        .split(/\s+/)
+        .filter(Boolean)
+        .map(w => (w === 'state' || w === 'saint') ? 'st' : w)
+        .join(' ');
+    return TEAM_ALIASES[key] || key;
+}
+
+// Barttorvik team table. Each team row is followed by a second row with
+// a blank rank whose Team cell carries the tournament note
+// ("1 seed, Finals") and whose stat cells are national ranks. The
+// header repeats every few dozen teams.
+function parseBarttorvik(text) {
+    const rows = parseCsv(text);
+    const header = (rows.shift() || []).map(h => h.trim().toLowerCase());
+    const col = name => header.indexOf(name);
+    const errors = [];
+    const teams = {};
+
+    if (col('team') < 0 || col('barthag') < 0) {
+        errors.push('Barttorvik file needs Team and Barthag columns');
+        return { teams, errors };
+    }
+
+    const num = (row, name) => {
+        const v = parseFloat(row[col(name)]);
+        return Number.isFinite(v) ? v : null;
     };
-    return pairings[seed] || [];
+    let last = null;
+
+    rows.forEach(row => {
+        const cell = (row[col('team')] || '').replace(/\u00a0/g, ' ').trim();
+        const note = cell.match(/(\d+) seed/);
+
+        // Continuation row: only the seed note matters
+        if (!(row[col('rk')] || '').trim() && col('rk') >= 0) {
+            if (last && note) last.torvikSeed = Number(note[1]);
+            return;
+        }
+
+        // Some exports fold the note into the team cell on one line
+        const team = note ? cell.slice(0, note.index).trim() : cell;
+        if (!team || team.toLowerCase() === 'team') return;  // blank or repeated header
+
+        last = {
+            team,
+            conf: row[col('conf')] || '',
+            barthag: num(row, 'barthag'),
+            adjOE: num(row, 'adjoe'),
+            adjDE: num(row, 'adjde'),
+            tempo: num(row, 'adj t.'),
+            wab: num(row, 'wab'),
+            torvikSeed: note ? Number(note[1]) : null
+        };
+        const key = normalizeTeamName(team);
+        if (teams[key]) errors.push(`Barttorvik file lists ${team} twice`);
+        teams[key] = last;
+    });
+
+    return { teams, errors };
 }
 
-// Calculate bracket-aware EV for a single team
-function calculateBracketEV(region, seed, barthag) {
-    const model = CONFIG.fittedModel || { intercept: 0, coefficient: 1 };
-    const PAYOUTS = { R32: 0.015, S16: 0.015, E8: 0.05, F4: 0.12, CHAMP: 0.20 };
+// Region,Seed,Team rows; a seed with two teams is a First Four game
+function parseBracketCsv(text) {
+    const rows = parseCsv(text);
+    const header = (rows.shift() || []).map(h => h.trim().toLowerCase());
+    const [ri, si, ti] = ['region', 'seed', 'team'].map(h => header.indexOf(h));
+    if (ri < 0 || si < 0 || ti < 0) {
+        return { entries: [], errors: ['Bracket file needs Region, Seed and Team columns'] };
+    }
+
+    const entries = rows.map((row, i) => ({
+        line: i + 2,
+        region: (row[ri] || '').trim(),
+        seed: Number(row[si]),
+        team: (row[ti] || '').trim()
+    }));
+    return { entries, errors: [] };
+}
 
-    // Helper to get opponent Barthag
-    const getOppBarthag = (oppSeed) => getRegionBarthag(region, oppSeed);
+// Join the two files into a data.json-shaped bracket. Anything that
+// would break the engine is an error; oddities are warnings.
+function buildSeasonField(torvikText, bracketText) {
+    const torvik = parseBarttorvik(torvikText);
+    const parsed = parseBracketCsv(bracketText);
+    const errors = [...torvik.errors, ...parsed.errors];
+    const warnings = [];
+    if (errors.length) return { bracket: null, errors, warnings };
 
-    // R64: Known opponent
-    const r64Opp = getR64Opponent(seed);
-    const pR64 = calcWinProb(barthag, getOppBarthag(r64Opp), model);
+    const regionNames = Object.fromEntries(CONFIG.regions.map(r => [r.toLowerCase(), r]));
+    const bracket = Object.fromEntries(CONFIG.regions.map(r => [r, {}]));
+    const seen = new Set();
 
-    // R32: Weighted by who advances
-    const r32Opps = getR32Opponents(seed);
-    if (r32Opps.length !== 2) return { probs: { R64: pR64 }, ev: 0 };
+    parsed.entries.forEach(({ line, region, seed, team }) => {
+        const name = regionNames[region.toLowerCase()];
+        if (!name) {
+            errors.push(`Line ${line}: unknown region "${region}" (expected ${CONFIG.regions.join(', ')})`);
+            return;
+        }
+        if (!Number.isInteger(seed) || seed < 1 || seed > 16) {
+            errors.push(`Line ${line}: seed must be 1-16`);
+            return;
+        }
 
-    const opp1 = r32Opps[0];
-    const opp2 = r32Opps[1];
-    const opp1R64 = getR64Opponent(opp1);
+        const key = normalizeTeamName(team);
+        if (seen.has(key)) {
+            errors.push(`Line ${line}: ${team} appears more than once`);
+            return;
+        }
+        seen.add(key);
 
-    const pOpp1Advances = calcWinProb(getOppBarthag(opp1), getOppBarthag(opp1R64), model);
-    const pBeatOpp1 = calcWinProb(barthag, getOppBarthag(opp1), model);
-    const pBeatOpp2 = calcWinProb(barthag, getOppBarthag(opp2), model);
-    const pR32 = pR64 * (pOpp1Advances * pBeatOpp1 + (1 - pOpp1Advances) * pBeatOpp2);
+        const stats = torvik.teams[key];
+        if (!stats) {
+            errors.push(`Line ${line}: ${team} not found in the Barttorvik file`);
+            return;
+        }
+        if (!(stats.barthag > 0 && stats.barthag < 1)) {
+            errors.push(`Line ${line}: ${team} has Barthag ${stats.barthag}, expected between 0 and 1`);
+            return;
+        }
+        if (stats.torvikSeed && stats.torvikSeed !== seed) {
+            warnings.push(`${team} is a ${stats.torvikSeed} seed in Barttorvik but ${seed} in the bracket file`);
+        }
 
-    // S16: Weight by approximate advancement probabilities
-    const s16Opps = getS16Opponents(seed);
-    let s16WeightSum = 0;
-    let s16WinSum = 0;
+        const { torvikSeed, ...entry } = stats;
+        (bracket[name][seed] = bracket[name][seed] || []).push(entry);
+    });
 
-    s16Opps.forEach(oppSeed => {
-        // Approximate weight: higher seeds more likely to advance
-        const weight = Math.pow(0.9, oppSeed - 1);
-        s16WeightSum += weight;
-        s16WinSum += weight * calcWinProb(barthag, getOppBarthag(oppSeed), model);
+    let playIns = 0;
+    CONFIG.regions.forEach(region => {
+        for (let seed = 1; seed <= 16; seed++) {
+            const teams = bracket[region][seed];
+            if (!teams) {
+                errors.push(`${region} has no ${seed} seed`);
+            } else if (teams.length > 2) {
+                errors.push(`${region} ${seed} seed has ${teams.length} teams (two at most for a play-in)`);
+            } else if (teams.length === 2) {
+                playIns++;
+                bracket[region][seed] = { team: teams.map(t => t.team).join(' / '), playIn: teams };
+            } else {
+                bracket[region][seed] = teams[0];
+            }
+        }
     });
 
-    const pS16 = pR32 * (s16WinSum / s16WeightSum);
+    if (!errors.length && playIns !== 4) {
+        warnings.push(`${playIns} First Four games found (usually 4)`);
+    }
+
+    return { bracket: errors.length ? null : bracket, errors, warnings };
+}
+
+// ============================================================
+// PRICING ENGINE
+// Win probabilities, bracket propagation, payouts and the pot
+// model live in engine.js (shared with the CLI and tests). These
+// wrappers bind it to the live pool: the season's bracket, payout
+// overrides, play-in winners and results.
+// ============================================================
 
-    // E8: Similar approach with other half of region
-    const e8Opps = seed <= 8 ? [2, 3, 6, 7, 10, 11, 14, 15] : [1, 4, 5, 8, 9, 12, 13, 16];
-    let e8WeightSum = 0;
-    let e8WinSum = 0;
+// Cached { region: { seed: { R64, R32, S16, E8, F4, CHAMP } } }, blended
+// across play-in candidates
+let bracketProbs = null;
 
-    e8Opps.forEach(oppSeed => {
-        const weight = Math.pow(0.85, oppSeed - 1);
-        e8WeightSum += weight;
-        e8WinSum += weight * calcWinProb(barthag, getOppBarthag(oppSeed), model);
+// Cached { region: { seed: [{ team, barthag, pPlayIn, probs }] } }
+let bracketTeams = null;
+
+function getEngineEnv() {
+    return Engine.createEnv(CONFIG, {
+        model: getWinModel(),
+        bracket: getBracket(),
+        payouts: getPayoutStructure(),
+        playInWinners: state.playInWinners,
+        results: state.results,
+        ratingWeights: getRatingWeights(),
+        teamRatings: state.teamRatings,
+        ratingOverrides: state.ratingOverrides
     });
+}
 
-    const pE8 = pS16 * (e8WinSum / e8WeightSum);
+function getRegionBarthag(region, seed) {
+    return Engine.getRegionBarthag(getEngineEnv(), region, seed);
+}
 
-    // F4 and Championship: Use average strong opponent Barthag
-    const avgF4Opponent = 0.94;
-    const pF4 = pE8 * calcWinProb(barthag, avgF4Opponent, model);
-    const pChamp = pF4 * calcWinProb(barthag, avgF4Opponent, model);
+function getTeamName(region, seed) {
+    return Engine.getTeamName(getEngineEnv(), region, seed);
+}
 
-    // Calculate EV
-    const ev = pR64 * PAYOUTS.R32 +    // Reach S16
-               pR32 * PAYOUTS.S16 +    // Reach E8
-               pS16 * PAYOUTS.E8 +     // Reach F4
-               pE8 * PAYOUTS.F4 +      // Reach Final
-               pF4 * PAYOUTS.CHAMP;    // Win Championship
+function getPlayInWinner(region, seed) {
+    return Engine.getPlayInWinner(getEngineEnv(), region, seed);
+}
 
-    return {
-        probs: { R64: pR64, R32: pR32, S16: pS16, E8: pE8, F4: pF4, CHAMP: pChamp },
-        ev: ev * 100  // Convert to percentage
-    };
+function getSlotEntrants(region, seed) {
+    return Engine.getSlotEntrants(getEngineEnv(), region, seed);
 }
 
-// Get pre-calculated adjusted EV for a matchup
-// Uses bracket-aware EVs computed by R model (see output/2025_team_adjusted_evs.csv)
-function calculateAdjustedEV(region, matchup) {
-    const bracket = CONFIG.bracket2025?.[region];
-    const baseEV = CONFIG.expectedValues[matchup.id];
+function getFinalFourPairs() {
+    return Engine.getFinalFourPairs(CONFIG);
+}
 
-    if (!bracket) return baseEV;
+// Recompute round probabilities for every team in the bracket
+function refreshBracketProbs() {
+    ({ probs: bracketProbs, teams: bracketTeams } = Engine.computeBracket(getEngineEnv()));
+    tournamentSims = null;
+    sourceEVs = null;
+    whatIfBaseline = null;
+    marketModel = undefined;
+    return bracketProbs;
+}
 
-    // Get the high seed's pre-calculated adjEV (e.g., for 1/16 matchup, use 1-seed's EV)
-    const highSeed = bracket[matchup.highSeed];
+function getBracketResult() {
+    if (!bracketProbs) refreshBracketProbs();
+    return { probs: bracketProbs, teams: bracketTeams };
+}
 
-    if (highSeed?.adjEV !== undefined) {
-        return highSeed.adjEV;
-    }
+// Calculate bracket-aware EV for a single team
+function calculateBracketEV(region, seed) {
+    return Engine.calculateBracketEV(getEngineEnv(), getBracketResult(), region, seed);
+}
 
-    // Fallback to base EV if no pre-calculated value
-    return baseEV;
+// Combined team-specific EV of an item (both seed lines), in percent
+function getItemEV(key) {
+    return Engine.getItemEV(getEngineEnv(), getBracketResult(), key);
 }
 
 // Get both seeds' EVs for display
 function getMatchupEVs(region, matchup) {
-    const bracket = CONFIG.bracket2025?.[region];
-    const baseEV = CONFIG.expectedValues[matchup.id];
+    return Engine.getMatchupEVs(getEngineEnv(), getBracketResult(), region, matchup);
+}
 
-    if (!bracket) {
-        return { high: baseEV, low: 0, total: baseEV };
-    }
+// ============================================================
+// PAYOUT STRUCTURE
+// Per-round payouts and house rake; every EV, target and ROI
+// in the app is priced through these
+// ============================================================
 
-    const highSeed = bracket[matchup.highSeed];
-    const lowSeed = bracket[matchup.lowSeed];
+const PAYOUT_ROUND_LABELS = {
+    R64: 'Round of 32', R32: 'Sweet 16', S16: 'Elite 8',
+    E8: 'Final Four', F4: 'Title Game', CHAMP: 'Champion'
+};
 
-    const highEV = highSeed?.adjEV ?? baseEV;
-    const lowEV = lowSeed?.adjEV ?? 0;
+// Active payout structure: session override, then data.json, then default
+function getPayoutStructure() {
+    return state.payouts || CONFIG.payouts || DEFAULT_PAYOUTS;
+}
 
-    return {
-        high: highEV,
-        low: lowEV,
-        total: highEV + lowEV,
-        highNaive: highSeed?.naiveEV ?? baseEV,
-        lowNaive: lowSeed?.naiveEV ?? 0
-    };
+function getPayoutFractions() {
+    return Engine.getPayoutFractions(getEngineEnv());
+}
+
+function getPayoutTotal() {
+    return Engine.getPayoutTotal(getEngineEnv());
+}
+
+function getNetPot(grossPot) {
+    return Engine.getNetPot(getEngineEnv(), grossPot);
+}
+
+function payoutForProbs(probs) {
+    return Engine.payoutForProbs(getEngineEnv(), probs);
+}
+
+function getSeedEV(seed) {
+    return Engine.getSeedEV(getEngineEnv(), seed);
+}
+
+function getBaseEV(matchupId) {
+    return Engine.getBaseEV(getEngineEnv(), matchupId);
+}
+
+function evToDollars(evPct, grossPot) {
+    return Engine.evToDollars(getEngineEnv(), evPct, grossPot);
+}
+
+// Target and max bid for an item's EV against a projected gross pot
+function getBidTargets(evPct, grossPot) {
+    return Engine.getBidTargets(getEngineEnv(), evPct, grossPot);
 }
 
 // Create a matchup card
@@ -258,274 +650,4130 @@ function createMatchupCard(region, matchup) {
     const card = document.createElement('div');
     card.className = 'matchup-card';
 
-    // Get team info from bracket2025
-    const bracket = CONFIG.bracket2025?.[region];
-    const highTeam = bracket?.[matchup.highSeed] || { team: `${matchup.highSeed}-seed` };
-    const lowTeam = bracket?.[matchup.lowSeed] || { team: `${matchup.lowSeed}-seed` };
+    const highName = getTeamName(region, matchup.highSeed);
+    const lowName = getTeamName(region, matchup.lowSeed);
 
     const evs = getMatchupEVs(region, matchup);
-    const naiveEV = CONFIG.expectedValues[matchup.id];
+    const naiveEV = getBaseEV(matchup.id);
     const key = `${region}_${matchup.id}`;
 
     // Format adjusted EV with color based on difference from naive
-    const adjDiff = evs.high - naiveEV;
+    const adjDiff = evs.total - naiveEV;
     const adjClass = adjDiff > 0.5 ? 'adj-up' : (adjDiff < -0.5 ? 'adj-down' : '');
 
     // Format the EV difference indicator
     const diffStr = adjDiff > 0 ? `+${adjDiff.toFixed(1)}` : adjDiff.toFixed(1);
     const diffDisplay = Math.abs(adjDiff) >= 0.1 ? `<span class="ev-diff ${adjClass}">(${diffStr})</span>` : '';
 
+    const onBlock = state.onBlock === key;
+    card.classList.toggle('on-block', onBlock);
+
+    const whatIf = getWhatIfDelta(region, matchup.highSeed) + getWhatIfDelta(region, matchup.lowSeed);
+
     card.innerHTML = `
         <div class="matchup-header">
             <span class="matchup-label">${matchup.label}</span>
+            <button class="block-btn ${onBlock ? 'active' : ''}"
+                    data-key="${key}"
+                    aria-label="Put on the block">
+                ${onBlock ? 'On Block' : 'Block'}
+            </button>
             <div class="matchup-evs">
                 <span class="matchup-ev" title="Naive seed EV">Base: ${naiveEV.toFixed(1)}%</span>
-                <span class="matchup-adj-ev ${adjClass}" title="Barthag-adjusted EV">Adj: ${evs.high.toFixed(1)}%</span>
+                <span class="matchup-adj-ev ${adjClass}" title="Barthag-adjusted item EV (both teams)">Adj: ${evs.total.toFixed(1)}%</span>
                 ${diffDisplay}
+                ${createWhatIfDelta(whatIf, evs.total, 0.05, 'What-if ')}
+                <span class="market-price" data-market="${key}" title="Predicted clearing price"></span>
             </div>
         </div>
         <div class="matchup-teams">
-            <div class="team-row">
-                <span class="team-seed">${matchup.highSeed}</span>
-                <span class="team-name">${highTeam.team}</span>
+            ${createTeamRow(region, matchup.highSeed, highName, evs.high, evs.highNaive)}
+            ${createTeamRow(region, matchup.lowSeed, lowName, evs.low, evs.lowNaive)}
+            ${[matchup.highSeed, matchup.lowSeed].map(seed => createPlayInRow(region, seed)).join('')}
+            <div class="item-row">
+                <select class="buyer-select" data-key="${key}" aria-label="Buyer">
+                    ${createBuyerOptions(getOwner(key))}
+                </select>
                 <div class="team-input-group">
                     <input type="number" class="price-input"
                            data-key="${key}"
                            placeholder="$0"
                            inputmode="numeric"
                            value="${state.prices[key] || ''}">
-                    <button class="mine-btn ${state.mine[key] ? 'active' : ''}"
+                    <button class="mine-btn ${isMine(key) ? 'active' : ''}"
                             data-key="${key}"
                             aria-label="Mark as mine">
-                        ${state.mine[key] ? '★' : '☆'}
+                        ${isMine(key) ? '★' : '☆'}
                     </button>
                 </div>
             </div>
         </div>
+        ${onBlock ? createBlockAdvisor(key) : ''}
     `;
 
     return card;
 }
 
-// Build targets list in menu
-function buildTargetsList() {
-    const list = document.getElementById('targets-list');
-    list.innerHTML = CONFIG.matchups.map(m => `
-        <div class="target-item">
-            <span class="target-matchup">${m.label}</span>
-            <div class="target-values">
-                <span class="target-value" data-matchup="${m.id}">$0</span>
-                <span class="target-max" data-matchup="${m.id}-max">(max $0)</span>
+// One team in a matchup card: rating and its own adjusted EV
+function createTeamRow(region, seed, name, ev, naiveEV) {
+    const diff = ev - naiveEV;
+    const cls = diff > 0.25 ? 'adj-up' : (diff < -0.25 ? 'adj-down' : '');
+
+    return `
+        <div class="team-row">
+            <span class="team-seed">${seed}</span>
+            <span class="team-name">
+                ${escapeHtml(name)}
+                <small class="team-barthag ${getSlotOverride(region, seed) ? 'what-if' : ''}"
+                       title="${escapeHtml(describeSlotOverride(region, seed))}">${getRegionBarthag(region, seed).toFixed(3)}</small>
+                ${createWhatIfDelta(getWhatIfDelta(region, seed), ev, 0.01)}
+                ${createSourceSpread(region, seed)}
+            </span>
+            <span class="team-ev ${cls}" title="Seed-only EV ${naiveEV.toFixed(2)}%">${ev.toFixed(2)}%</span>
+        </div>
+    `;
+}
+
+// First Four row: both candidates with play-in odds; tap to set the winner
+function createPlayInRow(region, seed) {
+    const slot = getBracket()?.[region]?.[seed];
+    if (!slot?.playIn) return '';
+
+    const winner = getPlayInWinner(region, seed);
+    const teams = bracketTeams?.[region]?.[seed] || [];
+    const env = getEngineEnv();
+    const [a, b] = slot.playIn.map(t => ({ ...Engine.getTeamRatings(env, t), seed }));
+    const pA = Engine.teamWinProb(env, a, b);
+
+    const buttons = slot.playIn.map((t, i) => {
+        const pPlayIn = i === 0 ? pA : 1 - pA;
+        const ev = teams.find(x => x.team === t.team);
+        const evStr = ev ? ` · ${(payoutForProbs(ev.probs) / (ev.pPlayIn || 1) * 100).toFixed(1)}%` : '';
+        const cls = winner ? (winner.team === t.team ? 'won' : 'lost') : '';
+        const detail = winner
+            ? (winner.team === t.team ? `Won${evStr}` : 'Out')
+            : `${Math.round(pPlayIn * 100)}%${evStr}`;
+        return `
+            <button class="play-in-btn ${cls}" data-slot="${region}_${seed}" data-team="${escapeHtml(t.team)}">
+                ${escapeHtml(t.team)} <small>${detail}</small>
+            </button>
+        `;
+    }).join('');
+
+    return `
+        <div class="play-in-row">
+            <span class="play-in-label">First Four &middot; ${seed}</span>
+            <div class="play-in-teams">${buttons}</div>
+        </div>
+    `;
+}
+
+// Record (or undo) a First Four result
+function handlePlayInClick(btn) {
+    const slotKey = btn.dataset.slot;
+    state.playInWinners = state.playInWinners || {};
+
+    if (state.playInWinners[slotKey] === btn.dataset.team) {
+        delete state.playInWinners[slotKey];
+    } else {
+        state.playInWinners[slotKey] = btn.dataset.team;
+    }
+
+    repriceAll();
+}
+
+// ============================================================
+// LIVE BID ADVISOR
+// Prices the item on the block against the live pot projection,
+// the item's team-specific EV and the remaining budget
+// ============================================================
+
+// Price at which an item returns exactly its cost. The bid itself lands
+// in the pot, so solve P = ev * net(potOther + P) for P.
+function getBreakEvenPrice(evPct, potOther) {
+    return Engine.getBreakEvenPrice(getEngineEnv(), evPct, potOther);
+}
+
+// Break-even, recommended max and walk-away prices for an item
+function getBlockAdvice(key) {
+    const evPct = getItemEV(key);
+    const potOther = estimateFinalPot(key);
+    const budgetLeft = Math.max(0, state.budget - calculateSpent(key));
+    const unsold = getAllItemKeys().length - countItemsSold() - (state.prices[key] > 0 ? 0 : 1);
+
+    const breakEven = getBreakEvenPrice(evPct, potOther.mid);
+
+    return {
+        evPct,
+        potOther,
+        budgetLeft,
+        unsold,
+        breakEven: Math.round(breakEven),
+        // Still break-even if the pot comes in at the low end
+        recommendedMax: Math.round(Math.min(getBreakEvenPrice(evPct, potOther.low), budgetLeft)),
+        // Loses money even if the pot comes in at the high end
+        walkAway: Math.round(Math.min(getBreakEvenPrice(evPct, potOther.high), budgetLeft))
+    };
+}
+
+// Verdict for the current bid against the advice
+function getBidVerdict(advice, bid) {
+    if (!bid) return { cls: '', text: 'Enter the current bid' };
+
+    const edge = evToDollars(advice.evPct, advice.potOther.mid + bid) - bid;
+    const edgeStr = `${edge >= 0 ? '+' : '-'}${formatCurrency(Math.abs(edge))} EV`;
+
+    if (bid > advice.budgetLeft) return { cls: 'verdict-stop', text: `Over budget (${edgeStr})` };
+    if (bid <= advice.recommendedMax) return { cls: 'verdict-go', text: `Keep bidding (${edgeStr})` };
+    if (bid <= advice.breakEven) return { cls: 'verdict-thin', text: `Thin edge (${edgeStr})` };
+    if (bid <= advice.walkAway) return { cls: 'verdict-thin', text: `Only if pot runs high (${edgeStr})` };
+    return { cls: 'verdict-stop', text: `Walk away (${edgeStr})` };
+}
+
+// Advisor panel shown under the card of the item on the block
+function createBlockAdvisor(key) {
+    return `
+        <div class="block-advisor" data-key="${key}">
+            <div class="block-bid-row">
+                <span class="block-bid-label">Current bid</span>
+                <input type="number" class="block-bid-input"
+                       data-key="${key}"
+                       placeholder="$0"
+                       inputmode="numeric">
             </div>
+            <div class="advisor-grid">
+                <div>Max bid<strong class="advisor-max">$0</strong></div>
+                <div>Break-even<strong class="advisor-even">$0</strong></div>
+                <div>Walk away<strong class="advisor-walk">$0</strong></div>
+            </div>
+            <div class="advisor-verdict"></div>
+            <div class="advisor-context"></div>
         </div>
-    `).join('');
+    `;
 }
 
-// Setup event listeners
-function setupEventListeners() {
-    // Tab switching
-    document.querySelectorAll('.tab').forEach(tab => {
-        tab.addEventListener('click', () => switchRegion(tab.dataset.region));
-    });
+// Refresh the advisor numbers for the item on the block
+function updateBlockAdvisor() {
+    const panel = document.querySelector('.block-advisor');
+    if (!panel || !state.onBlock) return;
 
-    // Price inputs (delegated)
-    document.getElementById('main').addEventListener('input', e => {
-        if (e.target.classList.contains('price-input')) {
-            handlePriceInput(e.target);
-        }
-    });
+    const advice = getBlockAdvice(state.onBlock);
+    const bid = parseFloat(panel.querySelector('.block-bid-input').value) || 0;
+    const verdict = getBidVerdict(advice, bid);
 
-    // Mine buttons (delegated)
-    document.getElementById('main').addEventListener('click', e => {
-        if (e.target.classList.contains('mine-btn')) {
-            handleMineClick(e.target);
+    panel.querySelector('.advisor-max').textContent = formatCurrency(advice.recommendedMax);
+    panel.querySelector('.advisor-even').textContent = formatCurrency(advice.breakEven);
+    panel.querySelector('.advisor-walk').textContent = formatCurrency(advice.walkAway);
+
+    const verdictEl = panel.querySelector('.advisor-verdict');
+    verdictEl.className = `advisor-verdict ${verdict.cls}`;
+    verdictEl.textContent = verdict.text;
+
+    const planned = currentPlan.rows[state.onBlock];
+    panel.querySelector('.advisor-context').textContent =
+        `EV ${advice.evPct.toFixed(1)}% · Budget left ${formatCurrency(advice.budgetLeft)} · ` +
+        `${advice.unsold} others unsold` +
+        (planned ? ` · ${planned.inPlan ? `Plan ceiling ${formatCurrency(planned.ceiling)}` : 'Not in plan'}` : '');
+}
+
+// Toggle the on-the-block item
+function handleBlockClick(btn) {
+    const key = btn.dataset.key;
+    state.onBlock = state.onBlock === key ? null : key;
+
+    buildRegionPanels();
+    updateAll();
+    saveState();
+
+    const input = document.querySelector('.block-bid-input');
+    if (input) input.focus();
+}
+
+// ============================================================
+// QUICK ENTRY
+// Command bar for calling sales as they happen: "east 1 2100 me",
+// "midwest 8/9 325 Dave" or "duke 2100". Items resolve by region
+// and seed or matchup label, or by team name (TEAM_ALIASES
+// nicknames included). The preview shows the change and its EV
+// verdict before Enter saves it; recent entries can be fixed or
+// undone.
+// ============================================================
+
+const COMMAND_HISTORY_SIZE = 8;
+const REGION_SHORT = { mw: 'Midwest' };
+const MY_NAMES = ['me', 'mine', 'my', 'i'];
+
+// Saved entries, newest first: { text, key, price, owner, before: { price, owner } }
+let commandHistory = [];
+let commandHistoryOpen = false;
+// Entry being fixed; the next save replaces it
+let commandCorrecting = null;
+
+// "2100", "$2,100" or "2.1k"
+function parseCommandPrice(token) {
+    const m = /^\$?(\d[\d,]*(?:\.\d+)?)(k?)$/i.exec(token);
+    if (!m) return null;
+    const value = Math.round(parseFloat(m[1].replace(/,/g, '')) * (m[2] ? 1000 : 1));
+    return value > 0 ? value : null;
+}
+
+function findRegion(token) {
+    const t = token.toLowerCase();
+    if (REGION_SHORT[t]) return REGION_SHORT[t];
+    const hits = CONFIG.regions.filter(r => r.toLowerCase().startsWith(t));
+    return hits.length === 1 ? hits[0] : null;
+}
+
+// Item for a seed ("1") or matchup label ("8/9", "9-8") in a region
+function findRegionItem(region, token) {
+    if (/^\d+$/.test(token)) return getItemKeyForSeed(region, Number(token));
+
+    const seeds = /^(\d+)[/-](\d+)$/.exec(token);
+    if (!seeds) return null;
+    const pair = [Number(seeds[1]), Number(seeds[2])].sort((a, b) => a - b);
+    const matchup = CONFIG.matchups.find(m => m.highSeed === pair[0] && m.lowSeed === pair[1]);
+    return matchup ? `${region}_${matchup.id}` : null;
+}
+
+// Teams whose name or nickname is the query, else starts with it
+// (or has a word that does)
+function findTeams(query) {
+    const q = normalizeTeamName(query);
+    const teams = getWhatIfTeams();
+    const exact = teams.filter(t => normalizeTeamName(t.team) === q);
+    if (exact.length) return exact;
+    return teams.filter(t => ` ${normalizeTeamName(t.team)}`.includes(` ${q}`));
+}
+
+// Participant by name or unique prefix; unknown names are new buyers
+function findBuyer(text) {
+    const q = text.toLowerCase();
+    if (MY_NAMES.includes(q)) return getParticipant('me');
+
+    const people = getParticipants();
+    const exact = people.find(p => p.name.toLowerCase() === q);
+    if (exact) return exact;
+    const hits = people.filter(p => p.name.toLowerCase().startsWith(q));
+    if (hits.length === 1) return hits[0];
+    if (hits.length > 1) return { error: `"${text}" could be ${hits.map(p => p.name).join(' or ')}` };
+    return { name: text, isNew: true };
+}
+
+// { key, price, buyer, candidates, error } for a command; buyer is
+// null when none was given (the item keeps its current one)
+function parseCommand(text) {
+    const tokens = text.trim().split(/\s+/).filter(Boolean);
+    const cmd = { key: null, price: null, buyer: null, candidates: [], error: null };
+    if (!tokens.length) return cmd;
+
+    let rest;
+    const region = findRegion(tokens[0]);
+    const regionItem = region && tokens.length > 1 ? findRegionItem(region, tokens[1]) : null;
+
+    if (regionItem) {
+        cmd.key = regionItem;
+        rest = tokens.slice(2);
+    } else {
+        let end = tokens.findIndex((t, i) => i > 0 && parseCommandPrice(t) !== null);
+        if (end < 0) end = tokens.length;
+        const query = tokens.slice(0, end).join(' ');
+        const teams = findTeams(query);
+        const keys = [...new Set(teams.map(t => getItemKeyForSeed(t.region, t.seed)))];
+
+        if (keys.length === 1) {
+            cmd.key = keys[0];
+        } else if (keys.length > 1) {
+            cmd.candidates = teams;
+            cmd.error = `"${query}" matches ${teams.length} teams`;
+        } else {
+            cmd.error = `No team or item matches "${query}"`;
         }
-    });
+        rest = tokens.slice(end);
+    }
+
+    if (rest.length) {
+        cmd.price = parseCommandPrice(rest[0]);
+        if (cmd.price === null && !cmd.error) cmd.error = `"${rest[0]}" is not a price`;
+        rest = rest.slice(1);
+    }
+    if (rest.length) {
+        cmd.buyer = findBuyer(rest.join(' '));
+        if (cmd.buyer.error && !cmd.error) cmd.error = cmd.buyer.error;
+    }
+    if (!cmd.error && !cmd.price) cmd.error = 'Add the price';
+    return cmd;
+}
+
+// Verdict on a sale price from the buyer's side, on the same
+// break-even prices as the bid advisor
+function getSaleVerdict(key, price, mine) {
+    const advice = getBlockAdvice(key);
+    const edge = evToDollars(advice.evPct, advice.potOther.mid + price) - price;
+    const edgeStr = `${edge >= 0 ? '+' : '-'}${formatCurrency(Math.abs(edge))} EV`;
+    const safe = getBreakEvenPrice(advice.evPct, advice.potOther.low);
+    const stretch = getBreakEvenPrice(advice.evPct, advice.potOther.high);
+
+    if (mine && price > advice.budgetLeft) return { cls: 'verdict-stop', text: `Over budget (${edgeStr})`, advice };
+    if (price <= safe) return { cls: 'verdict-go', text: `${mine ? 'Good buy' : 'Sold under value'} (${edgeStr})`, advice };
+    if (price <= advice.breakEven) return { cls: 'verdict-thin', text: `Thin edge (${edgeStr})`, advice };
+    if (price <= stretch) return { cls: 'verdict-thin', text: `Pays only if the pot runs high (${edgeStr})`, advice };
+    return { cls: 'verdict-stop', text: `${mine ? 'Overpaid' : 'Sold over value'} (${edgeStr})`, advice };
+}
+
+function describeSale(key, price, owner) {
+    const buyer = owner ? ` &rarr; ${escapeHtml(getParticipant(owner)?.name || owner)}` : '';
+    return `${getItemLabel(key)} ${price ? formatCurrency(price) : 'unsold'}${buyer}`;
+}
+
+// Live preview of the typed command, or the last saved entry
+function renderCommandPreview() {
+    const text = document.getElementById('command-input').value;
+    const el = document.getElementById('command-preview');
+    const fixing = commandCorrecting ? `<p class="hint">Fixing: ${describeSale(commandCorrecting.key, commandCorrecting.price, commandCorrecting.owner)}</p>` : '';
+
+    if (!text.trim()) {
+        const last = commandHistory[0];
+        el.innerHTML = fixing || (last && !commandHistoryOpen ? createCommandEntry(last, 0, 'Saved') : '');
+        renderCommandHistory();
+        return;
+    }
+
+    const cmd = parseCommand(text);
+    const candidates = cmd.candidates.map(t => `
+        <button class="btn" data-command-item="${t.region} ${t.seed}">${t.region} ${t.seed} &middot; ${escapeHtml(t.team)}</button>
+    `).join('');
+
+    if (!cmd.key) {
+        el.innerHTML = `${fixing}<p class="season-error">${escapeHtml(cmd.error)}</p>${candidates ? `<div class="candidate-picker">${candidates}</div>` : ''}`;
+        return;
+    }
+
+    const { region, matchupId } = parseItemKey(cmd.key);
+    const matchup = CONFIG.matchups.find(m => m.id === matchupId);
+    const teams = `${escapeHtml(getTeamName(region, matchup.highSeed))} / ${escapeHtml(getTeamName(region, matchup.lowSeed))}`;
+    const owner = cmd.buyer?.id ?? getOwner(cmd.key);
+    const buyerName = cmd.buyer?.isNew ? `${cmd.buyer.name} (new buyer)` : getParticipant(owner)?.name;
+    const soldPrice = state.prices[cmd.key] || 0;
+    const was = soldPrice && !(commandCorrecting?.key === cmd.key)
+        ? `<p class="hint">Correction: was ${describeSale(cmd.key, soldPrice, getOwner(cmd.key))}</p>` : '';
+
+    let verdict = '';
+    if (cmd.price) {
+        const v = getSaleVerdict(cmd.key, cmd.price, owner === 'me');
+        const budget = owner === 'me' ? ` &middot; Budget left ${formatCurrency(v.advice.budgetLeft)}` : '';
+        verdict = `
+            <div class="advisor-verdict ${v.cls}">${v.text}</div>
+            <div class="advisor-context">EV ${v.advice.evPct.toFixed(1)}% &middot; Break-even ${formatCurrency(v.advice.breakEven)}${budget}</div>
+        `;
+    }
+
+    el.innerHTML = `
+        ${fixing}
+        <div class="command-sale">
+            <strong>${getItemLabel(cmd.key)}</strong> <small>${teams}</small>
+            <div>${cmd.price ? formatCurrency(cmd.price) : '$?'}${buyerName ? ` &rarr; ${escapeHtml(buyerName)}` : ' &middot; no buyer'}</div>
+        </div>
+        ${was}
+        ${cmd.error ? `<p class="season-error">${escapeHtml(cmd.error)}</p>` : verdict}
+        ${cmd.error ? '' : '<p class="hint">Enter to save, Esc to clear</p>'}
+    `;
+}
+
+function createCommandEntry(entry, index, label = '') {
+    return `
+        <div class="command-entry">
+            <span>${label ? `${label}: ` : ''}${describeSale(entry.key, entry.price, entry.owner)}</span>
+            <button class="btn" data-command-action="fix" data-index="${index}">Fix</button>
+            <button class="btn" data-command-action="undo" data-index="${index}">Undo</button>
+        </div>
+    `;
+}
+
+function renderCommandHistory() {
+    const el = document.getElementById('command-history');
+    el.classList.toggle('hidden', !commandHistoryOpen);
+    el.innerHTML = commandHistory.length
+        ? commandHistory.map((entry, i) => createCommandEntry(entry, i)).join('')
+        : '<p class="empty-msg">No quick entries yet</p>';
+}
+
+// Set an item's price and buyer as logged, undoable edits
+function applySale(key, price, owner) {
+    clearSharesForSale(key, price, owner);
+    logEvent('price', key, state.prices[key] || 0, price);
+    setLoggedValue('price', key, price);
+    logEvent('owner', key, getOwner(key), owner);
+    setLoggedValue('owner', key, owner);
+    syncItemControls(key);
+}
+
+function commitCommand() {
+    const input = document.getElementById('command-input');
+    const cmd = parseCommand(input.value);
+    if (cmd.error || !cmd.key || replayLive) {
+        renderCommandPreview();
+        return;
+    }
+
+    let owner = cmd.buyer ? cmd.buyer.id : getOwner(cmd.key);
+    if (cmd.buyer?.isNew) {
+        owner = newParticipantId();
+        getParticipants().push({ id: owner, name: cmd.buyer.name });
+        buildParticipantsEditor();
+        buildRegionPanels();
+    }
+
+    // A fix on another item puts the wrong one back first
+    const fixing = commandCorrecting;
+    if (fixing && fixing.key !== cmd.key) applySale(fixing.key, fixing.before.price, fixing.before.owner);
+    const before = fixing?.key === cmd.key
+        ? fixing.before
+        : { price: state.prices[cmd.key] || 0, owner: getOwner(cmd.key) };
+
+    applySale(cmd.key, cmd.price, owner);
+    commandHistory = [
+        { text: input.value.trim(), key: cmd.key, price: cmd.price, owner, before },
+        ...commandHistory.filter(e => e !== fixing)
+    ].slice(0, COMMAND_HISTORY_SIZE);
+
+    commandCorrecting = null;
+    input.value = '';
+    updateAll();
+    notePlanDrops();
+    renderEventLog();
+    saveState();
+    renderCommandPreview();
+}
+
+function handleCommandClick(e) {
+    const input = document.getElementById('command-input');
+    const item = e.target.dataset.commandItem;
+    const action = e.target.dataset.commandAction;
+
+    if (e.target.id === 'command-recent') {
+        commandHistoryOpen = !commandHistoryOpen;
+    } else if (item) {
+        // Swap the ambiguous name for the chosen region and seed
+        const cmd = input.value.trim().split(/\s+/);
+        const end = cmd.findIndex((t, i) => i > 0 && parseCommandPrice(t) !== null);
+        input.value = [item.toLowerCase(), ...(end < 0 ? [] : cmd.slice(end))].join(' ');
+        input.focus();
+    } else if (action === 'fix') {
+        commandCorrecting = commandHistory[Number(e.target.dataset.index)];
+        input.value = commandCorrecting.text;
+        input.focus();
+    } else if (action === 'undo') {
+        const entry = commandHistory[Number(e.target.dataset.index)];
+        applySale(entry.key, entry.before.price, entry.before.owner);
+        commandHistory = commandHistory.filter(x => x !== entry);
+        if (commandCorrecting === entry) commandCorrecting = null;
+        updateAll();
+        renderEventLog();
+        saveState();
+    } else {
+        return;
+    }
+    renderCommandPreview();
+}
+
+function handleCommandKey(e) {
+    if (e.key !== 'Escape') return;
+    e.target.value = '';
+    commandCorrecting = null;
+    renderCommandPreview();
+}
+
+// ============================================================
+// TOURNAMENT RESULTS
+// Winners are recorded as games won per seed line; realized
+// payouts, banked winnings and remaining upside follow from
+// the payout table, the pot and the conditioned bracket engine
+// ============================================================
+
+const ROUND_NAMES = ['Round of 64', 'Round of 32', 'Sweet 16', 'Elite 8', 'Final Four', 'Championship'];
+const FINAL_FOUR_TAB = 'FinalFour';
+
+// Games won by a seed line so far
+function getTeamWins(region, seed) {
+    return state.results?.[`${region}_${seed}`] || 0;
+}
+
+// Pot that payouts are settled from: actual once everything has sold
+function getSettlementPot() {
+    return countItemsSold() === getAllItemKeys().length ? calculateCurrentPot() : estimateFinalPot().mid;
+}
+
+// Banked payout and remaining expected payout for one seed line
+function getTeamOutcome(region, seed, netPot) {
+    const wins = getTeamWins(region, seed);
+    const banked = getCumulativePayouts()[wins] * netPot;
+    const probs = getBracketResult().probs[region]?.[seed] || {};
+    const alive = wins === ROUNDS.length || (probs[ROUNDS[wins]] || 0) > 0;
+    const upside = alive ? Math.max(0, payoutForProbs(probs) * netPot - banked) : 0;
+    return { wins, banked, upside, alive };
+}
+
+// Banked and upside for an item (both seed lines)
+function getItemOutcome(key, netPot) {
+    const { region, matchupId } = parseItemKey(key);
+    const matchup = CONFIG.matchups.find(m => m.id === matchupId);
+    const teams = [matchup.highSeed, matchup.lowSeed].map(seed => ({
+        seed, team: getTeamName(region, seed), ...getTeamOutcome(region, seed, netPot)
+    }));
+    return {
+        teams,
+        banked: teams.reduce((sum, t) => sum + t.banked, 0),
+        upside: teams.reduce((sum, t) => sum + t.upside, 0)
+    };
+}
+
+// Banked winnings, upside and spend per owner, plus sold items with no
+// buyer recorded
+function getStandings() {
+    const netPot = getNetPot(getSettlementPot());
+    const unassigned = { id: null, name: 'Unassigned', items: 0, spent: 0, banked: 0, upside: 0 };
+
+    getAllItemKeys()
+        .filter(key => state.prices[key] > 0 && !getOwner(key) && !state.shares?.[key])
+        .forEach(key => {
+            const outcome = getItemOutcome(key, netPot);
+            unassigned.items++;
+            unassigned.spent += state.prices[key];
+            unassigned.banked += outcome.banked;
+            unassigned.upside += outcome.upside;
+        });
+
+    return getLeaderboard()
+        .filter(row => row.items > 0 || row.id === 'me')
+        .concat(unassigned.items > 0 ? [unassigned] : []);
+}
+
+// Slot keys ("East_1") in global bracket order
+function getBracketSlotKeys() {
+    return getFinalFourPairs().flat().flatMap(region => BRACKET_ORDER.map(seed => `${region}_${seed}`));
+}
+
+// Participants and winner of every game in a round within [from, to)
+function getRoundGames(slotKeys, round, from, to) {
+    const half = 1 << round;
+    const size = half * 2;
+    const games = [];
+
+    for (let start = from; start < to; start += size) {
+        const side = (a, b) => slotKeys.slice(a, b)
+            .find(key => (state.results?.[key] || 0) >= round) || null;
+        const top = side(start, start + half);
+        const bottom = side(start + half, start + size);
+        const winner = [top, bottom].find(key => key && (state.results?.[key] || 0) > round) || null;
+        games.push({ top, bottom, winner });
+    }
+
+    return games;
+}
+
+// Button for one side of a game
+function createResultTeamButton(key, opp, round, winner) {
+    if (!key) return '<span class="result-team tbd">TBD</span>';
+
+    const [region, seed] = key.split('_');
+    const cls = winner ? (winner === key ? 'won' : 'lost') : '';
+    const mine = getItemKeyForSeed(region, Number(seed));
+
+    return `
+        <button class="result-team ${cls}" data-slot="${key}" data-opp="${opp || ''}" data-round="${round}">
+            <span class="result-seed">${seed}</span>
+            <span class="result-name">${escapeHtml(getTeamName(region, Number(seed)))}</span>
+            ${isMine(mine) ? '<span class="result-mine">★</span>' : ''}
+        </button>
+    `;
+}
+
+// Item key that contains a seed line
+function getItemKeyForSeed(region, seed) {
+    const matchup = CONFIG.matchups.find(m => m.highSeed === seed || m.lowSeed === seed);
+    return matchup ? `${region}_${matchup.id}` : null;
+}
+
+// Games for a set of rounds
+function createRoundsHtml(slotKeys, rounds, from, to) {
+    return rounds.map(round => {
+        const games = getRoundGames(slotKeys, round, from, to);
+        return `
+            <div class="results-round">
+                <h3 class="results-round-title">${ROUND_NAMES[round]}</h3>
+                ${games.map(g => `
+                    <div class="result-game">
+                        ${createResultTeamButton(g.top, g.bottom, round, g.winner)}
+                        ${createResultTeamButton(g.bottom, g.top, round, g.winner)}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }).join('');
+}
+
+// Realized payouts for a region's items
+function createRegionPayoutsHtml(region, netPot) {
+    const rows = CONFIG.matchups.map(matchup => {
+        const key = `${region}_${matchup.id}`;
+        const outcome = getItemOutcome(key, netPot);
+        const teams = outcome.teams.map(t =>
+            `<span class="${t.alive ? '' : 'eliminated'}">${escapeHtml(t.team)} (${t.wins}W)</span>`
+        ).join(' / ');
+
+        return `
+            <div class="payout-item ${isMine(key) ? 'mine' : ''}">
+                <span class="payout-item-label">${matchup.label}</span>
+                <span class="payout-item-teams">${teams}</span>
+                <span class="payout-item-banked">${formatCurrency(outcome.banked)}</span>
+                <span class="payout-item-upside">${outcome.upside > 0 ? '+' + formatCurrency(outcome.upside) : '&ndash;'}</span>
+            </div>
+        `;
+    }).join('');
+
+    return `
+        <div class="results-round">
+            <h3 class="results-round-title">Item Payouts <small>banked / upside</small></h3>
+            ${rows}
+        </div>
+    `;
+}
+
+// Owners' banked winnings
+function createStandingsHtml() {
+    const rows = getStandings().map(o => `
+        <div class="standing-row">
+            <span class="standing-name">${escapeHtml(o.name)}</span>
+            <span>${formatCurrency(o.spent)}</span>
+            <span>${formatCurrency(o.banked)}</span>
+            <span>+${formatCurrency(o.upside)}</span>
+        </div>
+    `).join('');
+
+    return `
+        <div class="results-round">
+            <h3 class="results-round-title">Standings</h3>
+            <div class="standing-row standing-head">
+                <span></span><span>Spent</span><span>Banked</span><span>Upside</span>
+            </div>
+            ${rows}
+            <p class="hint">Paid from ${formatCurrency(getNetPot(getSettlementPot()))} net pot</p>
+        </div>
+    `;
+}
+
+// What each partner is owed (negative: owes) once split items are
+// squared. The buyer paid the house for an item and collects its
+// payouts; every holder's part of that is their share.
+function getSplitBalances(netPot) {
+    const balances = Object.fromEntries(getParticipants().map(p => [p.id, 0]));
+
+    Object.keys(state.shares || {}).forEach(key => {
+        const buyer = getOwner(key);
+        if (!buyer || !(state.prices[key] > 0)) return;
+
+        const result = getItemOutcome(key, netPot).banked - state.prices[key];
+        Object.entries(getShares(key)).forEach(([id, pct]) => {
+            balances[id] = (balances[id] || 0) + result * pct / 100;
+        });
+        balances[buyer] -= result;
+    });
+
+    return balances;
+}
+
+// Who pays whom for the split items, on the payouts banked so far
+function createSettlementHtml() {
+    const netPot = getNetPot(getSettlementPot());
+    const split = Object.keys(state.shares || {}).filter(key => getOwner(key) && state.prices[key] > 0);
+    const transfers = Engine.settleBalances(getSplitBalances(netPot));
+    const pending = split.some(key => getItemOutcome(key, netPot).upside > 0);
+    const name = id => escapeHtml(getParticipant(id)?.name || id);
+
+    let body;
+    if (split.length === 0) {
+        body = '<p class="empty-msg">No split items: every buyer keeps what the house pays them</p>';
+    } else if (transfers.length === 0) {
+        body = '<p class="empty-msg">Everyone is square</p>';
+    } else {
+        body = transfers.map(t => `
+            <div class="settle-row">
+                <span class="standing-name">${name(t.from)} pays ${name(t.to)}</span>
+                <span>${formatCurrency(t.amount)}</span>
+            </div>
+        `).join('');
+    }
+
+    return `
+        <div class="results-round">
+            <h3 class="results-round-title">Settlement</h3>
+            ${body}
+            ${split.length ? `<p class="hint">Buyers paid the house and collect their items' payouts; partners square their shares with them.${pending ? ' Teams still alive can change this.' : ''}</p>` : ''}
+        </div>
+    `;
+}
+
+// Build the results bracket: one panel per region plus the Final Four
+function buildResultsPanels() {
+    const main = document.getElementById('main');
+    const slotKeys = getBracketSlotKeys();
+    const netPot = getNetPot(getSettlementPot());
+    main.innerHTML = '';
+
+    getFinalFourPairs().flat().forEach((region, r) => {
+        const panel = document.createElement('div');
+        panel.className = `region-panel results-panel ${region === state.activeRegion ? 'active' : ''}`;
+        panel.dataset.region = region;
+        panel.innerHTML = createRoundsHtml(slotKeys, [0, 1, 2, 3], r * 16, (r + 1) * 16) +
+            createRegionPayoutsHtml(region, netPot);
+        main.appendChild(panel);
+    });
+
+    const finals = document.createElement('div');
+    finals.className = `region-panel results-panel ${state.activeRegion === FINAL_FOUR_TAB ? 'active' : ''}`;
+    finals.dataset.region = FINAL_FOUR_TAB;
+    finals.innerHTML = createRoundsHtml(slotKeys, [4, 5], 0, slotKeys.length) + createStandingsHtml() + createSettlementHtml();
+    main.appendChild(finals);
+    main.appendChild(createBracketPanel());
+}
+
+// Mark (or undo) the winner of a game
+function handleResultClick(btn) {
+    const key = btn.dataset.slot;
+    const opp = btn.dataset.opp;
+    const round = parseInt(btn.dataset.round, 10);
+    if (!opp) return;  // Opponent not decided yet
+
+    const results = state.results = state.results || {};
+
+    if ((results[key] || 0) > round) {
+        // Undo: drops this team (and any later results) back to this round
+        results[key] = round;
+    } else {
+        if ((results[opp] || 0) > round) results[opp] = round;
+        results[key] = round + 1;
+    }
+
+    Object.keys(results).forEach(k => { if (!results[k]) delete results[k]; });
+
+    repriceAll();
+}
+
+// Switch between auction entry and results tracking
+function toggleResultsMode() {
+    state.mode = state.mode === 'results' ? 'auction' : 'results';
+    applyMode();
+    buildRegionPanels();
+    updateAll();
+}
+
+// Sync header button, tabs and body class with the current mode
+function applyMode() {
+    const results = state.mode === 'results';
+    document.body.classList.toggle('results-mode', results);
+    document.getElementById('mode-btn').textContent = results ? 'Auction' : 'Results';
+
+    if (!results && state.activeRegion === FINAL_FOUR_TAB) {
+        state.activeRegion = CONFIG.regions[0];
+    }
+    switchRegion(state.activeRegion);
+}
+
+// Build participant list editor in menu
+function buildParticipantsEditor() {
+    document.getElementById('participants-list').innerHTML = getParticipants().map(p => `
+        <div class="participant-row">
+            <input type="text" class="participant-name" data-id="${escapeHtml(p.id)}" value="${escapeHtml(p.name)}">
+            <input type="number" class="participant-budget" data-id="${escapeHtml(p.id)}"
+                   placeholder="Budget" inputmode="numeric"
+                   value="${p.id === 'me' ? state.budget : (p.budget || '')}">
+            ${p.id === 'me'
+                ? '<span class="participant-remove"></span>'
+                : `<button class="participant-remove" data-id="${escapeHtml(p.id)}" aria-label="Remove">&times;</button>`}
+        </div>
+    `).join('');
+    renderSplitEditor();
+}
+
+// Add a participant from the menu input
+function handleAddParticipant() {
+    const input = document.getElementById('participant-add-name');
+    const name = input.value.trim();
+    if (!name) return;
+
+    const id = newParticipantId();
+    getParticipants().push({ id, name });
+    input.value = '';
+
+    buildParticipantsEditor();
+    buildRegionPanels();
+    updateAll();
+    saveState();
+}
+
+// Edit or remove participants
+function handleParticipantEdit(e) {
+    const id = e.target.dataset.id;
+    const participant = getParticipant(id);
+    if (!participant) return;
+
+    if (e.target.classList.contains('participant-name')) {
+        participant.name = e.target.value.trim() || participant.name;
+        document.querySelectorAll('.buyer-select option').forEach(o => {
+            if (o.value === id) o.textContent = participant.name;
+        });
+    } else if (e.target.classList.contains('participant-budget')) {
+        const budget = parseFloat(e.target.value) || 0;
+        if (id === 'me') {
+            state.budget = budget;
+            document.getElementById('budget-input').value = budget;
+        } else {
+            participant.budget = budget;
+        }
+    }
+
+    updateAll();
+    saveState();
+}
+
+function handleRemoveParticipant(id) {
+    const participant = getParticipant(id);
+    if (!participant || id === 'me') return;
+    if (!confirm(`Remove ${participant.name}? Their items become unassigned and splits they're in are undone.`)) return;
+
+    Object.keys(state.shares || {}).filter(k => state.shares[k][id]).forEach(k => changeShares(k, null));
+    Object.keys(state.owners || {}).filter(k => getOwner(k) === id).forEach(k => {
+        setOwner(k, null);
+        logEvent('owner', k, id, null);
+    });
+    state.participants = getParticipants().filter(p => p.id !== id);
+
+    buildParticipantsEditor();
+    buildRegionPanels();
+    updateAll();
+    saveState();
+}
+
+// Leaderboard of spend, budget, EV and realized payouts per bidder
+function renderLeaderboard() {
+    const rows = getLeaderboard()
+        .sort((a, b) => (b.banked + b.ev) - (a.banked + a.ev))
+        .map(row => `
+            <div class="leader-row ${row.id === 'me' ? 'me' : ''}">
+                <span class="leader-name">${escapeHtml(row.name)} <small>${row.items}</small></span>
+                <span>${formatCurrency(row.spent)}</span>
+                <span>${row.left === null ? '&ndash;' : formatCurrency(row.left)}</span>
+                <span>${formatCurrency(row.ev)}</span>
+                <span>${formatCurrency(row.banked)}</span>
+            </div>
+        `).join('');
+
+    document.getElementById('leaderboard').innerHTML = `
+        <div class="leader-row leader-head">
+            <span>Bidder</span><span>Spent</span><span>Left</span><span>Exp.</span><span>Banked</span>
+        </div>
+        ${rows}
+    `;
+}
+
+// Item whose split the editor shows, with its buyer ("East_1_16:me")
+let splitEditorFor = null;
+
+// "Me 40% · Dave 60%"
+function describeShares(shares) {
+    return Object.entries(shares)
+        .map(([id, pct]) => `${escapeHtml(getParticipant(id)?.name || id)} ${+pct.toFixed(2)}%`)
+        .join(' &middot; ');
+}
+
+// Sold items with a buyer can be split; keeps the picked item and
+// leaves the editor alone unless the item or its buyer changed
+function renderSplits() {
+    const select = document.getElementById('split-item');
+    const keys = getAllItemKeys().filter(key => state.prices[key] > 0 && getOwner(key));
+    const current = select.value;
+
+    select.innerHTML = keys.map(key => `
+        <option value="${key}" ${key === current ? 'selected' : ''}>${getItemLabel(key)} &middot; ${escapeHtml(getParticipant(getOwner(key))?.name || '')}</option>
+    `).join('');
+    if (`${select.value}:${getOwner(select.value)}` !== splitEditorFor) renderSplitEditor();
+
+    const split = Object.keys(state.shares || {});
+    document.getElementById('split-list').innerHTML = keys.length === 0
+        ? '<p class="empty-msg">Record a sale and its buyer to split it</p>'
+        : split.map(key => `
+            <div class="plan-drop"><strong>${getItemLabel(key)}</strong> ${describeShares(getShares(key))}</div>
+        `).join('');
+}
+
+// A percent per partner for the picked item, filled with its shares
+function renderSplitEditor() {
+    const key = document.getElementById('split-item').value;
+    const editor = document.getElementById('split-editor');
+    splitEditorFor = `${key}:${getOwner(key)}`;
+    if (!key) {
+        editor.innerHTML = '';
+        return;
+    }
+
+    const shares = getShares(key);
+    editor.innerHTML = `
+        ${getParticipants().map(p => `
+            <div class="participant-row">
+                <span class="split-name">${escapeHtml(p.name)}${p.id === getOwner(key) ? ' <small>buyer</small>' : ''}</span>
+                <input type="number" class="split-share" data-id="${escapeHtml(p.id)}" value="${shares[p.id] ?? ''}"
+                       placeholder="0" min="0" max="100" step="any" inputmode="decimal">
+                <span class="split-pct">%</span>
+            </div>
+        `).join('')}
+        <div class="split-total"></div>
+        <div class="menu-buttons">
+            <button class="btn" data-split-action="even">Even</button>
+            <button class="btn" data-split-action="clear">Buyer only</button>
+            <button class="btn" data-split-action="save">Save Split</button>
+        </div>
+    `;
+    updateSplitTotal();
+}
+
+// Percent per partner as entered; blanks and zeros hold nothing
+function readSplitInputs() {
+    const shares = {};
+    document.querySelectorAll('.split-share').forEach(input => {
+        const pct = parseFloat(input.value);
+        if (pct) shares[input.dataset.id] = pct;
+    });
+    return shares;
+}
+
+function updateSplitTotal() {
+    const el = document.querySelector('.split-total');
+    if (!el) return;
+
+    const shares = readSplitInputs();
+    const total = Object.values(shares).reduce((sum, pct) => sum + pct, 0);
+    const error = validateShares(shares);
+    el.className = `split-total ${error ? 'season-error' : ''}`;
+    el.textContent = error || `Total ${+total.toFixed(2)}%`;
+}
+
+function handleSplitClick(e) {
+    const action = e.target.dataset.splitAction;
+    const key = document.getElementById('split-item').value;
+    if (!action || !key) return;
+
+    if (action === 'even') {
+        // Evenly between the partners filled in, or everyone if fewer than two are
+        const inputs = [...document.querySelectorAll('.split-share')];
+        const filled = inputs.filter(input => parseFloat(input.value) > 0);
+        const holders = filled.length > 1 ? filled : inputs;
+        const pct = Math.floor(10000 / holders.length) / 100;
+        inputs.forEach(input => { input.value = ''; });
+        holders.forEach((input, i) => {
+            input.value = i === holders.length - 1 ? +(100 - pct * i).toFixed(2) : pct;
+        });
+        updateSplitTotal();
+        return;
+    }
+
+    if (action === 'save') {
+        const shares = readSplitInputs();
+        if (validateShares(shares)) {
+            updateSplitTotal();
+            return;
+        }
+        changeShares(key, shares);
+    } else {
+        changeShares(key, null);
+    }
+
+    renderSplitEditor();
+    syncItemControls(key);
+    updateAll();
+    saveState();
+}
+
+// Season picker and field importer
+function buildSeasonPicker() {
+    const select = document.getElementById('year-select');
+    const year = getSeasonYear();
+    select.innerHTML = getAvailableYears().map(y => {
+        const source = y === getBundledYear() && !importedSeasons[y] ? 'data.json' : 'imported';
+        return `<option value="${y}" ${y === year ? 'selected' : ''}>${y} (${source})</option>`;
+    }).join('');
+    document.getElementById('season-year').placeholder = new Date().getFullYear();
+}
+
+// Point the auction at another season's field. Play-in picks and results
+// belong to a field, so they are cleared; prices and buyers carry over.
+function setSeasonYear(year) {
+    if (year === getSeasonYear()) return;
+
+    const hasResults = Object.keys(state.results).length || Object.keys(state.playInWinners).length;
+    if (hasResults && !confirm('Switching fields clears play-in winners and results. Continue?')) {
+        buildSeasonPicker();
+        return;
+    }
+
+    state.year = year === getBundledYear() && !importedSeasons[year] ? null : year;
+    state.playInWinners = {};
+    state.results = {};
+    state.teamRatings = {};
+    state.ratingOverrides = {};
+    buildSeasonPicker();
+    buildRatingsPanel();
+    buildWhatIfPanel();
+    buildHistoryPanel();
+    repriceAll();
+}
+
+async function handleSeasonImport() {
+    const torvikFile = document.getElementById('torvik-file').files[0];
+    const bracketFile = document.getElementById('bracket-file').files[0];
+    const year = parseInt(document.getElementById('season-year').value, 10);
+    const report = document.getElementById('season-import-report');
+
+    if (!torvikFile || !bracketFile || !year) {
+        report.innerHTML = '<p class="season-error">Choose both CSV files and enter the year.</p>';
+        return;
+    }
+
+    const field = buildSeasonField(await torvikFile.text(), await bracketFile.text());
+    const list = (items, cls) => items.map(m => `<li class="${cls}">${escapeHtml(m)}</li>`).join('');
+
+    if (!field.bracket) {
+        report.innerHTML = `<p class="season-error">Not imported:</p><ul>${list(field.errors, 'season-error')}</ul>`;
+        return;
+    }
+
+    importedSeasons[year] = { year, bracket: field.bracket, importedAt: new Date().toISOString() };
+    saveSeasons();
+    report.innerHTML = `<p>Imported the ${year} field.</p><ul>${list(field.warnings, 'season-warning')}</ul>`;
+
+    // Re-importing the active year should reprice against the new ratings
+    if (year === getSeasonYear()) {
+        state.year = year;
+        buildSeasonPicker();
+        repriceAll();
+    } else {
+        setSeasonYear(year);
+    }
+}
+
+// Build targets list in menu
+function buildTargetsList() {
+    const list = document.getElementById('targets-list');
+    const head = CONFIG.regions.map(r => `<span>${r}</span>`).join('');
+
+    list.innerHTML = `
+        <div class="target-item target-head">
+            <span class="target-matchup"></span>
+            ${head}
+        </div>
+    ` + CONFIG.matchups.map(m => `
+        <div class="target-item">
+            <span class="target-matchup">${m.label}</span>
+            ${CONFIG.regions.map(r => `
+                <span class="target-cell">
+                    <span class="target-value" data-item="${r}_${m.id}">$0</span>
+                    <span class="target-max" data-item="${r}_${m.id}-max">max $0</span>
+                </span>
+            `).join('')}
+        </div>
+    `).join('');
+}
+
+// Build payout/rake editor in menu
+function buildPayoutEditor() {
+    const payouts = getPayoutStructure();
+    const rake = payouts.rake || {};
+    let cumulative = 0;
+
+    const rows = ROUNDS.map(round => {
+        const pct = payouts.rounds[round] || 0;
+        cumulative += pct;
+        return `
+            <div class="payout-row">
+                <span class="payout-label">${PAYOUT_ROUND_LABELS[round]}</span>
+                <input type="number" class="payout-input" data-round="${round}"
+                       step="0.1" min="0" inputmode="decimal" value="${pct}">
+                <span class="payout-cumulative" data-round="${round}">${cumulative.toFixed(1)}%</span>
+            </div>
+        `;
+    }).join('');
+
+    document.getElementById('payouts-editor').innerHTML = `
+        <div class="payout-row payout-head">
+            <span class="payout-label">Round won</span>
+            <span>Pays</span>
+            <span>Cum.</span>
+        </div>
+        ${rows}
+        <div class="payout-row">
+            <span class="payout-label">Rake ($)</span>
+            <input type="number" class="payout-input" data-rake="flat"
+                   min="0" inputmode="numeric" value="${rake.flat || 0}">
+            <span></span>
+        </div>
+        <div class="payout-row">
+            <span class="payout-label">Rake (%)</span>
+            <input type="number" class="payout-input" data-rake="percent"
+                   step="0.5" min="0" inputmode="decimal" value="${rake.percent || 0}">
+            <span></span>
+        </div>
+    `;
+}
+
+// Read payout editor inputs into state
+function handlePayoutInput() {
+    const rounds = {};
+    const rake = {};
+
+    document.querySelectorAll('.payout-input').forEach(input => {
+        const value = parseFloat(input.value) || 0;
+        if (input.dataset.round) rounds[input.dataset.round] = value;
+        if (input.dataset.rake) rake[input.dataset.rake] = value;
+    });
+
+    state.payouts = { rounds, rake };
+
+    let cumulative = 0;
+    ROUNDS.forEach(round => {
+        cumulative += rounds[round];
+        const el = document.querySelector(`.payout-cumulative[data-round="${round}"]`);
+        if (el) el.textContent = `${cumulative.toFixed(1)}%`;
+    });
+
+    repriceAll();
+}
+
+// Reset payouts to the data.json definition
+function handlePayoutReset() {
+    state.payouts = null;
+    buildPayoutEditor();
+    repriceAll();
+}
+
+// Reprice cards, targets and ROI after a payout or bracket change
+function repriceAll() {
+    refreshBracketProbs();
+    buildRegionPanels();
+    updateAll();
+    renderPortfolioRisk();
+    saveState();
+}
+
+// Build pot model summary and backtest picker in menu
+function buildPotModelPanel() {
+    const auctions = getPastAuctions();
+    const model = potModel || fitPotModel(auctions);
+    const first = CONFIG.matchups[0].id;
+
+    const ratios = CONFIG.matchups.map(m => {
+        const ratio = Math.exp(model.logRatios[m.id] - model.logRatios[first]);
+        return `<span class="ratio-chip">${m.label} ${ratio.toFixed(2)}&times;</span>`;
+    }).join('');
+
+    document.getElementById('pot-model-summary').innerHTML = `
+        <p class="hint">
+            Calibrated on ${model.nAuctions} auction${model.nAuctions === 1 ? '' : 's'}
+            (${model.nItems} sales). Item noise &plusmn;${Math.round(model.sigma * 100)}%,
+            region spread &plusmn;${Math.round(model.tau * 100)}%,
+            late-sale drift ${model.slope >= 0 ? '+' : ''}${Math.round(model.slope * 100)}%.
+        </p>
+        <div class="ratio-chips">${ratios}</div>
+    `;
+
+    const select = document.getElementById('backtest-select');
+    select.innerHTML = auctions.length
+        ? auctions.map((a, i) => `<option value="${i}">${a.year}</option>`).join('')
+        : '<option value="">No past auctions</option>';
+    select.disabled = auctions.length === 0;
+
+    renderPotBacktest();
+}
+
+// Draw the projection band converging on the actual pot
+function renderPotBacktest() {
+    const container = document.getElementById('pot-backtest');
+    const index = parseInt(document.getElementById('backtest-select').value, 10);
+
+    if (isNaN(index)) {
+        container.innerHTML = '<p class="empty-msg">Add past auctions (data.json or Market) to backtest</p>';
+        return;
+    }
+
+    const bt = backtestPotModel(index);
+    const w = 300;
+    const h = 140;
+    const pad = 4;
+    const maxY = Math.max(bt.actual, ...bt.steps.map(s => s.high)) * 1.05;
+    const minY = Math.min(bt.actual, ...bt.steps.map(s => s.low)) * 0.95;
+    const x = i => pad + (i / (bt.steps.length - 1)) * (w - 2 * pad);
+    const y = v => h - pad - ((v - minY) / (maxY - minY)) * (h - 2 * pad);
+
+    const band = bt.steps.map((s, i) => `${x(i)},${y(s.high)}`)
+        .concat(bt.steps.slice().reverse().map((s, i) => `${x(bt.steps.length - 1 - i)},${y(s.low)}`))
+        .join(' ');
+    const line = bt.steps.map((s, i) => `${x(i)},${y(s.mid)}`).join(' ');
+
+    const covered = bt.steps.filter(s => s.covered).length;
+    const errAt = n => Math.abs(bt.steps[n].mid - bt.actual) / bt.actual * 100;
+
+    container.innerHTML = `
+        <svg class="backtest-chart" viewBox="0 0 ${w} ${h}" preserveAspectRatio="none">
+            <polygon class="backtest-band" points="${band}"></polygon>
+            <polyline class="backtest-mid" points="${line}"></polyline>
+            <line class="backtest-actual" x1="${pad}" x2="${w - pad}" y1="${y(bt.actual)}" y2="${y(bt.actual)}"></line>
+        </svg>
+        <div class="backtest-stats">
+            <div>Actual<strong>${formatCurrency(bt.actual)}</strong></div>
+            <div>Error @8<strong>${errAt(8).toFixed(1)}%</strong></div>
+            <div>Error @16<strong>${errAt(16).toFixed(1)}%</strong></div>
+            <div>In band<strong>${covered}/${bt.steps.length}</strong></div>
+        </div>
+        <p class="hint">
+            ${bt.inSample ? 'In-sample: only one past auction to calibrate on.' : 'Calibrated on the other auctions.'}
+            Band is the 90% interval after each sale.
+        </p>
+    `;
+}
+
+// Fill the candidate picker with unsold items
+function buildCandidateOptions() {
+    const select = document.getElementById('candidate-select');
+    const current = select.value;
+
+    const options = getAllItemKeys()
+        .filter(key => !(state.prices[key] > 0))
+        .map(key => {
+            const { region, matchupId } = parseItemKey(key);
+            const matchup = CONFIG.matchups.find(m => m.id === matchupId);
+            const label = `${escapeHtml(getTeamName(region, matchup.highSeed))} (${region} ${matchup.label})`;
+            return `<option value="${key}" ${key === current ? 'selected' : ''}>${label}</option>`;
+        });
+
+    select.innerHTML = '<option value="">No candidate</option>' + options.join('');
+}
+
+// Render my payout distribution, with and without the candidate
+function renderPortfolioRisk() {
+    const estPot = estimateFinalPot();
+    const items = getPurchases().map(p => ({ key: p.key, price: p.price, share: p.share }));
+    const current = simulatePortfolio(items, estPot.mid);
+
+    const candidateKey = document.getElementById('candidate-select').value;
+    const candidatePrice = parseFloat(document.getElementById('candidate-price').value) || 0;
+    const withCandidate = candidateKey
+        ? simulatePortfolio(items.concat({ key: candidateKey, price: candidatePrice }), estPot.mid)
+        : null;
+
+    const pct = v => `${Math.round(v * 100)}%`;
+    const money = v => `${v < 0 ? '-' : ''}${formatCurrency(Math.abs(v))}`;
+    const rows = [
+        ['P(profit)', d => pct(d.pProfit)],
+        ['Median', d => money(d.median)],
+        ['10th pct', d => money(d.p10)],
+        ['90th pct', d => money(d.p90)],
+        ['Lose all', d => pct(d.pZero)]
+    ];
+
+    document.getElementById('portfolio-risk').innerHTML = `
+        <table class="risk-table">
+            <tr><th></th><th>Now</th>${withCandidate ? '<th>+ Candidate</th>' : ''}</tr>
+            ${rows.map(([label, fmt]) => `
+                <tr>
+                    <td>${label}</td>
+                    <td>${items.length ? fmt(current) : '&ndash;'}</td>
+                    ${withCandidate ? `<td>${fmt(withCandidate)}</td>` : ''}
+                </tr>
+            `).join('')}
+        </table>
+        ${renderProfitHistogram((withCandidate || current).sorted)}
+        <p class="hint">${SIM_COUNT.toLocaleString()} simulated tournaments, pot ${formatCurrency(estPot.mid)}</p>
+    `;
+}
+
+// Small histogram of simulated profit
+function renderProfitHistogram(sorted) {
+    if (sorted.length === 0 || sorted[0] === sorted[sorted.length - 1]) return '';
+
+    const bins = 24;
+    const lo = sorted[0];
+    const hi = quantile(sorted, 0.99);
+    const width = (hi - lo) / bins || 1;
+    const counts = new Array(bins).fill(0);
+    sorted.forEach(v => { counts[Math.min(bins - 1, Math.floor((v - lo) / width))]++; });
+    const maxCount = Math.max(...counts);
+
+    const bars = counts.map((c, i) => {
+        const h = (c / maxCount) * 60;
+        const cls = lo + (i + 0.5) * width >= 0 ? 'hist-gain' : 'hist-loss';
+        return `<rect class="${cls}" x="${i * 12.5}" y="${60 - h}" width="11" height="${h}"></rect>`;
+    }).join('');
+
+    return `<svg class="risk-histogram" viewBox="0 0 300 60" preserveAspectRatio="none">${bars}</svg>`;
+}
+
+// Setup event listeners
+function setupEventListeners() {
+    // Tab switching
+    document.querySelectorAll('.tab').forEach(tab => {
+        tab.addEventListener('click', () => switchRegion(tab.dataset.region));
+    });
+
+    // Price inputs (delegated)
+    document.getElementById('main').addEventListener('input', e => {
+        if (e.target.classList.contains('price-input')) {
+            handlePriceInput(e.target);
+        } else if (e.target.classList.contains('block-bid-input')) {
+            updateBlockAdvisor();
+        }
+    });
+
+    // Buyer pickers and committed prices (delegated)
+    document.getElementById('main').addEventListener('change', e => {
+        if (e.target.classList.contains('buyer-select')) {
+            handleBuyerSelect(e.target);
+        } else if (e.target.classList.contains('price-input')) {
+            handlePriceCommit(e.target);
+        }
+    });
+
+    // Mine and block buttons (delegated)
+    document.getElementById('main').addEventListener('click', e => {
+        if (e.target.classList.contains('mine-btn')) {
+            handleMineClick(e.target);
+        } else if (e.target.classList.contains('block-btn')) {
+            handleBlockClick(e.target);
+        } else if (e.target.closest('.play-in-btn')) {
+            handlePlayInClick(e.target.closest('.play-in-btn'));
+        } else if (e.target.closest('.result-team[data-slot]')) {
+            handleResultClick(e.target.closest('.result-team'));
+        } else if (e.target.closest('.bracket-team')) {
+            handleBracketTeamClick(e.target.closest('.bracket-team'));
+        }
+    });
+
+    // Budget input
+    document.getElementById('budget-input').addEventListener('input', e => {
+        state.budget = parseFloat(e.target.value) || 0;
+        const meBudget = document.querySelector('.participant-budget[data-id="me"]');
+        if (meBudget) meBudget.value = state.budget;
+        updateAll();
+        saveState();
+    });
+
+    // Participants
+    document.getElementById('participant-add-btn').addEventListener('click', handleAddParticipant);
+    document.getElementById('participants-list').addEventListener('input', handleParticipantEdit);
+    document.getElementById('participants-list').addEventListener('click', e => {
+        if (e.target.classList.contains('participant-remove') && e.target.dataset.id) {
+            handleRemoveParticipant(e.target.dataset.id);
+        }
+    });
+
+    // Splits
+    document.getElementById('split-item').addEventListener('change', renderSplitEditor);
+    document.getElementById('split-editor').addEventListener('input', updateSplitTotal);
+    document.getElementById('split-editor').addEventListener('click', handleSplitClick);
+
+    // Undo/redo and replay
+    document.getElementById('undo-btn').addEventListener('click', handleUndo);
+    document.getElementById('redo-btn').addEventListener('click', handleRedo);
+    document.getElementById('replay-range').addEventListener('input', e => {
+        setReplayPoint(parseInt(e.target.value, 10));
+    });
+    document.getElementById('replay-exit').addEventListener('click', exitReplay);
+    document.getElementById('data-banner').addEventListener('click', handleDataBannerClick);
+    document.getElementById('event-log').addEventListener('click', e => {
+        const row = e.target.closest('.event-row');
+        if (row) setReplayPoint(parseInt(row.dataset.seq, 10));
+    });
+
+    // Shared session
+    document.getElementById('session-panel').addEventListener('click', handleSessionClick);
+
+    // Auction / results mode
+    document.getElementById('mode-btn').addEventListener('click', toggleResultsMode);
+
+    // Menu
+    document.getElementById('menu-btn').addEventListener('click', () => {
+        buildCandidateOptions();
+        renderPortfolioRisk();
+        document.getElementById('menu-overlay').classList.remove('hidden');
+    });
+
+    document.getElementById('close-menu').addEventListener('click', () => {
+        document.getElementById('menu-overlay').classList.add('hidden');
+    });
+
+    document.getElementById('menu-overlay').addEventListener('click', e => {
+        if (e.target.id === 'menu-overlay') {
+            document.getElementById('menu-overlay').classList.add('hidden');
+        }
+    });
+
+    // Payout editor
+    document.getElementById('payouts-editor').addEventListener('input', e => {
+        if (e.target.classList.contains('payout-input')) {
+            handlePayoutInput();
+        }
+    });
+    document.getElementById('payouts-reset').addEventListener('click', handlePayoutReset);
+
+    // Pot model backtest
+    document.getElementById('backtest-select').addEventListener('change', renderPotBacktest);
+    document.getElementById('plan-risk').addEventListener('change', handlePlanRiskChange);
+
+    // Portfolio candidate
+    document.getElementById('candidate-select').addEventListener('change', e => {
+        const key = e.target.value;
+        if (key) {
+            const ev = evToDollars(getItemEV(key), estimateFinalPot().mid);
+            document.getElementById('candidate-price').value = Math.round(ev);
+        }
+        renderPortfolioRisk();
+    });
+    document.getElementById('candidate-price').addEventListener('input', renderPortfolioRisk);
+
+    // Win model refit
+    document.getElementById('games-file').addEventListener('change', handleGamesFile);
+    document.getElementById('win-refit-btn').addEventListener('click', handleWinModelRefit);
+    document.getElementById('win-model').addEventListener('click', handleWinModelClick);
+
+    // Rating sources
+    document.getElementById('rating-weights').addEventListener('change', handleRatingWeightChange);
+    document.getElementById('ratings-file').addEventListener('change', handleRatingsFile);
+    document.getElementById('ratings-clear-btn').addEventListener('click', () => setTeamRatings({}));
+
+    // What-if overrides
+    document.getElementById('what-if-team').addEventListener('change', handleWhatIfTeamChange);
+    document.getElementById('what-if-apply').addEventListener('click', handleWhatIfApply);
+    document.getElementById('what-if-list').addEventListener('click', handleWhatIfListClick);
+
+    // Quick entry; "/" jumps to it from anywhere but a field
+    document.getElementById('command-form').addEventListener('submit', e => {
+        e.preventDefault();
+        commitCommand();
+    });
+    document.getElementById('command-input').addEventListener('input', renderCommandPreview);
+    document.getElementById('command-input').addEventListener('keydown', handleCommandKey);
+    document.getElementById('command-bar').addEventListener('click', handleCommandClick);
+    document.addEventListener('keydown', e => {
+        if (e.key === '/' && !e.target.closest('input, select, textarea')) {
+            e.preventDefault();
+            document.getElementById('command-input').focus();
+        }
+    });
+
+    // History explorer
+    document.getElementById('history-matchup').addEventListener('change', renderMatchupHistory);
+    document.getElementById('history-team').addEventListener('change', renderTeamAnalogs);
+
+    // Practice mode; Enter bids the limit in the box
+    document.getElementById('practice-start').addEventListener('click', startPractice);
+    document.getElementById('practice-lot').addEventListener('click', handlePracticeClick);
+    document.getElementById('practice-lot').addEventListener('keydown', e => {
+        if (e.key === 'Enter' && e.target.id === 'practice-bid') bidPractice(parseFloat(e.target.value) || 0);
+    });
+
+    // Market price model
+    document.getElementById('market-file').addEventListener('change', handleAddAuctionFile);
+    document.getElementById('market-auctions').addEventListener('click', handleRemoveAuction);
+
+    // Season field
+    document.getElementById('year-select').addEventListener('change', e => {
+        setSeasonYear(Number(e.target.value));
+    });
+    document.getElementById('season-import-btn').addEventListener('click', handleSeasonImport);
+
+    // Data buttons
+    document.getElementById('clear-btn').addEventListener('click', handleClear);
+    document.getElementById('export-btn').addEventListener('click', handleExport);
+    document.getElementById('export-csv-btn').addEventListener('click', handleExportCsv);
+    document.getElementById('import-report').addEventListener('click', handleImportReportClick);
+    document.getElementById('import-btn').addEventListener('click', () => {
+        document.getElementById('import-file').click();
+    });
+    document.getElementById('import-file').addEventListener('change', handleImport);
+}
+
+// Switch active region
+function switchRegion(region) {
+    state.activeRegion = region;
+
+    // Update tabs
+    document.querySelectorAll('.tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.region === region);
+    });
+
+    // Update panels
+    document.querySelectorAll('.region-panel').forEach(panel => {
+        panel.classList.toggle('active', panel.dataset.region === region);
+    });
+
+    saveState();
+}
+
+// Handle price input
+function handlePriceInput(input) {
+    const key = input.dataset.key;
+    const value = parseFloat(input.value) || 0;
+
+    // Typing only repaints; it's logged, saved and synced once, on
+    // commit (see handlePriceCommit)
+    if (input.dataset.from === undefined) input.dataset.from = state.prices[key] || 0;
+
+    if (value > 0) {
+        state.prices[key] = value;
+        input.classList.add('has-value');
+    } else {
+        delete state.prices[key];
+        input.classList.remove('has-value');
+    }
+
+    updateInputStyle(input);
+    updateAll();
+}
+
+// Log and save a typed price once the input is committed (blur or enter)
+function handlePriceCommit(input) {
+    const key = input.dataset.key;
+    if (input.dataset.from === undefined) return;
+
+    clearSharesForSale(key, state.prices[key], getOwner(key));
+    logEvent('price', key, Number(input.dataset.from), state.prices[key] || 0);
+    delete input.dataset.from;
+    notePlanDrops();
+    renderEventLog();
+    saveState();
+}
+
+// Handle mine button click (shortcut for buyer = me)
+function handleMineClick(btn) {
+    const key = btn.dataset.key;
+    const prev = getOwner(key);
+    clearSharesForSale(key, state.prices[key], prev === 'me' ? null : 'me');
+    setOwner(key, prev === 'me' ? null : 'me');
+    logEvent('owner', key, prev, getOwner(key));
+    syncOwnerControls(key);
+
+    updateAll();
+    notePlanDrops();
+    saveState();
+}
+
+// Handle buyer selection
+function handleBuyerSelect(select) {
+    const key = select.dataset.key;
+    const prev = getOwner(key);
+    clearSharesForSale(key, state.prices[key], select.value || null);
+    setOwner(key, select.value || null);
+    logEvent('owner', key, prev, getOwner(key));
+    syncOwnerControls(key);
+
+    updateAll();
+    notePlanDrops();
+    saveState();
+}
+
+// Show an item's current price and buyer on its card, unless its
+// price is being typed
+function syncItemControls(key) {
+    const input = document.querySelector(`.price-input[data-key="${key}"]`);
+    if (input && input !== document.activeElement) {
+        input.value = state.prices[key] || '';
+        input.classList.toggle('has-value', state.prices[key] > 0);
+    }
+    syncOwnerControls(key);
+}
+
+// Keep a card's star and buyer picker in step
+function syncOwnerControls(key) {
+    const btn = document.querySelector(`.mine-btn[data-key="${key}"]`);
+    const select = document.querySelector(`.buyer-select[data-key="${key}"]`);
+
+    if (btn) {
+        btn.classList.toggle('active', isMine(key));
+        btn.textContent = isMine(key) ? '★' : '☆';
+    }
+    if (select) select.value = getOwner(key) || '';
+}
+
+// Update input styling based on the item's team-specific EV
+function updateInputStyle(input, estPot = estimateFinalPot()) {
+    const key = input.dataset.key;
+    const price = state.prices[key];
+    const { max } = getBidTargets(getItemEV(key), estPot.mid);
+
+    input.classList.remove('over-ev');
+    if (price && price > max) {
+        input.classList.add('over-ev');
+    }
+}
+
+// Calculate current pot
+function calculateCurrentPot() {
+    return Object.values(state.prices).reduce((sum, p) => sum + p, 0);
+}
+
+// Count items sold
+function countItemsSold() {
+    return Object.keys(state.prices).filter(k => state.prices[k] > 0).length;
+}
+
+// Items sold so far, in sale order: when the log first shows each
+// current sale, then any price the log doesn't cover
+function getSalesInOrder() {
+    const log = replayLive ? state.log.slice(0, replayCount) : state.log;
+    return orderSales(state.prices, log);
+}
+
+function orderSales(prices, log) {
+    const order = [];
+
+    log.forEach(e => {
+        if (e.kind !== 'price') return;
+        const i = order.indexOf(e.key);
+        if (e.to > 0 && i < 0) order.push(e.key);
+        if (!(e.to > 0) && i >= 0) order.splice(i, 1);
+    });
+    Object.keys(prices).forEach(k => {
+        if (!order.includes(k)) order.push(k);
+    });
+
+    return order
+        .filter(k => prices[k] > 0)
+        .map(k => ({ key: k, price: prices[k] }));
+}
+
+// Estimate final pot with prediction interval. With excludeKey, projects
+// the pot from every other item (what the room adds besides that item).
+function estimateFinalPot(excludeKey = null) {
+    if (!potModel) potModel = fitPotModel(getPastAuctions());
+    return projectPot(potModel, getSalesInOrder(), excludeKey);
+}
+
+// ============================================================
+// BRACKET VIEW
+// All 64 teams in bracket order under their own tab, each shaded
+// by its chance of reaching every round, with the buyer and price
+// of its item. Tapping a team opens its likely path: per round, the
+// chance it gets there and who it most likely meets (Engine.getTeamPath).
+// ============================================================
+
+const BRACKET_TAB = 'Bracket';
+
+// Column per round, labelled by the round a win takes the team to
+const REACH_LABELS = ['R32', 'S16', 'E8', 'F4', 'Final', 'Champ'];
+
+// Seed line whose path is open ("East_1"), or null
+let bracketFocus = null;
+
+function formatChance(p) {
+    if (p <= 0) return '&ndash;';
+    if (p < 0.005) return '&lt;1';
+    return String(Math.round(p * 100));
+}
+
+// One team: seed, name and a shaded cell per round
+function createBracketTeam(region, seed) {
+    const key = `${region}_${seed}`;
+    const probs = getBracketResult().probs[region]?.[seed] || {};
+    const wins = getTeamWins(region, seed);
+    const out = wins < ROUNDS.length && !(probs[ROUNDS[wins]] > 0);
+    const cells = ROUNDS.map(round => {
+        const p = probs[round] || 0;
+        return `<span class="bracket-cell heat-${Math.round(p * 10)}">${formatChance(p)}</span>`;
+    }).join('');
+
+    return `
+        <button class="bracket-team ${bracketFocus === key ? 'focus' : ''} ${out ? 'eliminated' : ''}" data-bracket-slot="${key}">
+            <span class="bracket-seed">${seed}</span>
+            <span class="bracket-name">${escapeHtml(getTeamName(region, seed))}</span>
+            ${cells}
+        </button>
+    `;
+}
+
+// Likeliest opponents per round for the focused team
+function createBracketPath(region, seed) {
+    const path = Engine.getTeamPath(getEngineEnv(), getBracketResult(), region, seed);
+    const wins = getTeamWins(region, seed);
+
+    const rounds = path.filter(step => step.plays > 0).map((step, r) => {
+        const opponents = step.opponents.map(o => `
+            <div>${o.region === region ? '' : `${o.region} `}${o.seed} ${escapeHtml(o.team)}
+                <small>meets ${formatChance(o.meet)}% &middot; wins ${formatChance(o.win)}%</small></div>
+        `).join('');
+        const status = r < wins ? 'Won' : `${formatChance(step.plays)}% there &middot; ${formatChance(step.wins)}% win`;
+        return `
+            <div class="path-round">
+                <span>${ROUND_NAMES[r]} <small>${status}</small></span>
+                <span>${opponents}</span>
+            </div>
+        `;
+    }).join('');
+
+    return `<div class="bracket-path">${rounds || '<p class="empty-msg">Out of the tournament</p>'}</div>`;
+}
+
+// A first-round game is one auction item: buyer and price above it
+function createBracketGame(region, highSeed, lowSeed) {
+    const key = getItemKeyForSeed(region, highSeed);
+    const matchup = CONFIG.matchups.find(m => `${region}_${m.id}` === key);
+    const owner = getOwner(key);
+    const price = state.prices[key];
+    const sale = price > 0
+        ? `${owner ? escapeHtml(getParticipant(owner)?.name || owner) : 'No buyer'} &middot; ${formatCurrency(price)}`
+        : 'Unsold';
+    const focus = [highSeed, lowSeed].find(seed => bracketFocus === `${region}_${seed}`);
+
+    return `
+        <div class="bracket-game ${isMine(key) ? 'mine' : ''}">
+            <div class="bracket-item"><span>${matchup?.label || ''}</span><span>${isMine(key) ? '★ ' : ''}${sale}</span></div>
+            ${createBracketTeam(region, highSeed)}
+            ${createBracketTeam(region, lowSeed)}
+            ${focus ? createBracketPath(region, focus) : ''}
+        </div>
+    `;
+}
+
+function createBracketHead(title) {
+    return `
+        <div class="bracket-head">
+            <span class="bracket-title">${title}</span>
+            ${REACH_LABELS.map(label => `<span>${label}</span>`).join('')}
+        </div>
+    `;
+}
+
+// A region in bracket order: halves meet in the Elite 8, pods of two
+// games in the Sweet 16
+function createBracketRegion(region) {
+    const halves = [0, 8].map(half => [half, half + 4].map(pod => {
+        const games = [pod, pod + 2].map(i => createBracketGame(region, BRACKET_ORDER[i], BRACKET_ORDER[i + 1]));
+        return `<div class="bracket-pod">${games.join('')}</div>`;
+    }).join(''));
+
+    return `
+        <div class="bracket-region">
+            ${createBracketHead(region)}
+            ${halves.map(half => `<div class="bracket-half">${half}</div>`).join('')}
+        </div>
+    `;
+}
+
+// Each semifinal's two likeliest teams per region
+function createBracketFinalFour() {
+    const semis = getFinalFourPairs().map(pair => {
+        const teams = pair.flatMap(region => BRACKET_ORDER
+            .map(seed => ({ region, seed, p: getBracketResult().probs[region]?.[seed]?.E8 || 0 }))
+            .sort((a, b) => b.p - a.p)
+            .slice(0, 2));
+        const focus = teams.find(t => bracketFocus === `${t.region}_${t.seed}`);
+        return `
+            <div class="bracket-pod">
+                <div class="bracket-item"><span>${pair.join(' vs ')}</span></div>
+                ${teams.map(t => createBracketTeam(t.region, t.seed)).join('')}
+                ${focus ? createBracketPath(focus.region, focus.seed) : ''}
+            </div>
+        `;
+    }).join('');
+
+    return `
+        <div class="bracket-region">
+            ${createBracketHead('Final Four')}
+            ${semis}
+        </div>
+    `;
+}
+
+function createBracketPanel() {
+    const panel = document.createElement('div');
+    panel.className = `region-panel bracket-panel ${state.activeRegion === BRACKET_TAB ? 'active' : ''}`;
+    panel.dataset.region = BRACKET_TAB;
+    renderBracketPanel(panel);
+    return panel;
+}
+
+function renderBracketPanel(panel = document.querySelector('.bracket-panel')) {
+    if (!panel) return;
+    panel.innerHTML = `
+        <p class="hint">Chance (%) of reaching each round; tap a team for its likely path</p>
+        ${getFinalFourPairs().flat().map(createBracketRegion).join('')}
+        ${createBracketFinalFour()}
+    `;
+}
+
+function handleBracketTeamClick(btn) {
+    const key = btn.dataset.bracketSlot;
+    bracketFocus = bracketFocus === key ? null : key;
+    renderBracketPanel();
+}
+
+// ============================================================
+// POT PROJECTION MODEL
+// Log-price model from engine.js, calibrated on the past auctions
+// (see getPastAuctions) and updated live from the items sold so far
+// ============================================================
+
+let potModel = null;
+
+// All auction item keys
+function getAllItemKeys() {
+    return Engine.getAllItemKeys(CONFIG);
+}
+
+// "East 8/9" for an item key
+function getItemLabel(key) {
+    const { region, matchupId } = parseItemKey(key);
+    const matchup = CONFIG.matchups.find(m => m.id === matchupId);
+    return `${region} ${matchup?.label || matchupId}`;
+}
+
+function fitPotModel(auctions) {
+    return Engine.fitPotModel(CONFIG, auctions);
+}
+
+function projectPot(model, sales, excludeKey = null) {
+    return Engine.projectPot(CONFIG, model, sales, excludeKey);
+}
+
+// Replay a past auction item by item, projecting the final pot after
+// each sale. Calibrates on the other auctions when there are any.
+function backtestPotModel(auctionIndex) {
+    const auctions = getPastAuctions();
+    const auction = auctions[auctionIndex];
+    const others = auctions.filter((_, i) => i !== auctionIndex);
+    const inSample = others.length === 0;
+    const model = fitPotModel(inSample ? auctions : others);
+    const actual = auction.sales.reduce((sum, s) => sum + s.price, 0);
+
+    const steps = [];
+    for (let n = 0; n <= auction.sales.length; n++) {
+        const est = projectPot(model, auction.sales.slice(0, n));
+        steps.push({ sold: n, ...est, covered: actual >= est.low && actual <= est.high });
+    }
+
+    return { year: auction.year, actual, inSample, steps };
+}
+
+// ============================================================
+// MARKET PRICE MODEL
+// Predicted clearing prices from engine.js's market model, fitted
+// on data.json's past auctions plus any added here from tracker
+// exports or results CSVs. The board ranks unsold items by EV
+// dollars minus predicted price: where the room leaves value.
+// ============================================================
+
+const PAST_AUCTIONS_KEY = 'ncaa_past_auctions';
+
+// Past auctions added in the browser: [{ year, pot, rake, sales, bracket, source }]
+let addedAuctions = [];
+
+// Fitted lazily; undefined until then, null with no past sales
+let marketModel;
+
+function loadAddedAuctions() {
+    try {
+        addedAuctions = JSON.parse(localStorage.getItem(PAST_AUCTIONS_KEY)) || [];
+    } catch (e) {
+        addedAuctions = [];
+    }
+}
+
+function saveAddedAuctions() {
+    try {
+        localStorage.setItem(PAST_AUCTIONS_KEY, JSON.stringify(addedAuctions));
+    } catch (e) {
+        console.warn('Save failed:', e);
+    }
+}
+
+function getPastAuctions() {
+    return [...(CONFIG.pastAuctions || []), ...addedAuctions];
+}
+
+// Fields by year, for past auctions that don't carry their own
+function getPastBrackets() {
+    const brackets = {};
+    if (getBundledYear()) brackets[getBundledYear()] = CONFIG.bracket2025;
+    Object.values(importedSeasons).forEach(season => { brackets[season.year] = season.bracket; });
+    return brackets;
+}
+
+function getMarketModel() {
+    if (marketModel === undefined) {
+        marketModel = Engine.fitMarketModel(getEngineEnv(), getPastAuctions(), getPastBrackets());
+    }
+    return marketModel;
+}
+
+function getMarketBoard() {
+    const model = getMarketModel();
+    if (!model) return [];
+    if (!potModel) potModel = fitPotModel(getPastAuctions());
+    return Engine.buildMarketBoard(getEngineEnv(), getBracketResult(), model, potModel, getSalesInOrder(), state.onBlock);
+}
+
+// What the model learned, and the past auctions added here
+function buildMarketPanel() {
+    const model = getMarketModel();
+    const summary = document.getElementById('market-summary');
+
+    if (!model) {
+        summary.innerHTML = '<p class="empty-msg">Add a past auction to predict prices</p>';
+    } else {
+        const chips = CONFIG.matchups
+            .filter(m => model.premiums[m.id])
+            .map(m => `<span class="ratio-chip">${m.label} ${model.premiums[m.id].toFixed(2)}&times; EV</span>`)
+            .join('');
+        summary.innerHTML = `
+            <p class="hint">
+                Fitted on ${model.nAuctions} auction${model.nAuctions === 1 ? '' : 's'} (${model.nSales} sales).
+                Prices follow ${Math.round(model.rating * 100)}% of a team's rating edge over its seed,
+                late-sale drift ${model.drift >= 0 ? '+' : ''}${Math.round(model.drift * 100)}%,
+                item noise &plusmn;${Math.round(model.sigma * 100)}%. What the room paid per EV dollar:
+            </p>
+            <div class="ratio-chips">${chips}</div>
+        `;
+    }
+
+    document.getElementById('market-auctions').innerHTML = addedAuctions.map((a, i) => `
+        <div class="market-auction">
+            <span>${a.year} &middot; ${a.sales.length} sales &middot; ${formatCurrency(a.pot)} <small>${a.source || ''}</small></span>
+            <button class="btn" data-remove="${i}">Remove</button>
+        </div>
+    `).join('');
+
+    renderMarketBoard();
+    renderPractice();
+}
+
+// Unsold items, best predicted value first; also fills the card chips
+// and re-plans purchases against the new board
+function renderMarketBoard() {
+    const board = getMarketBoard();
+    const container = document.getElementById('market-board');
+
+    renderPurchasePlan(board);
+
+    document.querySelectorAll('[data-market]').forEach(el => { el.textContent = ''; });
+    board.forEach(row => {
+        const chip = document.querySelector(`[data-market="${row.key}"]`);
+        const planned = currentPlan.rows[row.key];
+        if (chip) {
+            chip.textContent = `Room ~${formatCurrency(row.price.mid)}` +
+                (planned?.inPlan ? ` · plan ≤${formatCurrency(planned.ceiling)}` : '');
+        }
+    });
+
+    if (board.length === 0) {
+        container.innerHTML = getMarketModel() ? '<p class="empty-msg">Every item is sold</p>' : '';
+        return;
+    }
+
+    container.innerHTML = board.map(row => {
+        const { region, matchupId } = parseItemKey(row.key);
+        const matchup = CONFIG.matchups.find(m => m.id === matchupId);
+        const teams = `${escapeHtml(getTeamName(region, matchup.highSeed))} / ${escapeHtml(getTeamName(region, matchup.lowSeed))}`;
+        const cls = row.gap >= 0 ? 'up' : 'down';
+        return `
+            <div class="market-row ${row.key === state.onBlock ? 'on-block' : ''}">
+                <span class="market-item">${getItemLabel(row.key)} <small>${teams}</small></span>
+                <span class="market-price-range" title="90% range ${formatCurrency(row.price.low)}-${formatCurrency(row.price.high)}">
+                    ~${formatCurrency(row.price.mid)} <small>EV ${formatCurrency(row.evDollars)}</small>
+                </span>
+                <span class="market-gap ${cls}">${row.gap >= 0 ? '+' : '&minus;'}${formatCurrency(Math.abs(row.gap))}</span>
+            </div>
+        `;
+    }).join('');
+}
+
+// A finished auction from a tracker export (sale order from its log)
+// or a results CSV (sale order is row order)
+function readPastAuction(filename, text, year) {
+    let prices;
+    let log = [];
+    let payouts = null;
+    let bracket = null;
+
+    if (/\.csv$/i.test(filename)) {
+        const parsed = parseAuctionCsv(text);
+        if (!parsed.state) throw new Error(parsed.errors.join('; '));
+        prices = parsed.state.prices;
+    } else {
+        const data = readExport(JSON.parse(text));
+        const parsed = validateState(data.state);
+        if (!parsed.state) throw new Error(parsed.errors.join('; '));
+        prices = parsed.state.prices || {};
+        log = parsed.state.log || [];
+        payouts = parsed.state.payouts || null;
+        year = parsed.state.year || data.field?.year || year;
+        bracket = data.field?.bracket || null;
+    }
+
+    if (!year) throw new Error('Enter the year the auction was held');
+    if (getPastAuctions().some(a => a.year === year)) {
+        throw new Error(`There is already a ${year} auction; remove it first`);
+    }
+
+    const sales = orderSales(prices, log);
+    if (sales.length === 0) throw new Error(`${filename} has no sales`);
+    const pot = sales.reduce((sum, s) => sum + s.price, 0);
+    const env = Engine.createEnv(CONFIG, { payouts: payouts || getPayoutStructure() });
+
+    return {
+        year,
+        pot,
+        rake: pot - Engine.getNetPot(env, pot),
+        sales,
+        ...(bracket ? { bracket } : {}),
+        source: filename
+    };
+}
+
+async function handleAddAuctionFile(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const report = document.getElementById('market-report');
+    const year = parseInt(document.getElementById('market-year').value, 10) || null;
+    try {
+        const auction = readPastAuction(file.name, await file.text(), year);
+        addedAuctions.push(auction);
+        report.innerHTML = `<p class="hint">Added the ${auction.year} auction: ${auction.sales.length} sales, ${formatCurrency(auction.pot)} pot.</p>`;
+    } catch (err) {
+        report.innerHTML = `<p class="season-error">${escapeHtml(err.message)}</p>`;
+        return;
+    }
+    refitPastAuctions();
+}
+
+function handleRemoveAuction(e) {
+    const index = e.target.dataset.remove;
+    if (index === undefined) return;
+    addedAuctions.splice(Number(index), 1);
+    document.getElementById('market-report').innerHTML = '';
+    refitPastAuctions();
+}
+
+// Past auctions changed: refit both models
+function refitPastAuctions() {
+    saveAddedAuctions();
+    potModel = fitPotModel(getPastAuctions());
+    marketModel = undefined;
+    buildPotModelPanel();
+    buildMarketPanel();
+    updateAll();
+}
+
+// ============================================================
+// PURCHASE PLANNER
+// What to go after with the budget left: engine.js's planner over
+// the market board at the chosen risk preference. Re-plans on every
+// update, so each sale (won or lost) reshuffles the plan; items that
+// fall out are listed with the reason until the next change.
+// ============================================================
+
+// Latest plan: { keys: Set of planned items, rows: { key: planner row } }
+let currentPlan = { keys: new Set(), rows: {} };
+
+// Plan as of the last committed sale; drops are measured against it
+// so typing a price doesn't re-plan the list at every keystroke
+let planBaseline = null;
+
+// [{ key, before }] for items the last committed sale dropped, with the
+// plan row they had; reasons are written from the current board
+let planDrops = [];
+
+function getPurchasePlan(board) {
+    const budgetLeft = state.budget - calculateSpent();
+    return Engine.planPurchases(getEngineEnv(), getBracketResult(), board, budgetLeft,
+        { risk: state.risk, bankroll: state.budget });
+}
+
+// Why an item that was in the plan no longer is
+function explainPlanDrop(key, before, plan) {
+    const price = state.prices[key];
+    if (price > 0) {
+        const owner = getOwner(key);
+        if (owner === 'me') return `Bought for ${formatCurrency(price)}`;
+        const buyer = owner ? escapeHtml(getParticipant(owner)?.name || owner) : 'someone else';
+        const missed = price <= before.ceiling ? `, under your ${formatCurrency(before.ceiling)} ceiling` : '';
+        return `Sold to ${buyer} for ${formatCurrency(price)}${missed}`;
+    }
+
+    const row = plan.rows.find(r => r.key === key);
+    if (!row) return 'No price prediction any more';
+    const predicted = formatCurrency(row.price.mid);
+    switch (row.reason) {
+        case 'no-edge':
+            return `Now predicted at ${predicted}, above its ${formatCurrency(row.evDollars)} EV`;
+        case 'risk':
+            return `Predicted ${predicted} is more than it is worth after the risk charge (${formatCurrency(row.value)})`;
+        case 'budget':
+            return `Predicted ${predicted} is more than the ${formatCurrency(plan.budget)} left`;
+        default:
+            return `The budget goes further on other items; still worth it under ${formatCurrency(row.ceiling)}`;
+    }
+}
+
+function renderPlanRow(row, note) {
+    const { region, matchupId } = parseItemKey(row.key);
+    const matchup = CONFIG.matchups.find(m => m.id === matchupId);
+    return `
+        <div class="market-row ${row.key === state.onBlock ? 'on-block' : ''}">
+            <span class="market-item">${getItemLabel(row.key)}
+                <small>${escapeHtml(getTeamName(region, matchup.highSeed))} / ${escapeHtml(getTeamName(region, matchup.lowSeed))}</small></span>
+            <span class="market-price-range">~${formatCurrency(row.price.mid)} <small>EV ${formatCurrency(row.evDollars)}</small></span>
+            <span class="plan-ceiling" title="${note}">&le;${formatCurrency(row.ceiling)}</span>
+        </div>
+    `;
+}
+
+// Re-plan, note what dropped out, and fill the Purchase Plan panel
+function renderPurchasePlan(board) {
+    const plan = getPurchasePlan(board);
+    const keys = new Set(plan.rows.filter(r => r.inPlan).map(r => r.key));
+    currentPlan = { keys, rows: Object.fromEntries(plan.rows.map(r => [r.key, r])), plan };
+    if (!planBaseline) planBaseline = currentPlan;
+
+    document.getElementById('plan-risk').value = state.risk;
+    const summary = document.getElementById('plan-summary');
+    const list = document.getElementById('plan-list');
+    const planned = plan.rows.filter(r => r.inPlan);
+    const nextBest = plan.rows
+        .filter(r => r.reason === 'displaced' && r.ceiling > 0)
+        .sort((a, b) => b.ceiling / b.price.mid - a.ceiling / a.price.mid)
+        .slice(0, 3);
+
+    if (!getMarketModel()) {
+        summary.innerHTML = '<p class="empty-msg">Add a past auction under Market to predict prices</p>';
+    } else if (board.length === 0) {
+        summary.innerHTML = '<p class="empty-msg">Every item is sold</p>';
+    } else if (plan.budget <= 0) {
+        summary.innerHTML = '<p class="empty-msg">No budget left</p>';
+    } else if (planned.length === 0) {
+        summary.innerHTML = '<p class="empty-msg">Nothing unsold is worth its predicted price at this risk level</p>';
+    } else {
+        summary.innerHTML = `
+            <p class="hint">
+                Spend ~${formatCurrency(plan.spend)} of ${formatCurrency(plan.budget)} left on
+                ${planned.length} item${planned.length === 1 ? '' : 's'} for ${formatCurrency(plan.ev)} EV
+                (${formatCurrency(plan.value)} after the risk charge). Ceilings assume the rest of the plan
+                goes at its predicted price.
+            </p>
+        `;
+    }
+
+    list.innerHTML = planned.map(row => renderPlanRow(row, 'Most to pay and keep it in the plan')).join('') +
+        (nextBest.length ? '<p class="hint">Next best, if they go cheap:</p>' +
+            nextBest.map(row => renderPlanRow(row, 'Worth replacing part of the plan under this price')).join('') : '');
+
+    renderPlanDrops();
+}
+
+// Call once a sale is committed and the board re-planned
+function notePlanDrops() {
+    if (!planBaseline) return;
+    const dropped = [...planBaseline.keys].filter(key => !currentPlan.keys.has(key));
+    if (dropped.length) planDrops = dropped.map(key => ({ key, before: planBaseline.rows[key] }));
+    planBaseline = currentPlan;
+    renderPlanDrops();
+}
+
+// Items the last committed sale dropped that are still out of the plan
+function renderPlanDrops() {
+    const drops = planDrops.filter(d => !currentPlan.keys.has(d.key));
+    document.getElementById('plan-drops').innerHTML = drops.length
+        ? '<p class="hint">Dropped from the plan:</p>' + drops.map(d => `
+            <div class="plan-drop ${getOwner(d.key) === 'me' && state.prices[d.key] > 0 ? 'bought' : ''}">
+                <strong>${getItemLabel(d.key)}</strong> ${explainPlanDrop(d.key, d.before, currentPlan.plan)}
+            </div>
+        `).join('')
+        : '';
+}
+
+function handlePlanRiskChange(e) {
+    state.risk = e.target.value;
+    saveState();
+    updateAll();
+    notePlanDrops();
+}
+
+// ============================================================
+// OWNERSHIP LEDGER
+// Every item records its buyer from the participant list;
+// "me" is always a participant and owns the old starred items.
+// An item can be split between partners in state.shares;
+// otherwise its buyer owns all of it. Spend, EV and winnings
+// are counted per partner by share.
+// ============================================================
+
+// Slack allowed when shares are checked against 100%
+const SHARE_TOLERANCE = 0.01;
+
+// Participants, always starting with "me"
+function getParticipants() {
+    if (!state.participants?.some(p => p.id === 'me')) {
+        state.participants = [{ id: 'me', name: 'Me' }, ...(state.participants || [])];
+    }
+    return state.participants;
+}
+
+// Id not yet used by any of `participants`; Date.now() alone repeats
+// within a millisecond
+function newParticipantId(participants = getParticipants()) {
+    const base = `p${Date.now().toString(36)}`;
+    let id = base;
+    for (let n = 1; participants.some(p => p.id === id); n++) id = `${base}${n}`;
+    return id;
+}
+
+function getParticipant(id) {
+    return getParticipants().find(p => p.id === id) || null;
+}
+
+// Buyer of an item (participant id), or null
+function getOwner(key) {
+    return state.owners?.[key] || null;
+}
+
+function isMine(key) {
+    return getShare(key, 'me') > 0;
+}
+
+function setOwner(key, id) {
+    state.owners = state.owners || {};
+    if (id) {
+        state.owners[key] = id;
+    } else {
+        delete state.owners[key];
+    }
+}
+
+// Percent held per participant: the split if the item is sold, else the buyer's 100
+function getShares(key) {
+    if (state.shares?.[key] && state.prices[key] > 0) return state.shares[key];
+    const owner = getOwner(key);
+    return owner ? { [owner]: 100 } : {};
+}
+
+// Fraction of an item a participant holds
+function getShare(key, id) {
+    return (getShares(key)[id] || 0) / 100;
+}
+
+// Problem with a split ({ id: percent }), or null if it is valid.
+// `isKnown` checks partner ids; imports check against the file's list.
+function validateShares(shares, isKnown = id => !!getParticipant(id)) {
+    const entries = Object.entries(shares);
+    const unknown = entries.find(([id]) => !isKnown(id));
+    if (unknown) return `Unknown partner "${unknown[0]}"`;
+    if (entries.some(([, pct]) => !(Number.isFinite(pct) && pct > 0 && pct <= 100))) {
+        return 'Each share must be between 0% and 100%';
+    }
+
+    const total = entries.reduce((sum, [, pct]) => sum + pct, 0);
+    if (Math.abs(total - 100) > SHARE_TOLERANCE) {
+        return `Shares total ${+total.toFixed(2)}%; they must total 100%`;
+    }
+    return null;
+}
+
+// Split an item; a split the buyer holds alone (or none) is dropped
+function setShares(key, shares) {
+    state.shares = state.shares || {};
+    const ids = Object.keys(shares || {});
+    if (ids.length === 0 || (ids.length === 1 && ids[0] === getOwner(key))) {
+        delete state.shares[key];
+    } else {
+        state.shares[key] = shares;
+    }
+}
+
+// setShares, logged so replay and undo restore the split
+function changeShares(key, shares) {
+    const prev = state.shares?.[key] || null;
+    setShares(key, shares);
+    logEvent('shares', key, prev, state.shares?.[key] || null);
+}
+
+// A split belongs to one sale: clear it before the price is cleared
+// or the buyer changes
+function clearSharesForSale(key, price, owner) {
+    if (state.shares?.[key] && (!(price > 0) || owner !== getOwner(key))) changeShares(key, null);
+}
+
+// A split with its partner ids passed through `fn`, for sessions and merges
+function mapShareIds(shares, fn) {
+    return Object.fromEntries(Object.entries(shares).map(([id, pct]) => [fn(id), pct]));
+}
+
+// Items a participant holds any share of
+function getOwnedKeys(ownerId = 'me') {
+    const keys = new Set([...Object.keys(state.owners || {}), ...Object.keys(state.shares || {})]);
+    return [...keys].filter(k => getShare(k, ownerId) > 0);
+}
+
+// Pre-ledger saves and exports flag my items in `mine: { key: true }`
+function migrateMineFlags(s) {
+    if (s.mine) {
+        s.owners = s.owners || {};
+        Object.keys(s.mine).forEach(k => {
+            if (s.mine[k] && !s.owners[k]) s.owners[k] = 'me';
+        });
+        delete s.mine;
+    }
+    return s;
+}
+
+// <option>s for the buyer picker
+function createBuyerOptions(selected) {
+    return '<option value="">&mdash;</option>' + getParticipants().map(p =>
+        `<option value="${escapeHtml(p.id)}" ${p.id === selected ? 'selected' : ''}>${escapeHtml(p.name)}</option>`
+    ).join('');
+}
+
+// Budget for a participant; mine comes from the header
+function getParticipantBudget(id) {
+    if (id === 'me') return state.budget;
+    return getParticipant(id)?.budget || 0;
+}
+
+// Spend, budget, expected payout and results per participant
+function getLeaderboard() {
+    const estPot = estimateFinalPot();
+    const netPot = getNetPot(getSettlementPot());
+
+    return getParticipants().map(p => {
+        const keys = getOwnedKeys(p.id).filter(k => state.prices[k] > 0);
+        const spent = calculateSpent(null, p.id);
+        const budget = getParticipantBudget(p.id);
+        const outcomes = keys.map(k => {
+            const outcome = getItemOutcome(k, netPot);
+            const share = getShare(k, p.id);
+            return { banked: outcome.banked * share, upside: outcome.upside * share };
+        });
+
+        return {
+            id: p.id,
+            name: p.name,
+            items: keys.length,
+            spent,
+            budget,
+            left: budget ? budget - spent : null,
+            ev: calculateExpectedPayout(p.id, estPot),
+            banked: outcomes.reduce((sum, o) => sum + o.banked, 0),
+            upside: outcomes.reduce((sum, o) => sum + o.upside, 0)
+        };
+    });
+}
+
+// Calculate spent on purchases, by share
+function calculateSpent(excludeKey = null, ownerId = 'me') {
+    return getOwnedKeys(ownerId)
+        .filter(k => k !== excludeKey)
+        .reduce((sum, k) => sum + (state.prices[k] || 0) * getShare(k, ownerId), 0);
+}
+
+// Calculate expected payout from each item's team-specific EV, by share
+function calculateExpectedPayout(ownerId = 'me', estPot = estimateFinalPot()) {
+    return getOwnedKeys(ownerId)
+        .reduce((sum, k) => sum + evToDollars(getItemEV(k), estPot.mid) * getShare(k, ownerId), 0);
+}
+
+// Get purchases list; price is the owner's part of the sale price
+function getPurchases(ownerId = 'me') {
+    return getOwnedKeys(ownerId)
+        .filter(k => state.prices[k] > 0)
+        .map(k => {
+            const { region, matchupId } = parseItemKey(k);
+            const matchup = CONFIG.matchups.find(m => m.id === matchupId);
+            const share = getShare(k, ownerId);
+
+            return {
+                key: k,
+                name: `${getTeamName(region, matchup.highSeed)} (${region})`,
+                price: state.prices[k] * share,
+                share
+            };
+        });
+}
+
+// ============================================================
+// PORTFOLIO RISK SIMULATION
+// Plays the whole tournament many times so that correlated
+// outcomes (two teams in one region, a team and its R32
+// opponent) show up in the payout distribution
+// ============================================================
+
+const SIM_COUNT = 5000;
+const SIM_SEED = 20250316;
+
+// Cached { slotIndex: { "East_1": 0, ... }, n, wins: Uint8Array(SIM_COUNT * n) }
+let tournamentSims = null;
+
+// Small seeded PRNG (mulberry32) so runs are repeatable
+function createRng(seed) {
+    let t = seed >>> 0;
+    return function() {
+        t = (t + 0x6D2B79F5) >>> 0;
+        let r = Math.imul(t ^ (t >>> 15), 1 | t);
+        r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+        return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Simulate the tournament, recording games won by every slot
+function simulateTournaments(count, seed) {
+    const env = getEngineEnv();
+    const slots = Engine.buildBracketSlots(env);
+    const entries = Engine.buildBracketEntries(slots);
+    const n = slots.length;
+    const m = entries.length;
+    const rng = createRng(seed);
+
+    const winProb = new Float64Array(m * m);
+    for (let i = 0; i < m; i++) {
+        for (let j = 0; j < m; j++) {
+            if (i !== j) winProb[i * m + j] = Engine.teamWinProb(env, entries[i], entries[j]);
+        }
+    }
+
+    // Entry indexes per slot, for drawing undecided play-in winners
+    const slotEntries = slots.map(() => []);
+    entries.forEach((entry, i) => slotEntries[entry.slot].push(i));
+
+    const wins = new Uint8Array(count * n);
+
+    for (let sim = 0; sim < count; sim++) {
+        let alive = slotEntries.map(options => {
+            if (options.length === 1) return options[0];
+            return rng() < entries[options[0]].p ? options[0] : options[1];
+        });
+
+        while (alive.length > 1) {
+            const next = [];
+            for (let k = 0; k < alive.length; k += 2) {
+                const a = alive[k];
+                const b = alive[k + 1];
+                const round = Math.log2(n / alive.length);
+                const played = slots[entries[a].slot].wins > round ? a
+                    : (slots[entries[b].slot].wins > round ? b : -1);
+                const winner = played !== -1 ? played : (rng() < winProb[a * m + b] ? a : b);
+                wins[sim * n + entries[winner].slot]++;
+                next.push(winner);
+            }
+            alive = next;
+        }
+    }
+
+    const slotIndex = {};
+    slots.forEach((slot, i) => { slotIndex[`${slot.region}_${slot.seed}`] = i; });
+
+    return { slotIndex, n, count, wins };
+}
+
+// Cached simulations for the current bracket and model
+function getTournamentSims() {
+    if (!tournamentSims) tournamentSims = simulateTournaments(SIM_COUNT, SIM_SEED);
+    return tournamentSims;
+}
+
+// Cumulative payout fraction by games won (0-6)
+function getCumulativePayouts() {
+    const fractions = getPayoutFractions();
+    const cumulative = [0];
+    ROUNDS.forEach((round, r) => { cumulative.push(cumulative[r] + fractions[round]); });
+    return cumulative;
+}
+
+// Slot indexes of both teams in an item
+function getItemSlots(key) {
+    const sims = getTournamentSims();
+    const { region, matchupId } = parseItemKey(key);
+    const matchup = CONFIG.matchups.find(m => m.id === matchupId);
+    if (!matchup) return [];
+    return [matchup.highSeed, matchup.lowSeed]
+        .map(seed => sims.slotIndex[`${region}_${seed}`])
+        .filter(i => i !== undefined);
+}
+
+// Quantile of a sorted array
+function quantile(sorted, q) {
+    if (sorted.length === 0) return 0;
+    const pos = (sorted.length - 1) * q;
+    const lo = Math.floor(pos);
+    const hi = Math.ceil(pos);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+// Profit distribution for a set of items ([{ key, price, share }], share
+// defaulting to all of it) across all simulated tournaments, paid from
+// the projected net pot
+function simulatePortfolio(items, grossPot) {
+    const sims = getTournamentSims();
+    const cumulative = getCumulativePayouts();
+    const netPot = getNetPot(grossPot);
+    const spent = items.reduce((sum, item) => sum + item.price, 0);
+    const itemSlots = items.flatMap(item => getItemSlots(item.key).map(slot => ({ slot, weight: item.share ?? 1 })));
+
+    const profits = new Float64Array(sims.count);
+    let zeroCount = 0;
+
+    for (let sim = 0; sim < sims.count; sim++) {
+        let share = 0;
+        itemSlots.forEach(({ slot, weight }) => { share += weight * cumulative[sims.wins[sim * sims.n + slot]]; });
+        const payout = share * netPot;
+        if (payout === 0) zeroCount++;
+        profits[sim] = payout - spent;
+    }
+
+    const sorted = Array.from(profits).sort((a, b) => a - b);
+
+    return {
+        spent,
+        sorted,
+        mean: mean(sorted),
+        median: quantile(sorted, 0.5),
+        p10: quantile(sorted, 0.1),
+        p90: quantile(sorted, 0.9),
+        pProfit: sorted.filter(p => p > 0).length / sims.count,
+        pZero: items.length ? zeroCount / sims.count : 0
+    };
+}
+
+// ============================================================
+// WIN MODEL REFIT
+// Refits the win-probability model from past tournament games
+// with year and round filters, scores it and, once applied,
+// prices the tracker with it instead of data.json's fittedModel
+// ============================================================
+
+// Reachable when the app is served from the repository root; otherwise
+// the CSV is loaded from a file
+const GAMES_URL = '../data/processed/tournament_games_with_barthag.csv';
+
+let historicalGames = null;
+let historicalGamesTried = false;
+let winModelRefit = null;  // Latest refit, shown but not yet in use
+
+// Model the tracker prices with: an applied refit, else data.json's
+function getWinModel() {
+    return state.winModel || CONFIG.fittedModel || Engine.THEORETICAL_MODEL;
+}
+
+function describeWinModel(model) {
+    return `intercept ${model.intercept.toFixed(3)}, coefficient ${model.coefficient.toFixed(3)}`;
+}
+
+async function loadHistoricalGames() {
+    historicalGamesTried = true;
+    try {
+        const response = await fetch(GAMES_URL);
+        if (!response.ok) return;
+        setHistoricalGames(await response.text());
+    } catch (e) {
+        // Not served with the app; the file picker still works
+    }
+}
+
+function setHistoricalGames(text) {
+    try {
+        historicalGames = Engine.parseGames(text);
+    } catch (e) {
+        document.getElementById('win-model-report').innerHTML = `<p class="season-error">${escapeHtml(e.message)}</p>`;
+        return;
+    }
+    winModelRefit = null;
+    historicalTeams = null;
+    buildWinModelPanel();
+    renderTeamAnalogs();
+}
+
+async function handleGamesFile(e) {
+    const file = e.target.files[0];
+    if (file) setHistoricalGames(await file.text());
+}
+
+// Summary of the model in use, and the filters once games are loaded
+function buildWinModelPanel() {
+    const model = getWinModel();
+    const source = state.winModel
+        ? `Refit on ${state.winModel.years} (${state.winModel.rounds.join(', ')}, ${state.winModel.nGames} games)`
+        : `data.json${CONFIG.fittedModel?.fittedFrom ? `: ${CONFIG.fittedModel.fittedFrom}` : ''}`;
+
+    document.getElementById('win-model-summary').innerHTML = `
+        <p class="hint">In use: ${source}, ${describeWinModel(model)}.</p>
+        ${state.winModel ? '<div class="menu-buttons"><button class="btn" data-action="revert">Revert to data.json</button></div>' : ''}
+    `;
+
+    const filters = document.getElementById('win-model-filters');
+    if (!historicalGames) {
+        filters.classList.add('hidden');
+        document.getElementById('win-model-report').innerHTML =
+            '<p class="empty-msg">Load data/processed/tournament_games_with_barthag.csv to refit</p>';
+        if (!historicalGamesTried) loadHistoricalGames();
+        return;
+    }
+
+    const years = [...new Set(historicalGames.map(g => g.year))].sort((a, b) => a - b);
+    const options = years.map(y => `<option value="${y}">${y}</option>`).join('');
+    document.getElementById('win-from').innerHTML = options;
+    document.getElementById('win-to').innerHTML = options;
+    document.getElementById('win-from').value = years[0];
+    document.getElementById('win-to').value = years[years.length - 1];
+
+    const rounds = ROUNDS.filter(r => historicalGames.some(g => g.round === r));
+    document.getElementById('win-rounds').innerHTML = rounds.map(r => `
+        <label><input type="checkbox" value="${r}" checked> ${r}</label>
+    `).join('');
+
+    filters.classList.remove('hidden');
+    renderWinModelReport();
+}
+
+function getWinModelFilter() {
+    const checked = [...document.querySelectorAll('#win-rounds input:checked')].map(el => el.value);
+    return {
+        fromYear: Number(document.getElementById('win-from').value),
+        toYear: Number(document.getElementById('win-to').value),
+        rounds: checked
+    };
+}
+
+function handleWinModelRefit() {
+    try {
+        winModelRefit = Engine.refitWinModel(historicalGames, getWinModelFilter());
+    } catch (e) {
+        winModelRefit = null;
+        document.getElementById('win-model-report').innerHTML = `<p class="season-error">${escapeHtml(e.message)}</p>`;
+        return;
+    }
+    renderWinModelReport();
+}
+
+// Bid target per item at the projected pot, priced with another model
+function getTargetsWithModel(model, grossPot) {
+    const env = { ...getEngineEnv(), model };
+    const bracket = Engine.computeBracket(env);
+    const targets = {};
+    getAllItemKeys().forEach(key => {
+        targets[key] = Engine.getBidTargets(env, Engine.getItemEV(env, bracket, key), grossPot).target;
+    });
+    return targets;
+}
+
+// Metrics, calibration and how the refit would move the bid targets
+function renderWinModelReport() {
+    const container = document.getElementById('win-model-report');
+    if (!winModelRefit) {
+        container.innerHTML = '<p class="hint">Pick seasons and rounds, then refit.</p>';
+        return;
+    }
+
+    const r = winModelRefit;
+    const fitted = r.metrics.fitted;
+    const theory = r.metrics.theoretical;
+    const inUse = Engine.scoreWinModel(Engine.filterGames(historicalGames, getWinModelFilter()), getWinModel());
+
+    const pot = estimateFinalPot().mid;
+    const before = getTargetsWithModel(getWinModel(), pot);
+    const after = getTargetsWithModel(r, pot);
+    const moves = getAllItemKeys()
+        .map(key => ({ key, before: before[key], after: after[key], delta: after[key] - before[key] }))
+        .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta))
+        .slice(0, 6);
+
+    const score = m => `Brier ${m.brierScore.toFixed(4)}, log loss ${m.logLoss.toFixed(4)}, ${(m.accuracy * 100).toFixed(1)}%`;
+
+    container.innerHTML = `
+        <div class="backtest-stats">
+            <div>Games<strong>${r.nGames}</strong></div>
+            <div>Brier<strong>${fitted.brierScore.toFixed(4)}</strong></div>
+            <div>Log loss<strong>${fitted.logLoss.toFixed(4)}</strong></div>
+            <div>Accuracy<strong>${(fitted.accuracy * 100).toFixed(1)}%</strong></div>
+        </div>
+        <p class="hint">
+            Refit ${r.years}: ${describeWinModel(r)}.<br>
+            Model in use on these games: ${score(inUse)}.<br>
+            Barthag at face value: ${score(theory)}.
+        </p>
+        ${renderCalibrationChart(r.calibration)}
+        <p class="hint">Biggest target changes at a ${formatCurrency(pot)} pot:</p>
+        <div class="win-model-moves">
+            ${moves.map(m => `
+                <div class="win-model-move">
+                    <span>${getItemLabel(m.key)}</span>
+                    <span>${formatCurrency(m.before)} &rarr; ${formatCurrency(m.after)}
+                        <span class="win-model-delta ${m.delta >= 0 ? 'up' : 'down'}">${m.delta >= 0 ? '+' : '&minus;'}${formatCurrency(Math.abs(m.delta))}</span>
+                    </span>
+                </div>
+            `).join('')}
+        </div>
+        <div class="menu-buttons">
+            <button class="btn" data-action="apply">Use in Tracker</button>
+        </div>
+    `;
+}
+
+// Reliability diagram: predicted vs actual win rate per bin, dot area by games
+function renderCalibrationChart(bins) {
+    const w = 300;
+    const h = 140;
+    const pad = 8;
+    const x = p => pad + p * (w - 2 * pad);
+    const y = p => h - pad - p * (h - 2 * pad);
+    const maxN = Math.max(...bins.map(b => b.n));
+
+    const dots = bins.map(b => `
+        <circle class="calib-point" cx="${x(b.predicted)}" cy="${y(b.actual)}" r="${2 + 5 * Math.sqrt(b.n / maxN)}">
+            <title>${Math.round(b.predicted * 100)}% predicted, ${Math.round(b.actual * 100)}% won (${b.n} games)</title>
+        </circle>
+    `).join('');
+
+    return `
+        <svg class="backtest-chart" viewBox="0 0 ${w} ${h}">
+            <line class="calib-diagonal" x1="${x(0)}" y1="${y(0)}" x2="${x(1)}" y2="${y(1)}"></line>
+            ${dots}
+        </svg>
+        <p class="hint">Predicted (across) vs actual (up) win rate of the better seed; dots on the dashed line are well calibrated.</p>
+    `;
+}
+
+function applyWinModel(model) {
+    state.winModel = model;
+    repriceAll();
+    buildWinModelPanel();
+}
+
+function handleWinModelClick(e) {
+    const action = e.target.dataset.action;
+    if (action === 'apply' && winModelRefit) {
+        const { intercept, coefficient, nGames, years, rounds, metrics } = winModelRefit;
+        applyWinModel({ intercept, coefficient, nGames, years, rounds, metrics: metrics.fitted });
+    } else if (action === 'revert') {
+        applyWinModel(null);
+    }
+}
+
+// ============================================================
+// HISTORY EXPLORER
+// What a matchup paid in each past tournament on the current payouts,
+// and past teams with the same seed and a similar Barthag with how far
+// they went (Engine.getMatchupHistory, Engine.findTeamAnalogs)
+// ============================================================
+
+const ANALOG_COUNT = 10;
+
+// How a tournament ended, by games won
+const EXIT_LABELS = ['Lost R64', 'Lost R32', 'Sweet 16', 'Elite 8', 'Final Four', 'Runner-up', 'Champion'];
+
+let historicalTeams = null;  // Built from historicalGames on first use
+
+function getHistoricalTeams() {
+    if (!historicalGames) return null;
+    if (!historicalTeams) historicalTeams = Engine.getHistoricalTeams(getEngineEnv(), historicalGames);
+    return historicalTeams;
+}
+
+// Matchup and team pickers for the field in use, keeping the selection
+function buildHistoryPanel() {
+    historicalTeams = null;
+    const matchupSelect = document.getElementById('history-matchup');
+    const teamSelect = document.getElementById('history-team');
+    const [matchup, team] = [matchupSelect.value, teamSelect.value];
+
+    matchupSelect.innerHTML = CONFIG.matchups.map(m => `<option value="${m.id}">${m.label}</option>`).join('');
+    teamSelect.innerHTML = getFinalFourPairs().flat().flatMap(region =>
+        [...BRACKET_ORDER].sort((a, b) => a - b).map(seed => `
+            <option value="${region}_${seed}">${region} ${seed} &middot; ${escapeHtml(getTeamName(region, seed))}</option>
+        `)).join('');
+
+    if (matchup) matchupSelect.value = matchup;
+    if (team) teamSelect.value = team;
+    renderHistory();
+}
+
+function renderHistory() {
+    renderMatchupHistory();
+    renderTeamAnalogs();
+}
+
+// Payout per year against the seed model, and its spread
+function renderMatchupHistory() {
+    const el = document.getElementById('history-payouts');
+    const matchup = CONFIG.matchups.find(m => m.id === document.getElementById('history-matchup').value);
+    const history = matchup && Engine.getMatchupHistory(getEngineEnv(), matchup.id);
+    if (!history?.years.length) {
+        el.innerHTML = '<p class="empty-msg">No past tournaments in data.json</p>';
+        return;
+    }
+
+    const model = getBaseEV(matchup.id);
+    const pot = estimateFinalPot().mid;
+    const sorted = history.years.map(y => y.payout).sort((a, b) => a - b);
+    const best = history.years.find(y => y.payout === history.high);
+    const worst = history.years.find(y => y.payout === history.low);
+    const above = history.years.filter(y => y.payout > model).length;
+    const row = (label, pct) => `<tr><td>${label}</td><td>${pct.toFixed(1)}%</td><td>${formatCurrency(evToDollars(pct, pot))}</td></tr>`;
+
+    el.innerHTML = `
+        ${renderHistoryChart(history.years, model, matchup)}
+        <table class="risk-table">
+            ${row('Mean', history.mean)}
+            ${row('Median', history.median)}
+            <tr><td>Middle half</td><td>${quantile(sorted, 0.25).toFixed(1)}&ndash;${quantile(sorted, 0.75).toFixed(1)}%</td><td></td></tr>
+            ${row(`Best (${best.year})`, best.payout)}
+            ${row(`Worst (${worst.year})`, worst.payout)}
+            ${row('Seed model', model)}
+        </table>
+        <p class="hint">Per item, averaged over the regions, on the current payouts; dollars at a ${formatCurrency(pot)} pot. ${above} of ${history.years.length} tournaments paid more than the seed model. Seed results are hand-entered (data/raw/seed_wins_by_year.csv) and some years do not add up, so read single years loosely.</p>
+    `;
+}
+
+// Bar per year, dashed line at the seed model
+function renderHistoryChart(years, model, matchup) {
+    const w = 300;
+    const h = 100;
+    const top = Math.max(model, ...years.map(y => y.payout)) || 1;
+    const step = w / years.length;
+    const y = v => h - (v / top) * (h - 4);
+
+    const bars = years.map((year, i) => `
+        <rect class="${year.payout > model ? 'hist-gain' : 'hist-loss'}" x="${i * step + 1}" y="${y(year.payout)}" width="${step - 2}" height="${h - y(year.payout)}">
+            <title>${year.year}: ${year.payout.toFixed(1)}% (${matchup.highSeed}-seeds won ${year.high.join(', ')}; ${matchup.lowSeed}-seeds ${year.low.join(', ')})</title>
+        </rect>
+    `).join('');
+
+    return `
+        <svg class="backtest-chart" viewBox="0 0 ${w} ${h}" preserveAspectRatio="none">
+            ${bars}
+            <line class="calib-diagonal" x1="0" y1="${y(model)}" x2="${w}" y2="${y(model)}"></line>
+        </svg>
+        <div class="history-axis"><span>${years[0].year}</span><span>${years[years.length - 1].year}</span></div>
+    `;
+}
+
+// Closest past teams on the same seed line, against the model's odds
+function renderTeamAnalogs() {
+    const el = document.getElementById('history-analogs');
+    const teams = getHistoricalTeams();
+    if (!teams) {
+        el.innerHTML = '<p class="empty-msg">Load data/processed/tournament_games_with_barthag.csv under Win Model to list past teams like this one</p>';
+        return;
+    }
+
+    const [region, seed] = document.getElementById('history-team').value.split('_');
+    const barthag = getRegionBarthag(region, seed);
+    const { analogs, reached, meanWins } = Engine.findTeamAnalogs(teams, seed, barthag, ANALOG_COUNT);
+    if (!analogs.length) {
+        el.innerHTML = `<p class="empty-msg">No past ${seed}-seeds in the games file</p>`;
+        return;
+    }
+
+    const probs = getBracketResult().probs[region]?.[seed] || {};
+    const cells = odds => ROUNDS.map(round => `<td>${Math.round((odds[round] || 0) * 100)}%</td>`).join('');
+
+    el.innerHTML = `
+        <p class="hint">${analogs.length} past ${seed}-seeds closest to Barthag ${barthag.toFixed(3)} won ${meanWins.toFixed(1)} games on average. Share reaching each round:</p>
+        <table class="risk-table">
+            <tr><th></th>${REACH_LABELS.map(label => `<th>${label}</th>`).join('')}</tr>
+            <tr><td>Past teams</td>${cells(reached)}</tr>
+            <tr><td>Model</td>${cells(probs)}</tr>
+        </table>
+        <table class="risk-table">
+            <tr><th></th><th>Team</th><th>Barthag</th><th>Result</th></tr>
+            ${analogs.map(t => `
+                <tr>
+                    <td>${t.year}</td>
+                    <td>${escapeHtml(t.team)}</td>
+                    <td>${t.barthag.toFixed(3)}</td>
+                    <td>${t.wins !== null ? EXIT_LABELS[t.wins] : `<small>${t.seed}s won ${t.line.join('&middot;')}</small>`}</td>
+                </tr>
+            `).join('')}
+        </table>
+        ${analogs.some(t => t.wins === null)
+            ? `<p class="hint">Results are kept per seed line and year. Where a line's teams went different distances, its wins that year are shown and counted evenly.</p>`
+            : ''}
+    `;
+}
+
+// ============================================================
+// PRACTICE MODE
+// Mock auction against bots that bid like past rooms (engine.js
+// PRACTICE AUCTION), on the projected pot and my budget. Nothing
+// here touches the real auction. When the last item sells, my
+// limits are scored against model EV, played out in a simulated
+// tournament and replayed over many more auctions next to two
+// simple strategies.
+// ============================================================
+
+const PRACTICE_RUNS = 500;
+const PRACTICE_LOG_SIZE = 6;
+const PRACTICE_MISSES = 3;
+
+// { setup, evs, rng, auction, report } from Start until the next Start
+let practice = null;
+
+// Practice settings; the pot defaults to the pre-auction projection
+function getPracticeSetup() {
+    const projected = Math.round(projectPot(potModel, []).mid);
+    return {
+        order: document.getElementById('practice-order').value,
+        pot: parseFloat(document.getElementById('practice-pot').value) || projected,
+        budget: state.budget,
+        bots: parseInt(document.getElementById('practice-bots').value) || Engine.PRACTICE_DEFAULTS.bots,
+        aggressiveness: (parseFloat(document.getElementById('practice-aggression').value) || 100) / 100
+    };
+}
+
+function startPractice() {
+    if (!getMarketModel()) return;
+
+    const setup = getPracticeSetup();
+    const rng = createRng(Date.now());
+    practice = {
+        setup,
+        rng,
+        evs: Object.fromEntries(getAllItemKeys().map(key => [key, getItemEV(key)])),
+        auction: Engine.createPracticeAuction({ ...setup, order: Engine.getPracticeOrder(CONFIG, setup.order, rng) }),
+        report: null
+    };
+    renderPractice();
+    document.getElementById('practice-bid')?.select();
+}
+
+// Sell the item on the practice block with my limit (0 to pass)
+function bidPractice(myMax) {
+    const { auction, evs, rng } = practice;
+    const key = auction.order[auction.sales.length];
+    Engine.sellPracticeLot(getEngineEnv(), getMarketModel(), auction, evs[key], myMax, rng);
+
+    if (auction.sales.length === auction.order.length) practice.report = buildPracticeReport();
+    renderPractice();
+    document.getElementById('practice-bid')?.select();
+}
+
+// Score the finished practice, then replay my limits over fresh bots
+// and tournaments next to bidding to target and to max
+function buildPracticeReport() {
+    const env = getEngineEnv();
+    const model = getMarketModel();
+    const sims = getTournamentSims();
+    const { setup, evs, auction } = practice;
+    const score = Engine.scorePracticeAuction(env, auction);
+    const cumulative = getCumulativePayouts();
+    const slots = Object.fromEntries(auction.order.map(key => [key, getItemSlots(key)]));
+
+    // Profit of the items I bought in simulated tournament `sim`
+    const getProfit = (run, sim) => {
+        const share = run.lots
+            .filter(lot => lot.mine)
+            .flatMap(lot => slots[lot.key])
+            .reduce((sum, i) => sum + cumulative[sims.wins[sim * sims.n + i]], 0);
+        return share * Engine.getNetPot(env, run.pot) - run.spent;
+    };
+
+    const limits = Object.fromEntries(auction.sales.map(s => [s.key, s.myMax]));
+    const targets = Object.fromEntries(Object.entries(evs).map(([key, ev]) => [key, Engine.getBidTargets(env, ev, setup.pot)]));
+    const strategies = [
+        { label: 'Your limits', limit: key => limits[key] },
+        { label: 'Bid to target', limit: key => targets[key].target },
+        { label: 'Bid to max', limit: key => targets[key].max }
+    ];
+
+    // Same bots and tournaments for every strategy
+    const replays = strategies.map(({ label, limit }) => {
+        const rng = createRng(SIM_SEED);
+        const runs = [];
+        for (let i = 0; i < PRACTICE_RUNS; i++) {
+            const run = Engine.scorePracticeAuction(env, Engine.runPracticeAuction(env, model, evs, setup, limit, rng));
+            runs.push({ ...run, profit: getProfit(run, Math.floor(rng() * sims.count)) });
+        }
+        const sorted = runs.map(r => r.profit).sort((a, b) => a - b);
+        return {
+            label,
+            sorted,
+            items: mean(runs.map(r => r.items)),
+            spent: mean(runs.map(r => r.spent)),
+            edge: mean(runs.map(r => r.edge)),
+            mean: mean(sorted),
+            median: quantile(sorted, 0.5),
+            p10: quantile(sorted, 0.1),
+            p90: quantile(sorted, 0.9),
+            pProfit: sorted.filter(p => p > 0).length / sorted.length
+        };
+    });
+
+    return { score, profit: getProfit(score, Math.floor(practice.rng() * sims.count)), replays };
+}
+
+function describePracticeWinner(sale) {
+    if (sale.winner === 'me') return 'You';
+    return sale.winner === null ? 'Unsold' : `Bot ${sale.winner + 1}`;
+}
+
+function renderPractice() {
+    const lot = document.getElementById('practice-lot');
+    const log = document.getElementById('practice-log');
+    const report = document.getElementById('practice-report');
+    document.getElementById('practice-pot').placeholder = formatCurrency(projectPot(potModel, []).mid);
+
+    if (!getMarketModel()) {
+        lot.innerHTML = '<p class="empty-msg">Add a past auction under Market to price the bots</p>';
+        log.innerHTML = report.innerHTML = '';
+        return;
+    }
+    if (!practice) {
+        lot.innerHTML = '';
+        log.innerHTML = report.innerHTML = '';
+        return;
+    }
+
+    const { auction, evs, setup } = practice;
+    const n = auction.sales.length;
+
+    if (n < auction.order.length) {
+        const key = auction.order[n];
+        const { region, matchupId } = parseItemKey(key);
+        const matchup = CONFIG.matchups.find(m => m.id === matchupId);
+        const { target, max } = getBidTargets(evs[key], setup.pot);
+        const price = Engine.predictMarketPrice(getEngineEnv(), getMarketModel(), matchupId, evs[key], n / (auction.order.length - 1), setup.pot);
+        lot.innerHTML = `
+            <div class="market-row on-block">
+                <span class="market-item">${getItemLabel(key)}
+                    <small>${escapeHtml(getTeamName(region, matchup.highSeed))} / ${escapeHtml(getTeamName(region, matchup.lowSeed))}</small></span>
+                <span class="market-price-range">~${formatCurrency(price.mid)} <small>EV ${formatCurrency(evToDollars(evs[key], setup.pot))}</small></span>
+                <span class="plan-ceiling" title="Bid target">${formatCurrency(target)}</span>
+            </div>
+            <p class="hint">Item ${n + 1} of ${auction.order.length} &middot; Max ${formatCurrency(max)} &middot; Budget left ${formatCurrency(auction.budget - auction.spent)}</p>
+            <div class="candidate-picker">
+                <input type="number" id="practice-bid" value="${Math.round(target)}" inputmode="numeric" title="Most you'd pay">
+                <button id="practice-bid-btn" class="btn">Bid</button>
+                <button id="practice-pass-btn" class="btn">Pass</button>
+            </div>
+        `;
+    } else {
+        lot.innerHTML = '';
+    }
+
+    log.innerHTML = auction.sales.slice(-PRACTICE_LOG_SIZE).reverse().map(sale => `
+        <div class="plan-drop ${sale.winner === 'me' ? 'bought' : ''}">
+            <strong>${getItemLabel(sale.key)}</strong> ${describePracticeWinner(sale)} ${formatCurrency(sale.price)}
+            ${sale.myMax > 0 && sale.winner !== 'me' ? `<small>(your limit ${formatCurrency(sale.myMax)})</small>` : ''}
+        </div>
+    `).join('');
+
+    report.innerHTML = practice.report ? renderPracticeReport(practice.report) : '';
+}
+
+function renderPracticeReport({ score, profit, replays }) {
+    const money = v => `${v < 0 ? '-' : ''}${formatCurrency(Math.abs(v))}`;
+    const signed = v => `${v >= 0 ? '+' : '-'}${formatCurrency(Math.abs(v))}`;
+    const misses = score.lots
+        .filter(lot => lot.missed > 0)
+        .sort((a, b) => b.missed - a.missed)
+        .slice(0, PRACTICE_MISSES);
+    const rows = [
+        ['Items', r => r.items.toFixed(1)],
+        ['Spent', r => formatCurrency(r.spent)],
+        ['EV edge', r => signed(r.edge)],
+        ['Mean profit', r => money(r.mean)],
+        ['Median', r => money(r.median)],
+        ['10th pct', r => money(r.p10)],
+        ['90th pct', r => money(r.p90)],
+        ['P(profit)', r => `${Math.round(r.pProfit * 100)}%`]
+    ];
+
+    return `
+        <p class="hint">
+            The pot came to ${formatCurrency(score.pot)}. You bought ${score.items} item${score.items === 1 ? '' : 's'}
+            for ${formatCurrency(score.spent)} against ${formatCurrency(score.evDollars)} of model EV
+            (${signed(score.edge)}) and passed up ${formatCurrency(score.missed)} of edge on items you could afford
+            that sold under EV.${score.items ? ` In one simulated tournament they ${profit >= 0 ? 'made' : 'lost'} ${formatCurrency(Math.abs(profit))}.` : ''}
+        </p>
+        ${score.lots.filter(lot => lot.mine).map(lot => `
+            <div class="plan-drop bought"><strong>${getItemLabel(lot.key)}</strong> ${formatCurrency(lot.price)} <small>EV ${formatCurrency(lot.evDollars)}</small></div>
+        `).join('')}
+        ${misses.length ? '<p class="hint">Biggest misses:</p>' + misses.map(lot => `
+            <div class="plan-drop"><strong>${getItemLabel(lot.key)}</strong> went for ${formatCurrency(lot.price)} <small>EV ${formatCurrency(lot.evDollars)}</small></div>
+        `).join('') : ''}
+        <p class="hint">Replayed over ${PRACTICE_RUNS} auctions against fresh bots and tournaments:</p>
+        <table class="risk-table">
+            <tr><th></th>${replays.map(r => `<th>${r.label}</th>`).join('')}</tr>
+            ${rows.map(([label, fmt]) => `
+                <tr><td>${label}</td>${replays.map(r => `<td>${fmt(r)}</td>`).join('')}</tr>
+            `).join('')}
+        </table>
+        ${renderProfitHistogram(replays[0].sorted)}
+    `;
+}
+
+function handlePracticeClick(e) {
+    if (e.target.id === 'practice-bid-btn') {
+        bidPractice(parseFloat(document.getElementById('practice-bid').value) || 0);
+    } else if (e.target.id === 'practice-pass-btn') {
+        bidPractice(0);
+    }
+}
+
+// ============================================================
+// RATING SOURCES
+// Barthag, Barttorvik's efficiency margin and WAB come with the
+// field; KenPom ratings and Vegas power ratings can be imported
+// for the pool. The engine prices games on a weighted blend of
+// whichever sources both teams have, and cards flag teams the
+// sources disagree on.
+// ============================================================
+
+// Per-source seed-line EVs for the current bracket, see refreshBracketProbs
+let sourceEVs = null;
+
+function getRatingWeights() {
+    return state.ratingWeights || { barthag: 1 };
+}
+
+function getSourceEVs() {
+    if (!sourceEVs) sourceEVs = Engine.getSourceEVs(getEngineEnv());
+    return sourceEVs;
+}
+
+// Every named team in the field, play-in candidates included, with its
+// ratings ("9-seed" placeholders are left out)
+function getFieldTeams() {
+    const env = getEngineEnv();
+    return CONFIG.regions.flatMap(region => BRACKET_ORDER.flatMap(seed => {
+        const slot = getBracket()?.[region]?.[seed];
+        if (!slot) return [];
+        return (slot.playIn || [slot])
+            .filter(t => t.team && !/^\d+-seed$/.test(t.team))
+            .map(t => ({ ...Engine.getTeamRatings(env, t), team: t.team }));
+    }));
+}
+
+// Each covering source's EV for a seed line, shown when the sources
+// spread by at least a quarter point and 30% of their mean
+function createSourceSpread(region, seed) {
+    const evs = getSourceEVs();
+    const sources = Engine.RATING_SOURCES
+        .filter(source => evs[source.id]?.[region]?.[seed] !== undefined)
+        .map(source => ({ label: source.label, ev: evs[source.id][region][seed] }));
+    if (sources.length < 2) return '';
+
+    const values = sources.map(s => s.ev);
+    const spread = Math.max(...values) - Math.min(...values);
+    if (spread < Math.max(0.25, 0.3 * mean(values))) return '';
+
+    const chips = sources.map(s => `${s.label} ${s.ev.toFixed(2)}%`).join(' &middot; ');
+    return `<small class="source-spread disagree" title="Sources disagree by ${spread.toFixed(2)} points">${chips}</small>`;
+}
+
+// Weight inputs for every source with a mapping, with field coverage
+function buildRatingsPanel() {
+    const env = getEngineEnv();
+    const teams = getFieldTeams();
+    const weights = getRatingWeights();
+
+    document.getElementById('rating-weights').innerHTML = Engine.getRatingSources(env).map(source => {
+        const covered = teams.filter(t => source.has(t)).length;
+        return `
+            <div class="rating-row">
+                <label class="payout-label" for="weight-${source.id}">${source.label} <small>${covered}/${teams.length} teams</small></label>
+                <input type="number" class="payout-input" id="weight-${source.id}" data-source="${source.id}"
+                       step="0.5" min="0" inputmode="decimal" value="${weights[source.id] || 0}">
+            </div>
+        `;
+    }).join('');
+
+    const imported = Object.entries(state.teamRatings)
+        .map(([field, byTeam]) => `${Object.keys(byTeam).length} ${field}`);
+    document.getElementById('ratings-clear-btn').classList.toggle('hidden', imported.length === 0);
+    document.getElementById('ratings-summary').textContent = imported.length
+        ? `Imported: ${imported.join(', ')} ratings.`
+        : 'Sources without ratings for both teams in a game are skipped for that game.';
+}
+
+function handleRatingWeightChange(e) {
+    const input = e.target.closest('input[data-source]');
+    if (!input) return;
+
+    const weight = parseFloat(input.value);
+    const weights = { ...getRatingWeights(), [input.dataset.source]: weight > 0 ? weight : 0 };
+    Object.keys(weights).forEach(id => { if (!weights[id]) delete weights[id]; });
+
+    const barthagOnly = Object.keys(weights).length === 0 ||
+        (Object.keys(weights).length === 1 && weights.barthag);
+    state.ratingWeights = barthagOnly ? null : weights;
+    repriceAll();
+    buildRatingsPanel();
+}
+
+// Team plus KenPom and/or Vegas columns, matched to the field by name
+async function handleRatingsFile(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const report = document.getElementById('ratings-report');
+    const rows = parseCsv(await file.text());
+    const header = (rows.shift() || []).map(h => h.trim().toLowerCase());
+    const teamCol = header.indexOf('team');
+    const fields = ['kenpom', 'vegas'].filter(f => header.includes(f));
+    if (teamCol < 0 || fields.length === 0) {
+        report.innerHTML = '<p class="season-error">Ratings file needs a Team column and a KenPom or Vegas column.</p>';
+        return;
+    }
+
+    const field = Object.fromEntries(getFieldTeams().map(t => [normalizeTeamName(t.team), t.team]));
+    const ratings = Object.fromEntries(fields.map(f => [f, {}]));
+    const unmatched = [];
+
+    rows.forEach(row => {
+        const name = (row[teamCol] || '').trim();
+        if (!name) return;
+        const team = field[normalizeTeamName(name)];
+        if (!team) {
+            unmatched.push(name);
+            return;
+        }
+        fields.forEach(f => {
+            const value = parseFloat(row[header.indexOf(f)]);
+            if (Number.isFinite(value)) ratings[f][team] = value;
+        });
+    });
+
+    const matched = Object.values(ratings).reduce((n, byTeam) => Math.max(n, Object.keys(byTeam).length), 0);
+    report.innerHTML = `
+        <p class="hint">Matched ${matched} of ${Object.keys(field).length} teams in the field.</p>
+        ${unmatched.length ? `<ul>${unmatched.map(n => `<li class="season-warning">${escapeHtml(n)} is not in the field</li>`).join('')}</ul>` : ''}
+    `;
+    setTeamRatings({ ...state.teamRatings, ...ratings });
+}
+
+function setTeamRatings(ratings) {
+    state.teamRatings = ratings;
+    if (Object.keys(ratings).length === 0) document.getElementById('ratings-report').innerHTML = '';
+    repriceAll();
+    buildRatingsPanel();
+}
+
+// ============================================================
+// WHAT-IF OVERRIDES
+// News on the night (a star ruled out) entered as a Barthag or a
+// points-per-game change for one team. The engine reprices the whole
+// bracket with it, so the team's opponents and everyone in its path
+// move too; cards show each change against the bracket without
+// overrides. Overrides are saved and shared like the rest of the board.
+// ============================================================
+
+// computeBracket without overrides; null until needed, see refreshBracketProbs
+let whatIfBaseline = null;
+
+function hasOverrides() {
+    return Object.keys(state.ratingOverrides || {}).length > 0;
+}
+
+function getWhatIfBaseline() {
+    if (!whatIfBaseline) whatIfBaseline = Engine.computeBracket({ ...getEngineEnv(), ratingOverrides: {} });
+    return whatIfBaseline;
+}
+
+// EV change of a seed line from the overrides, in points of the pot
+function getWhatIfDelta(region, seed) {
+    if (!hasOverrides()) return 0;
+    const before = Engine.calculateBracketEV(getEngineEnv(), getWhatIfBaseline(), region, seed).ev;
+    return calculateBracketEV(region, seed).ev - before;
+}
+
+function createWhatIfDelta(delta, ev, threshold, label = '') {
+    if (Math.abs(delta) < threshold) return '';
+    const sign = delta > 0 ? '+' : '&minus;';
+    return `<small class="what-if-delta ${delta > 0 ? 'up' : 'down'}" title="Before what-if: ${(ev - delta).toFixed(2)}%">` +
+        `${label}${sign}${Math.abs(delta).toFixed(2)}</small>`;
+}
+
+function describeOverride(override) {
+    if (Number.isFinite(override.barthag)) return `Barthag ${override.barthag.toFixed(3)}`;
+    return `${override.points > 0 ? '+' : '&minus;'}${Math.abs(override.points)} pts/game`;
+}
+
+// Override on a seed line's team (either First Four team counts)
+function getSlotOverride(region, seed) {
+    const slot = getBracket()?.[region]?.[seed];
+    if (!slot) return null;
+    const team = (slot.playIn || [slot]).find(t => state.ratingOverrides?.[t.team]);
+    return team ? { team: team.team, override: state.ratingOverrides[team.team] } : null;
+}
+
+function describeSlotOverride(region, seed) {
+    const found = getSlotOverride(region, seed);
+    return found ? `What-if: ${found.team} ${describeOverride(found.override).replace('&minus;', '-')}` : 'Barthag';
+}
+
+// Every team in the field by region and seed
+function getWhatIfTeams() {
+    return CONFIG.regions.flatMap(region => Array.from({ length: 16 }, (_, i) => i + 1).flatMap(seed => {
+        const slot = getBracket()?.[region]?.[seed];
+        if (!slot) return [];
+        return (slot.playIn || [slot])
+            .filter(t => t.team && !/^\d+-seed$/.test(t.team))
+            .map(t => ({ ...t, region, seed }));
+    }));
+}
+
+// Team picker for the field in use
+function buildWhatIfPanel() {
+    const teams = getWhatIfTeams();
+    const select = document.getElementById('what-if-team');
+    select.innerHTML = teams.length
+        ? teams.map(t => `<option value="${escapeHtml(t.team)}">${t.region} ${t.seed} &middot; ${escapeHtml(t.team)}</option>`).join('')
+        : '<option value="">No field loaded</option>';
+    document.getElementById('what-if-report').innerHTML = '';
+    renderWhatIf();
+}
+
+// Overrides in force and the items they move most, at the projected pot
+function renderWhatIf() {
+    const env = getEngineEnv();
+    const baseEnv = { ...env, ratingOverrides: {} };
+    const teams = getWhatIfTeams();
+    const overrides = Object.entries(state.ratingOverrides || {});
+
+    document.getElementById('what-if-list').innerHTML = overrides.map(([team, override]) => {
+        const entry = teams.find(t => t.team === team);
+        const before = entry ? Engine.getTeamRatings(baseEnv, entry).barthag : undefined;
+        const after = entry ? Engine.getTeamRatings(env, entry).barthag : undefined;
+        const where = entry ? `${entry.region} ${entry.seed}` : 'not in this field';
+        const change = before !== undefined ? ` &middot; Barthag ${before.toFixed(3)} &rarr; ${after.toFixed(3)}` : '';
+        return `
+            <div class="market-auction">
+                <span>${escapeHtml(team)} <small>${where}</small><br>${describeOverride(override)}${change}</span>
+                <button class="btn" data-override="${escapeHtml(team)}">Remove</button>
+            </div>
+        `;
+    }).join('');
+
+    const movesEl = document.getElementById('what-if-moves');
+    if (!hasOverrides()) {
+        movesEl.innerHTML = '';
+        return;
+    }
+
+    const pot = estimateFinalPot().mid;
+    const moves = getAllItemKeys()
+        .map(key => {
+            const after = getItemEV(key);
+            const before = Engine.getItemEV(baseEnv, getWhatIfBaseline(), key);
+            return { key, before, after, delta: evToDollars(after - before, pot) };
+        })
+        .filter(m => Math.abs(m.after - m.before) >= 0.05)
+        .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta))
+        .slice(0, 8);
+
+    movesEl.innerHTML = `
+        <p class="hint">Biggest EV changes at a ${formatCurrency(pot)} pot:</p>
+        <div class="win-model-moves">
+            ${moves.map(m => `
+                <div class="win-model-move">
+                    <span>${getItemLabel(m.key)}</span>
+                    <span>${m.before.toFixed(1)}% &rarr; ${m.after.toFixed(1)}%
+                        <span class="win-model-delta ${m.delta >= 0 ? 'up' : 'down'}">${m.delta >= 0 ? '+' : '&minus;'}${formatCurrency(Math.abs(m.delta))}</span>
+                    </span>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+// Fill the form with a team's current override, if any
+function handleWhatIfTeamChange() {
+    const override = state.ratingOverrides?.[document.getElementById('what-if-team').value];
+    if (!override) return;
+    const kind = Number.isFinite(override.barthag) ? 'barthag' : 'points';
+    document.getElementById('what-if-kind').value = kind;
+    document.getElementById('what-if-value').value = override[kind];
+}
+
+function handleWhatIfApply() {
+    const team = document.getElementById('what-if-team').value;
+    const kind = document.getElementById('what-if-kind').value;
+    const value = parseFloat(document.getElementById('what-if-value').value);
+    const report = document.getElementById('what-if-report');
+
+    let error = null;
+    if (!team) error = 'Load a field first';
+    else if (!Number.isFinite(value)) error = 'Enter a value';
+    else if (kind === 'barthag' && !(value > 0 && value < 1)) error = 'Barthag must be between 0 and 1';
+    if (error) {
+        report.innerHTML = `<p class="season-error">${error}</p>`;
+        return;
+    }
+
+    report.innerHTML = '';
+    state.ratingOverrides = { ...state.ratingOverrides };
+    if (kind === 'points' && value === 0) {
+        delete state.ratingOverrides[team];
+    } else {
+        state.ratingOverrides[team] = { [kind]: value };
+    }
+    repriceAll();
+}
+
+function handleWhatIfListClick(e) {
+    const team = e.target.dataset.override;
+    if (team === undefined) return;
+    state.ratingOverrides = { ...state.ratingOverrides };
+    delete state.ratingOverrides[team];
+    repriceAll();
+}
+
+// ============================================================
+// EVENT LOG
+// Every committed price, buyer and split change is appended to
+// state.log with a timestamp. Undo and redo append the reverse
+// (or repeated) change instead of rewriting history, so the log
+// always replays to any point of the auction.
+// ============================================================
+
+// Live board while the scrubber shows an earlier point
+let replayLive = null;
+let replayCount = 0;
+
+// Append a change. `extra` tags undo/redo links and the source of
+// changes that aren't this device's own edits ('remote', 'import').
+function logEvent(kind, key, from, to, extra = {}) {
+    if (from === to) return;
+    state.log.push({
+        seq: state.log.length + 1,
+        t: new Date().toISOString(),
+        kind,
+        key,
+        from,
+        to,
+        ...extra
+    });
+}
+
+// Saves from before the log existed: record their board as imported
+// events in entry order, so replay and sale order still work
+function migrateEventLog(s) {
+    if (!Array.isArray(s.log)) {
+        s.log = [];
+        const seed = (kind, map) => Object.entries(map || {}).forEach(([key, to]) => {
+            s.log.push({ seq: s.log.length + 1, t: null, kind, key, from: kind === 'price' ? 0 : null, to, source: 'import' });
+        });
+        seed('price', s.prices);
+        seed('owner', s.owners);
+    }
+    return s;
+}
+
+function getLoggedValue(kind, key) {
+    if (kind === 'shares') return state.shares?.[key] || null;
+    return kind === 'price' ? (state.prices[key] || 0) : getOwner(key);
+}
+
+function setLoggedValue(kind, key, value) {
+    if (kind === 'owner') {
+        setOwner(key, value);
+    } else if (kind === 'shares') {
+        state.shares = state.shares || {};
+        if (value) state.shares[key] = value;
+        else delete state.shares[key];
+    } else if (value > 0) {
+        state.prices[key] = value;
+    } else {
+        delete state.prices[key];
+    }
+}
+
+// Undoable events (this device's edits) as done/undone stacks of seq
+function getUndoStacks() {
+    const done = [];
+    const undone = [];
+
+    state.log.forEach(e => {
+        if (e.source) return;
+        if (e.undoOf) {
+            undone.push(done.pop());
+        } else if (e.redoOf) {
+            done.push(undone.pop());
+        } else {
+            done.push(e.seq);
+            undone.length = 0;
+        }
+    });
+
+    return { done, undone };
+}
+
+function handleUndo() {
+    const seq = getUndoStacks().done.pop();
+    if (!seq || replayLive) return;
+
+    const e = state.log[seq - 1];
+    setLoggedValue(e.kind, e.key, e.from);
+    logEvent(e.kind, e.key, e.to, e.from, { undoOf: seq });
+    refreshItem(e.key);
+}
+
+function handleRedo() {
+    const seq = getUndoStacks().undone.pop();
+    if (!seq || replayLive) return;
+
+    const e = state.log[seq - 1];
+    setLoggedValue(e.kind, e.key, e.to);
+    logEvent(e.kind, e.key, e.from, e.to, { redoOf: seq });
+    refreshItem(e.key);
+}
+
+function refreshItem(key) {
+    syncItemControls(key);
+    updateAll();
+    notePlanDrops();
+    saveState();
+}
+
+// Board as of the first `count` events
+function getBoardAt(count) {
+    const board = { price: {}, owner: {}, shares: {} };
+    state.log.slice(0, count).forEach(e => {
+        if (e.to) {
+            board[e.kind][e.key] = e.to;
+        } else {
+            delete board[e.kind][e.key];
+        }
+    });
+    return { prices: board.price, owners: board.owner, shares: board.shares };
+}
+
+// Show the board, pot and projection as of `count` events. The live
+// board is parked, and saveState does nothing until replay ends.
+function setReplayPoint(count) {
+    if (count >= state.log.length) {
+        exitReplay();
+        return;
+    }
+
+    if (!replayLive) replayLive = { prices: state.prices, owners: state.owners, shares: state.shares };
+    replayCount = count;
+    Object.assign(state, getBoardAt(count));
+
+    document.body.classList.add('replaying');
+    buildRegionPanels();
+    updateAll();
+}
+
+function exitReplay() {
+    if (!replayLive) return;
+
+    Object.assign(state, replayLive);
+    replayLive = null;
+
+    document.body.classList.remove('replaying');
+    buildRegionPanels();
+    updateAll();
+}
+
+function describeEvent(e) {
+    const item = getItemLabel(e.key);
+
+    if (e.kind === 'shares') return e.to ? `${item} split ${describeShares(e.to)}` : `${item} split undone`;
+    if (e.kind === 'price') {
+        if (!e.to) return `${item} price cleared`;
+        return `${item} ${formatCurrency(e.to)}${e.from ? ` (was ${formatCurrency(e.from)})` : ''}`;
+    }
+    return e.to ? `${item} → ${escapeHtml(getParticipant(e.to)?.name || e.to)}` : `${item} buyer cleared`;
+}
+
+function formatEventTime(t) {
+    return t ? new Date(t).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit', second: '2-digit' }) : '—';
+}
+
+// Undo/redo buttons, scrubber, replay banner and the latest events
+function renderEventLog() {
+    const { done, undone } = getUndoStacks();
+    const total = state.log.length;
+    const point = replayLive ? replayCount : total;
+
+    document.getElementById('undo-btn').disabled = !done.length || !!replayLive;
+    document.getElementById('redo-btn').disabled = !undone.length || !!replayLive;
+
+    const range = document.getElementById('replay-range');
+    range.max = total;
+    range.value = point;
+
+    const last = state.log[point - 1];
+    document.getElementById('replay-label').textContent = point === total
+        ? `Live · ${total} event${total === 1 ? '' : 's'}`
+        : `${point}/${total} · ${last ? formatEventTime(last.t) : 'start'}`;
+
+    const banner = document.getElementById('replay-banner');
+    banner.classList.toggle('hidden', !replayLive);
+    document.getElementById('replay-status').textContent = replayLive
+        ? `Replay: event ${point} of ${total}${last ? ` · ${formatEventTime(last.t)}` : ''}`
+        : '';
+
+    const tags = { remote: 'Shared', import: 'Imported' };
+    document.getElementById('event-log').innerHTML = total === 0
+        ? '<p class="empty-msg">No events yet</p>'
+        : state.log.slice(-40).reverse().map(e => `
+            <div class="event-row ${e.seq > point ? 'future' : ''}" data-seq="${e.seq}">
+                <span class="event-time">${formatEventTime(e.t)}</span>
+                <span class="event-desc">${describeEvent(e)}</span>
+                <span class="event-tag">${e.undoOf ? 'Undo' : e.redoOf ? 'Redo' : (tags[e.source] || '')}</span>
+            </div>
+        `).join('');
+}
+
+// ============================================================
+// SHARED SESSION
+// Optional live board shared through server/session_server.js.
+// The board (prices, buyers, splits, participants, block, play-ins,
+// results, payouts) is flattened to paths. saveState diffs it
+// against the last synced copy and queues the changes, so every
+// handler syncs without knowing about the session. The queue is
+// kept while offline and sent on reconnect; the server keeps the
+// newest write per path. With no session none of this runs.
+// ============================================================
+
+const SESSION_KEY = 'ncaa_auction_session';
+const DEVICE_KEY = 'ncaa_auction_device';
+const SESSION_RETRY_MS = 3000;
+
+// { server, code, name, clientId, version, base, queue, clock }
+let session = null;
+let sessionStatus = 'off';  // 'connecting', 'live' or 'offline' while in a session
+let sessionEvents = null;
+let sessionRetry = null;
+let sessionFlushing = false;
+
+// Stable per-device id, so rejoining keeps this device's purchases
+function getDeviceId() {
+    let id = localStorage.getItem(DEVICE_KEY);
+    if (!id) {
+        id = Math.random().toString(36).slice(2, 10);
+        localStorage.setItem(DEVICE_KEY, id);
+    }
+    return id;
+}
+
+// The local "me" is a named participant on the shared board
+function toSharedId(id) {
+    return id === 'me' ? `u_${session.clientId}` : id;
+}
+
+function fromSharedId(id) {
+    return id === `u_${session.clientId}` ? 'me' : id;
+}
+
+// Board as a flat { path: value } map using shared participant ids
+function getSharedValues() {
+    const values = {};
+    const add = (field, map, fn = v => v) => {
+        Object.entries(map || {}).forEach(([k, v]) => { values[`${field}/${k}`] = fn(v); });
+    };
+
+    // Participants first, so a new buyer reaches peers before their items
+    getParticipants().forEach(p => {
+        values[`participants/${toSharedId(p.id)}`] = p.id === 'me'
+            ? { name: session.name, budget: state.budget }
+            : { name: p.name, budget: p.budget || null };
+    });
+    add('prices', state.prices);
+    add('owners', state.owners, toSharedId);
+    add('shares', state.shares, split => mapShareIds(split, toSharedId));
+    add('playInWinners', state.playInWinners);
+    add('results', state.results);
+    add('ratingOverrides', state.ratingOverrides);
+    if (state.onBlock) values.onBlock = state.onBlock;
+    if (state.payouts) values.payouts = state.payouts;
+    return values;
+}
+
+// Remote values pass the same checks as an imported file; clearing
+// a value always does
+function isValidSharedValue(field, key, value) {
+    if (value === null) return true;
+
+    const raw = !key ? { [field]: value }
+        : field === 'participants' ? { participants: [{ id: key, name: value?.name, budget: value?.budget ?? undefined }] }
+        : { participants: getParticipants(), [field]: { [key]: value } };
+    const { errors, warnings } = validateState(raw);
+    return !errors.length && !warnings.length;
+}
+
+// Write one shared value into state; false when it fails validation
+function applySharedValue(path, value) {
+    // Team names in keys may themselves contain a slash
+    const slash = path.indexOf('/');
+    const field = slash < 0 ? path : path.slice(0, slash);
+    const key = slash < 0 ? undefined : path.slice(slash + 1);
+    const local = value === null ? null
+        : field === 'owners' ? fromSharedId(value)
+        : field === 'shares' && isRecord(value) ? mapShareIds(value, fromSharedId) : value;
+
+    if (!isValidSharedValue(field, field === 'participants' ? fromSharedId(key) : key, local)) {
+        console.warn(`Ignored invalid session value for ${path}`);
+        return false;
+    }
+
+    if (!key) {
+        state[field] = local;
+        return true;
+    }
+
+    if (field === 'participants') {
+        const id = fromSharedId(key);
+        const existing = getParticipant(id);
+        if (id === 'me') return true;  // only this device edits its own entry
+
+        if (value === null) {
+            state.participants = getParticipants().filter(p => p.id !== id);
+        } else if (existing) {
+            existing.name = value.name;
+            existing.budget = value.budget || undefined;
+        } else {
+            getParticipants().push({ id, name: value.name, budget: value.budget || undefined });
+        }
+        return true;
+    }
+
+    const map = state[field] = state[field] || {};
+    const kind = { prices: 'price', owners: 'owner', shares: 'shares' }[field];
+    const prev = kind ? getLoggedValue(kind, key) : null;
+
+    if (local === null) {
+        delete map[key];
+    } else {
+        map[key] = local;
+    }
+
+    if (kind) logEvent(kind, key, prev, getLoggedValue(kind, key), { source: 'remote' });
+    return true;
+}
+
+// Timestamps never run backwards, even past a peer's clock
+function nextSessionTs() {
+    session.clock = Math.max(Date.now(), (session.clock || 0) + 1);
+    return session.clock;
+}
+
+// Called from saveState: queue whatever changed since the last sync
+function queueSessionChanges() {
+    if (!session) return;
 
-    // Budget input
-    document.getElementById('budget-input').addEventListener('input', e => {
-        state.budget = parseFloat(e.target.value) || 0;
-        updateAll();
-        saveState();
-    });
+    const values = getSharedValues();
+    const paths = new Set([...Object.keys(values), ...Object.keys(session.base)]);
+    paths.forEach(path => {
+        const value = values[path] ?? null;
+        if (JSON.stringify(value) === JSON.stringify(session.base[path] ?? null)) return;
 
-    // Menu
-    document.getElementById('menu-btn').addEventListener('click', () => {
-        document.getElementById('menu-overlay').classList.remove('hidden');
+        session.queue = session.queue.filter(op => op.path !== path);
+        session.queue.push({ path, value, ts: nextSessionTs() });
     });
 
-    document.getElementById('close-menu').addEventListener('click', () => {
-        document.getElementById('menu-overlay').classList.add('hidden');
-    });
+    session.base = values;
+    saveSession();
+    flushSessionQueue();
+}
 
-    document.getElementById('menu-overlay').addEventListener('click', e => {
-        if (e.target.id === 'menu-overlay') {
-            document.getElementById('menu-overlay').classList.add('hidden');
+// Apply values from the server, except where a local edit is still queued
+function applyRemoteValues(entries) {
+    exitReplay();
+    // Buyers before the items they own; invalid values stay out of the
+    // base too, so we never echo a delete
+    const isParticipant = e => e.path.startsWith('participants/');
+    const ordered = [...entries.filter(isParticipant), ...entries.filter(e => !isParticipant(e))];
+    const applied = ordered.filter(({ path, value }) =>
+        !session.queue.some(op => op.path === path) && applySharedValue(path, value));
+
+    applied.forEach(({ path, value }) => {
+        if (value === null) {
+            delete session.base[path];
+        } else {
+            session.base[path] = value;
         }
     });
 
-    // Data buttons
-    document.getElementById('clear-btn').addEventListener('click', handleClear);
-    document.getElementById('export-btn').addEventListener('click', handleExport);
-    document.getElementById('import-btn').addEventListener('click', () => {
-        document.getElementById('import-file').click();
-    });
-    document.getElementById('import-file').addEventListener('change', handleImport);
+    if (applied.length) refreshAfterRemote(applied.map(e => e.path));
 }
 
-// Switch active region
-function switchRegion(region) {
-    state.activeRegion = region;
+// Price and buyer changes update their cards in place so nobody loses
+// the input they're typing in; anything else rebuilds the board
+function refreshAfterRemote(paths) {
+    const fields = new Set(paths.map(p => p.split('/')[0]));
+    const inPlace = [...fields].every(f => f === 'prices' || f === 'owners');
 
-    // Update tabs
-    document.querySelectorAll('.tab').forEach(tab => {
-        tab.classList.toggle('active', tab.dataset.region === region);
-    });
+    if (inPlace) {
+        paths.forEach(path => syncItemControls(path.split('/')[1]));
+    } else {
+        const focused = document.activeElement?.classList?.contains('price-input')
+            ? document.activeElement.dataset.key : null;
 
-    // Update panels
-    document.querySelectorAll('.region-panel').forEach(panel => {
-        panel.classList.toggle('active', panel.dataset.region === region);
-    });
+        if (fields.has('participants')) buildParticipantsEditor();
+        if (fields.has('payouts')) buildPayoutEditor();
+        refreshBracketProbs();
+        buildRegionPanels();
 
+        if (focused) document.querySelector(`.price-input[data-key="${focused}"]`)?.focus();
+    }
+
+    updateAll();
+    notePlanDrops();
     saveState();
 }
 
-// Handle price input
-function handlePriceInput(input) {
-    const key = input.dataset.key;
-    const value = parseFloat(input.value) || 0;
+// Make the local board match a server snapshot
+function replaceWithSnapshot(values) {
+    const paths = new Set([...Object.keys(values), ...Object.keys(getSharedValues())]);
+    applyRemoteValues([...paths].map(path => ({ path, value: values[path] ?? null })));
+}
 
-    if (value > 0) {
-        state.prices[key] = value;
-        input.classList.add('has-value');
-    } else {
-        delete state.prices[key];
-        input.classList.remove('has-value');
+async function sessionRequest(method, path, body) {
+    const res = await fetch(`${session.server}/api/sessions${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await res.json();
+    if (!res.ok) {
+        const err = new Error(data.error || res.statusText);
+        err.status = res.status;
+        throw err;
     }
+    return data;
+}
 
-    updateInputStyle(input);
-    updateAll();
-    saveState();
+async function sendQueuedOps() {
+    const ops = session.queue.slice();
+    if (!ops.length) return;
+
+    const res = await sessionRequest('POST', `/${session.code}/ops`, { clientId: session.clientId, ops });
+    session.queue = session.queue.filter(op => !ops.includes(op));
+    saveSession();
+
+    // Our write lost to a newer one: take the server's value. Malformed
+    // ops were never stored, so there's no server value to take
+    const rejected = res.rejected || [];
+    rejected.filter(r => r.error).forEach(r => console.warn(`Session dropped ${r.path}: ${r.error}`));
+    applyRemoteValues(rejected.filter(r => !r.error));
 }
 
-// Handle mine button click
-function handleMineClick(btn) {
-    const key = btn.dataset.key;
-    state.mine[key] = !state.mine[key];
+async function flushSessionQueue() {
+    if (sessionStatus !== 'live' || sessionFlushing || !session.queue.length) return;
 
-    btn.classList.toggle('active', state.mine[key]);
-    btn.textContent = state.mine[key] ? '★' : '☆';
+    sessionFlushing = true;
+    try {
+        await sendQueuedOps();
+    } catch (e) {
+        sessionDisconnected();
+    } finally {
+        sessionFlushing = false;
+    }
 
-    updateAll();
-    saveState();
+    renderSessionStatus();
+    if (session?.queue.length) flushSessionQueue();
 }
 
-// Update input styling based on EV
-function updateInputStyle(input) {
-    const key = input.dataset.key;
-    const price = state.prices[key];
-    const matchupId = key.split('_').slice(1).join('_');
-    const estPot = estimateFinalPot();
-    const ev = (CONFIG.expectedValues[matchupId] / 100) * estPot.mid;
+// Send offline edits, then fetch the board. A server restart loses the
+// session, so it is recreated from this device's copy.
+async function syncSession() {
+    try {
+        await sendQueuedOps();
+        return await sessionRequest('GET', `/${session.code}`);
+    } catch (e) {
+        if (e.status !== 404) throw e;
+        session.queue = [];
+        return sessionRequest('PUT', `/${session.code}`, {
+            clientId: session.clientId,
+            ts: nextSessionTs(),
+            values: getSharedValues()
+        });
+    }
+}
 
-    input.classList.remove('over-ev');
-    if (price && price > ev * 1.2) {
-        input.classList.add('over-ev');
+async function connectSession() {
+    clearTimeout(sessionRetry);
+    closeSessionEvents();
+    setSessionStatus('connecting');
+
+    try {
+        const snap = await syncSession();
+        session.version = snap.version;
+        replaceWithSnapshot(snap.values);
+        openSessionEvents();
+        setSessionStatus('live');
+        flushSessionQueue();
+    } catch (e) {
+        console.warn('Session sync failed:', e);
+        sessionDisconnected();
     }
 }
 
-// Calculate current pot
-function calculateCurrentPot() {
-    return Object.values(state.prices).reduce((sum, p) => sum + p, 0);
+function openSessionEvents() {
+    const url = `${session.server}/api/sessions/${session.code}/events?since=${session.version}`;
+    sessionEvents = new EventSource(url);
+
+    sessionEvents.onmessage = e => {
+        const op = JSON.parse(e.data);
+        session.version = op.version;
+        session.clock = Math.max(session.clock || 0, op.ts);
+        if (op.clientId !== session.clientId) applyRemoteValues([op]);
+        saveSession();
+    };
+    sessionEvents.addEventListener('resync', connectSession);
+    sessionEvents.onerror = sessionDisconnected;
 }
 
-// Count items sold
-function countItemsSold() {
-    return Object.keys(state.prices).filter(k => state.prices[k] > 0).length;
+function closeSessionEvents() {
+    if (sessionEvents) sessionEvents.close();
+    sessionEvents = null;
 }
 
-// Estimate final pot with confidence interval
-function estimateFinalPot() {
-    const itemsSold = countItemsSold();
-    const currentPot = calculateCurrentPot();
+// Keep editing offline; retry until the server is back
+function sessionDisconnected() {
+    closeSessionEvents();
+    if (!session) return;
+
+    setSessionStatus('offline');
+    clearTimeout(sessionRetry);
+    sessionRetry = setTimeout(connectSession, SESSION_RETRY_MS);
+}
 
-    if (itemsSold === 0) {
-        return { low: 15000, mid: 20000, high: 25000 };
+function saveSession() {
+    try {
+        localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+    } catch (e) {
+        console.warn('Session save failed:', e);
     }
+}
 
-    if (itemsSold === 32) {
-        return { low: currentPot, mid: currentPot, high: currentPot };
+function loadSession() {
+    try {
+        session = JSON.parse(localStorage.getItem(SESSION_KEY));
+    } catch (e) {
+        session = null;
     }
+}
 
-    // Calculate based on what's been sold
-    let soldRatioSum = 0;
-    let remainingRatioSum = 0;
+// Host a new session from this board, or join one by code
+async function startSession(code) {
+    const server = document.getElementById('session-server').value.trim().replace(/\/+$/, '');
+    const name = document.getElementById('session-name').value.trim();
+    const message = document.getElementById('session-message');
 
-    CONFIG.matchups.forEach(matchup => {
-        CONFIG.regions.forEach(region => {
-            const key = `${region}_${matchup.id}`;
-            const ratio = CONFIG.historicalPriceRatios[matchup.id];
+    if (!server || !name) {
+        message.textContent = 'Enter the server address and your name.';
+        return;
+    }
+    if (code && Object.keys(state.prices).length &&
+        !confirm("Joining replaces this device's board with the session's. Continue?")) {
+        return;
+    }
 
-            if (state.prices[key] > 0) {
-                soldRatioSum += ratio;
-            } else {
-                remainingRatioSum += ratio;
-            }
-        });
-    });
+    session = { server, code: null, name, clientId: getDeviceId(), version: 0, base: {}, queue: [], clock: 0 };
 
-    if (soldRatioSum === 0) {
-        return { low: 15000, mid: 20000, high: 25000 };
+    try {
+        const snap = code
+            ? await sessionRequest('GET', `/${code.toUpperCase()}`)
+            : await sessionRequest('POST', '', {
+                clientId: session.clientId,
+                ts: nextSessionTs(),
+                values: getSharedValues()
+            });
+        session.code = snap.code;
+    } catch (e) {
+        session = null;
+        message.textContent = `Could not ${code ? 'join' : 'host'}: ${e.message}`;
+        return;
     }
 
-    const pricePerRatioUnit = currentPot / soldRatioSum;
-    const estimatedRemaining = pricePerRatioUnit * remainingRatioSum;
-    const mid = Math.round(currentPot + estimatedRemaining);
+    saveSession();
+    buildSessionPanel();
+    connectSession();
+}
+
+// Leave the session; this device keeps the board as it stands
+function handleSessionLeave() {
+    if (!confirm('Leave the shared session? This device keeps the current board.')) return;
 
-    // Confidence interval widens with fewer items sold
-    const uncertainty = Math.max(0.05, 0.25 * (1 - itemsSold / 32));
-    const low = Math.round(mid * (1 - uncertainty));
-    const high = Math.round(mid * (1 + uncertainty));
+    clearTimeout(sessionRetry);
+    closeSessionEvents();
+    session = null;
+    localStorage.removeItem(SESSION_KEY);
+    setSessionStatus('off');
+    buildSessionPanel();
+}
 
-    return { low, mid, high };
+function handleSessionClick(e) {
+    const action = e.target.dataset.action;
+    if (action === 'host') {
+        startSession(null);
+    } else if (action === 'join') {
+        const code = document.getElementById('session-code').value.trim();
+        if (code) startSession(code);
+    } else if (action === 'leave') {
+        handleSessionLeave();
+    }
 }
 
-// Calculate spent on purchases
-function calculateSpent() {
-    return Object.keys(state.mine)
-        .filter(k => state.mine[k])
-        .reduce((sum, k) => sum + (state.prices[k] || 0), 0);
+function setSessionStatus(status) {
+    sessionStatus = session ? status : 'off';
+    renderSessionStatus();
 }
 
-// Calculate expected payout
-function calculateExpectedPayout() {
-    const estPot = estimateFinalPot();
+// Header badge and menu status line
+function renderSessionStatus() {
+    const badge = document.getElementById('session-badge');
+    badge.className = `session-badge ${sessionStatus} ${session ? '' : 'hidden'}`;
+    badge.textContent = session ? session.code : '';
 
-    return Object.keys(state.mine)
-        .filter(k => state.mine[k])
-        .reduce((sum, k) => {
-            const matchupId = k.split('_').slice(1).join('_');
-            const ev = CONFIG.expectedValues[matchupId] / 100;
-            return sum + (ev * estPot.mid);
-        }, 0);
+    const status = document.getElementById('session-status');
+    if (!status || !session) return;
+
+    const queued = session.queue.length;
+    const labels = { connecting: 'Connecting…', live: 'Live', offline: 'Offline, retrying' };
+    status.textContent = labels[sessionStatus] + (queued ? ` · ${queued} edit${queued === 1 ? '' : 's'} to send` : '');
 }
 
-// Get purchases list
-function getPurchases() {
-    return Object.keys(state.mine)
-        .filter(k => state.mine[k] && state.prices[k] > 0)
-        .map(k => {
-            const [region, ...parts] = k.split('_');
-            const matchupId = parts.join('_');
-            const matchup = CONFIG.matchups.find(m => m.id === matchupId);
-            const teams = CONFIG.teams2025?.[region]?.[matchupId];
+function buildSessionPanel() {
+    const panel = document.getElementById('session-panel');
 
-            return {
-                key: k,
-                name: teams ? `${teams.high} (${region})` : `${region} ${matchup?.label}`,
-                price: state.prices[k]
-            };
-        });
+    if (session) {
+        panel.innerHTML = `
+            <div class="session-live">
+                <div>
+                    <div class="session-code">${session.code}</div>
+                    <div class="session-meta">${escapeHtml(session.name)} · ${escapeHtml(session.server)}</div>
+                    <div id="session-status" class="session-meta"></div>
+                </div>
+                <button class="btn" data-action="leave">Leave</button>
+            </div>
+        `;
+    } else {
+        const defaultServer = location.protocol === 'http:' ? location.origin : '';
+        panel.innerHTML = `
+            <div class="session-form">
+                <input type="url" id="session-server" placeholder="http://192.168.1.20:8787" value="${defaultServer}">
+                <input type="text" id="session-name" placeholder="Your name">
+                <div class="session-join">
+                    <input type="text" id="session-code" placeholder="Code" maxlength="4" autocapitalize="characters">
+                    <button class="btn" data-action="join">Join</button>
+                    <button class="btn" data-action="host">Host</button>
+                </div>
+                <p id="session-message" class="session-meta">Run <code>node server/session_server.js</code> on a laptop on the same Wi-Fi.</p>
+            </div>
+        `;
+    }
+
+    renderSessionStatus();
 }
 
 // Update all displays
@@ -538,7 +4786,7 @@ function updateAll() {
     const expectedPayout = calculateExpectedPayout();
 
     // Header stats
-    document.getElementById('items-sold').textContent = `${itemsSold}/32`;
+    document.getElementById('items-sold').textContent = `${itemsSold}/${getAllItemKeys().length}`;
     document.getElementById('current-pot').textContent = formatCurrency(currentPot);
 
     const remainingEl = document.getElementById('remaining');
@@ -556,22 +4804,30 @@ function updateAll() {
         if (state.prices[key]) {
             input.classList.add('has-value');
         }
-        updateInputStyle(input);
+        updateInputStyle(input, estPot);
     });
 
-    // Targets in menu
-    CONFIG.matchups.forEach(m => {
-        const ev = CONFIG.expectedValues[m.id];
-        const target = Math.round((ev / 100) * estPot.mid);
-        const max = Math.round(target * 1.2);
+    renderMarketBoard();
+    updateBlockAdvisor();
 
-        const targetEl = document.querySelector(`[data-matchup="${m.id}"]`);
-        const maxEl = document.querySelector(`[data-matchup="${m.id}-max"]`);
+    // Targets in menu (team-specific item EV)
+    getAllItemKeys().forEach(key => {
+        const { target, max } = getBidTargets(getItemEV(key), estPot.mid);
+
+        const targetEl = document.querySelector(`[data-item="${key}"]`);
+        const maxEl = document.querySelector(`[data-item="${key}-max"]`);
 
         if (targetEl) targetEl.textContent = formatCurrency(target);
-        if (maxEl) maxEl.textContent = `(max ${formatCurrency(max)})`;
+        if (maxEl) maxEl.textContent = `max ${formatCurrency(max)}`;
     });
 
+    // Payout summary in menu
+    const payoutTotal = getPayoutTotal();
+    const totalEl = document.getElementById('payout-total');
+    totalEl.textContent = `${payoutTotal.toFixed(1)}%`;
+    totalEl.style.color = Math.abs(payoutTotal - 100) > 0.05 ? '#e53e3e' : '';
+    document.getElementById('net-pot').textContent = formatCurrency(getNetPot(estPot.mid));
+
     // Purchases in menu
     const purchases = getPurchases();
     const purchasesList = document.getElementById('purchases-list');
@@ -581,12 +4837,19 @@ function updateAll() {
     } else {
         purchasesList.innerHTML = purchases.map(p => `
             <div class="purchase-item">
-                <span class="purchase-name">${p.name}</span>
+                <span class="purchase-name">${escapeHtml(p.name)}${p.share < 1 ? ` <small>${+(p.share * 100).toFixed(2)}%</small>` : ''}</span>
                 <span class="purchase-price">${formatCurrency(p.price)}</span>
             </div>
         `).join('');
     }
 
+    renderLeaderboard();
+    renderSplits();
+    renderEventLog();
+    renderWhatIf();
+    renderBracketPanel();
+    renderHistory();
+
     document.getElementById('your-total').textContent = formatCurrency(spent);
     document.getElementById('your-ev').textContent = formatCurrency(expectedPayout);
 
@@ -596,6 +4859,12 @@ function updateAll() {
     roiEl.style.color = roi >= 0 ? '#48bb78' : '#e53e3e';
 }
 
+// Escape user-entered text (names, imported cells) for innerHTML and attributes
+function escapeHtml(text) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return String(text).replace(/[&<>"']/g, c => entities[c]);
+}
+
 // Format currency
 function formatCurrency(value) {
     return '$' + Math.round(value).toLocaleString();
@@ -611,11 +4880,14 @@ function formatShort(value) {
 
 // Save state
 function saveState() {
+    if (replayLive) return;  // never persist a replayed board
+
     try {
         localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
     } catch (e) {
         console.warn('Save failed:', e);
     }
+    queueSessionChanges();
 }
 
 // Load state
@@ -624,7 +4896,7 @@ function loadState() {
         const saved = localStorage.getItem(STORAGE_KEY);
         if (saved) {
             const parsed = JSON.parse(saved);
-            Object.assign(state, parsed);
+            Object.assign(state, migrateEventLog(migrateMineFlags(parsed)));
             document.getElementById('budget-input').value = state.budget;
         }
     } catch (e) {
@@ -634,9 +4906,14 @@ function loadState() {
 
 // Clear all
 function handleClear() {
-    if (confirm('Clear all auction data?')) {
+    const prompt = session ? 'Clear all auction data for everyone in the session?' : 'Clear all auction data?';
+    if (confirm(prompt)) {
+        exitReplay();
         state.prices = {};
-        state.mine = {};
+        state.owners = {};
+        state.shares = {};
+        state.onBlock = null;
+        state.log = [];
 
         document.querySelectorAll('.price-input').forEach(input => {
             input.value = '';
@@ -648,61 +4925,514 @@ function handleClear() {
             btn.textContent = '☆';
         });
 
+        document.querySelectorAll('.buyer-select').forEach(select => {
+            select.value = '';
+        });
+
         updateAll();
         saveState();
         document.getElementById('menu-overlay').classList.add('hidden');
     }
 }
 
-// Export
-function handleExport() {
-    const data = {
-        timestamp: new Date().toISOString(),
-        state: state
-    };
+// ============================================================
+// IMPORT / EXPORT
+// Exports are { format, version, exportedAt, state, field }. Older
+// files (the unversioned { timestamp, state } dump of the
+// ncaa_auction_tracker_v2 state, or a bare state) are migrated up
+// to EXPORT_VERSION, then every field is checked before anything
+// touches the board. CSV uses the R scripts' layout
+// (data/2025_auction results.csv): one row per sold item, keyed by
+// region and the item's higher seed, plus an optional buyer column.
+// Imports replace the board, or merge into it and list conflicts.
+// ============================================================
+
+const EXPORT_FORMAT = 'ncaa-calcutta-auction';
+const EXPORT_VERSION = 3;
+const LEGACY_VERSION = 2;  // Unversioned ncaa_auction_tracker_v2 files
 
-    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+// Steps that bring an exported state from version n to n + 1
+const STATE_MIGRATIONS = {
+    2: s => migrateEventLog(migrateMineFlags(s))
+};
+
+// The board before any edits, for whatever a replacing import leaves out
+const EMPTY_STATE = JSON.stringify(state);
+
+// Differences found by the last merge: [{ name, key, current, incoming }],
+// null once resolved
+let importConflicts = [];
+
+const isRecord = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+function downloadFile(filename, text, type) {
+    const blob = new Blob([text], { type });
     const url = URL.createObjectURL(blob);
 
     const a = document.createElement('a');
     a.href = url;
-    a.download = `auction_${new Date().toISOString().split('T')[0]}.json`;
+    a.download = filename;
     a.click();
 
     URL.revokeObjectURL(url);
 }
 
-// Import
+function handleExport() {
+    const data = {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        state: { ...state, year: getSeasonYear() }
+    };
+
+    // Carry an imported field so the file opens anywhere
+    if (importedSeasons[state.year]) {
+        data.field = importedSeasons[state.year];
+    }
+
+    const date = new Date().toISOString().split('T')[0];
+    downloadFile(`auction_${date}.json`, JSON.stringify(data, null, 2), 'application/json');
+}
+
+function handleExportCsv() {
+    const date = new Date().toISOString().split('T')[0];
+    downloadFile(`auction_results_${date}.csv`, buildAuctionCsv(), 'text/csv');
+}
+
+function csvField(value) {
+    const s = String(value ?? '');
+    return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Region,Team,Seed,sold_price,buyer for every sold item
+function buildAuctionCsv() {
+    const rows = [['Region', 'Team', 'Seed', 'sold_price', 'buyer']];
+    CONFIG.regions.forEach(region => CONFIG.matchups.forEach(m => {
+        const key = `${region}_${m.id}`;
+        if (!(state.prices[key] > 0)) return;
+        rows.push([region, getTeamName(region, m.highSeed), m.highSeed, state.prices[key], getParticipant(getOwner(key))?.name || '']);
+    }));
+    return rows.map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+// Unwrap an export of any version and migrate its state to the current shape
+function readExport(data) {
+    let version;
+    let raw;
+    if (data?.format === EXPORT_FORMAT) {
+        version = data.version;
+        raw = data.state;
+        if (!Number.isInteger(version)) throw new Error('Export has no version');
+        if (version > EXPORT_VERSION) {
+            throw new Error(`File is export version ${version}; this tracker reads up to ${EXPORT_VERSION}. Update the app first.`);
+        }
+    } else if (isRecord(data?.state)) {
+        version = LEGACY_VERSION;
+        raw = data.state;
+    } else if (isRecord(data?.prices)) {
+        version = LEGACY_VERSION;
+        raw = data;
+    } else {
+        throw new Error('Not an auction export (no state or prices found)');
+    }
+    if (!isRecord(raw)) throw new Error('Export state is not an object');
+
+    let migrated = JSON.parse(JSON.stringify(raw));
+    for (let v = version; v < EXPORT_VERSION; v++) {
+        if (STATE_MIGRATIONS[v]) migrated = STATE_MIGRATIONS[v](migrated);
+    }
+    return { state: migrated, field: data.field || null, version };
+}
+
+// Check every state field. Structural problems are errors and stop the
+// import; bad entries and settings are warnings and are left out.
+function validateState(raw) {
+    const errors = [];
+    const warnings = [];
+    const clean = {};
+    const itemKeys = new Set(getAllItemKeys());
+    const slotKeys = new Set(CONFIG.regions.flatMap(r => BRACKET_ORDER.map(seed => `${r}_${seed}`)));
+
+    if (raw.participants !== undefined) {
+        if (!Array.isArray(raw.participants)) {
+            errors.push('participants must be a list');
+        } else {
+            const seen = new Set();
+            clean.participants = raw.participants.filter(p => {
+                const ok = isRecord(p) && typeof p.id === 'string' && p.id && typeof p.name === 'string' &&
+                    !seen.has(p.id) && (p.budget === undefined || (Number.isFinite(p.budget) && p.budget >= 0));
+                if (ok) seen.add(p.id);
+                else warnings.push(`Participant ${JSON.stringify(p?.name ?? p)} is invalid or repeated, skipped`);
+                return ok;
+            });
+        }
+    }
+    const buyers = new Set(['me', ...(clean.participants || []).map(p => p.id)]);
+
+    // Keep the entries of a map that pass `check`
+    const filterMap = (name, check) => {
+        if (raw[name] === undefined) return;
+        if (!isRecord(raw[name])) {
+            errors.push(`${name} must be an object`);
+            return;
+        }
+        clean[name] = {};
+        Object.entries(raw[name]).forEach(([key, value]) => {
+            const problem = check(key, value);
+            if (problem) warnings.push(`${name} ${key}: ${problem}, skipped`);
+            else clean[name][key] = value;
+        });
+    };
+
+    filterMap('prices', (key, v) => !itemKeys.has(key) ? 'unknown item'
+        : !(Number.isFinite(v) && v > 0) ? 'price must be a positive number' : null);
+    filterMap('owners', (key, v) => !itemKeys.has(key) ? 'unknown item'
+        : !buyers.has(v) ? `unknown buyer "${v}"` : null);
+    filterMap('shares', (key, v) => {
+        if (!itemKeys.has(key)) return 'unknown item';
+        if (!isRecord(v)) return 'split must be an object';
+        const problem = validateShares(v, id => buyers.has(id));
+        return problem && problem[0].toLowerCase() + problem.slice(1);
+    });
+    filterMap('playInWinners', (key, v) => !slotKeys.has(key) ? 'unknown seed line'
+        : typeof v !== 'string' ? 'winner must be a team name' : null);
+    filterMap('results', (key, v) => !slotKeys.has(key) ? 'unknown seed line'
+        : !(Number.isInteger(v) && v >= 0 && v <= ROUNDS.length) ? `wins must be 0-${ROUNDS.length}` : null);
+    filterMap('teamRatings', (field, v) => !isRecord(v) || !Object.values(v).every(Number.isFinite)
+        ? 'ratings must be numbers' : null);
+    filterMap('ratingOverrides', (team, v) => !isRecord(v) ? 'override must be an object'
+        : Number.isFinite(v.barthag) ? (v.barthag > 0 && v.barthag < 1 ? null : 'Barthag must be between 0 and 1')
+        : !Number.isFinite(v.points) ? 'needs a Barthag or points per game' : null);
+
+    if (raw.log !== undefined) {
+        if (!Array.isArray(raw.log)) {
+            errors.push('log must be a list');
+        } else {
+            clean.log = raw.log.filter(e => isRecord(e) && ['price', 'owner', 'shares'].includes(e.kind) && itemKeys.has(e.key));
+            const dropped = raw.log.length - clean.log.length;
+            if (dropped) warnings.push(`${dropped} auction log entr${dropped === 1 ? 'y' : 'ies'} unreadable, skipped`);
+        }
+    }
+
+    // Settings fall back to the default when malformed
+    const setting = (name, ok) => {
+        if (raw[name] === undefined) return;
+        if (ok(raw[name])) clean[name] = raw[name];
+        else warnings.push(`${name} is invalid, default used`);
+    };
+    const nonNegative = v => Number.isFinite(v) && v >= 0;
+    setting('budget', nonNegative);
+    setting('mode', v => v === 'auction' || v === 'results');
+    setting('activeRegion', v => CONFIG.regions.includes(v) || v === FINAL_FOUR_TAB || v === BRACKET_TAB);
+    setting('onBlock', v => v === null || itemKeys.has(v));
+    setting('year', v => v === null || Number.isInteger(v));
+    setting('payouts', v => v === null || (isRecord(v.rounds) && Object.values(v.rounds).every(nonNegative)));
+    setting('winModel', v => v === null || (Number.isFinite(v?.intercept) && Number.isFinite(v?.coefficient)));
+    setting('ratingWeights', v => v === null || (isRecord(v) && Object.values(v).every(nonNegative)));
+    setting('risk', v => Object.hasOwn(Engine.RISK_PROFILES, v));
+
+    const known = Object.keys(JSON.parse(EMPTY_STATE));
+    Object.keys(raw).filter(k => !known.includes(k)).forEach(k => warnings.push(`Unknown field "${k}" ignored`));
+
+    return { state: errors.length ? null : clean, errors, warnings };
+}
+
+// Sold items from a Region,Team,Seed,sold_price[,buyer] CSV. The Team
+// column is only checked against the field. Buyers are matched to
+// participants by name; new names become participants.
+function parseAuctionCsv(text) {
+    const rows = parseCsv(text);
+    const header = (rows.shift() || []).map(h => h.trim().toLowerCase());
+    const col = name => header.indexOf(name);
+    const errors = [];
+    const warnings = [];
+    if (col('region') < 0 || col('seed') < 0 || col('sold_price') < 0) {
+        return { state: null, errors: ['CSV needs Region, Seed and sold_price columns'], warnings };
+    }
+
+    const regionNames = Object.fromEntries(CONFIG.regions.map(r => [r.toLowerCase(), r]));
+    const participants = getParticipants().map(p => ({ ...p }));
+    const prices = {};
+    const owners = {};
+
+    rows.forEach((row, i) => {
+        const line = i + 2;
+        const cell = name => (col(name) >= 0 ? row[col(name)] || '' : '').trim();
+        if (row.every(c => !c.trim())) return;
+
+        const region = regionNames[cell('region').toLowerCase()];
+        const seed = Number(cell('seed'));
+        const matchup = CONFIG.matchups.find(m => m.highSeed === seed || m.lowSeed === seed);
+        if (!region) {
+            errors.push(`Line ${line}: unknown region "${cell('region')}"`);
+            return;
+        }
+        if (!matchup) {
+            errors.push(`Line ${line}: seed must be 1-16`);
+            return;
+        }
+
+        const key = `${region}_${matchup.id}`;
+        if (prices[key]) {
+            errors.push(`Line ${line}: ${getItemLabel(key)} is listed twice`);
+            return;
+        }
+        if (!cell('sold_price')) return;  // Unsold
+        const price = Number(cell('sold_price').replace(/[$,]/g, ''));
+        if (!(price > 0)) {
+            errors.push(`Line ${line}: sold_price "${cell('sold_price')}" is not a positive number`);
+            return;
+        }
+        prices[key] = price;
+
+        const team = cell('team');
+        const names = [matchup.highSeed, matchup.lowSeed]
+            .flatMap(s => getTeamName(region, s).split(' / '))
+            .map(normalizeTeamName);
+        if (team && !names.includes(normalizeTeamName(team)) && !names.every(n => /^\d+ seed$/.test(n))) {
+            warnings.push(`Line ${line}: ${team} is not in ${getItemLabel(key)} (${getTeamName(region, matchup.highSeed)} / ${getTeamName(region, matchup.lowSeed)})`);
+        }
+
+        const buyer = cell('buyer');
+        if (buyer) {
+            let p = participants.find(x => x.name.toLowerCase() === buyer.toLowerCase());
+            if (!p) {
+                p = { id: newParticipantId(participants), name: buyer };
+                participants.push(p);
+            }
+            owners[key] = p.id;
+        }
+    });
+
+    const state = { prices, participants };
+    if (col('buyer') >= 0) state.owners = owners;
+    return { state: errors.length ? null : state, errors, warnings };
+}
+
+// Participants from another board, matched to ours by name; returns
+// a map from their ids to ours
+function mergeParticipants(incoming = []) {
+    const ids = { me: 'me' };
+    incoming.forEach(p => {
+        if (p.id === 'me') return;
+        const match = getParticipants().find(x => x.name.toLowerCase() === p.name.toLowerCase());
+        if (match) {
+            ids[p.id] = match.id;
+        } else {
+            const id = getParticipant(p.id) ? newParticipantId() : p.id;
+            state.participants.push({ ...p, id });
+            ids[p.id] = id;
+        }
+    });
+    return ids;
+}
+
+// Fill in what this board is missing; differing values are listed as
+// conflicts and keep ours
+function mergeBoard(incoming) {
+    const ids = mergeParticipants(incoming.participants);
+    const conflicts = [];
+    let added = 0;
+
+    const merge = (name, values, apply) => Object.entries(values || {}).forEach(([key, value]) => {
+        const current = name === 'owners' ? getOwner(key) : state[name]?.[key];
+        if (current === undefined || current === null) {
+            apply(key, value);
+            added++;
+        } else if (JSON.stringify(current) !== JSON.stringify(value)) {
+            conflicts.push({ name, key, current, incoming: value });
+        }
+    });
+
+    const owners = Object.fromEntries(Object.entries(incoming.owners || {}).map(([key, id]) => [key, ids[id] || id]));
+    const shares = Object.fromEntries(Object.entries(incoming.shares || {}).map(([key, split]) => [key, mapShareIds(split, id => ids[id] || id)]));
+    merge('prices', incoming.prices, (key, value) => applyImportedValue('prices', key, value));
+    merge('owners', owners, (key, value) => applyImportedValue('owners', key, value));
+    merge('shares', shares, (key, value) => applyImportedValue('shares', key, value));
+    merge('playInWinners', incoming.playInWinners, (key, value) => applyImportedValue('playInWinners', key, value));
+    merge('results', incoming.results, (key, value) => applyImportedValue('results', key, value));
+    merge('ratingOverrides', incoming.ratingOverrides, (key, value) => applyImportedValue('ratingOverrides', key, value));
+
+    return { added, conflicts };
+}
+
+// Set one imported value; prices, buyers and splits go through the event log
+function applyImportedValue(name, key, value) {
+    const kind = { prices: 'price', owners: 'owner', shares: 'shares' }[name];
+    if (kind) {
+        const prev = getLoggedValue(kind, key);
+        setLoggedValue(kind, key, value);
+        logEvent(kind, key, prev, getLoggedValue(kind, key), { source: 'import' });
+    } else {
+        state[name][key] = value;
+    }
+}
+
+// Replace the board. A CSV only replaces prices (and buyers, if it has
+// that column), logged as import events so they can be undone.
+function replaceBoard(incoming, isCsv) {
+    if (!isCsv) {
+        Object.assign(state, JSON.parse(EMPTY_STATE), incoming);
+        return;
+    }
+
+    state.participants = incoming.participants;
+    // Splits don't outlive a sale the file clears or gives another buyer
+    Object.keys(state.shares || {})
+        .filter(key => !(incoming.prices[key] > 0) || (incoming.owners && (incoming.owners[key] || null) !== getOwner(key)))
+        .forEach(key => applyImportedValue('shares', key, null));
+    const keys = new Set([...Object.keys(state.prices), ...Object.keys(incoming.prices)]);
+    keys.forEach(key => applyImportedValue('prices', key, incoming.prices[key] || 0));
+    if (incoming.owners) {
+        const owned = new Set([...Object.keys(state.owners || {}), ...Object.keys(incoming.owners)]);
+        owned.forEach(key => applyImportedValue('owners', key, incoming.owners[key] || null));
+    }
+}
+
 function handleImport(e) {
     const file = e.target.files[0];
     if (!file) return;
+    const merging = document.getElementById('import-merge').checked;
 
     const reader = new FileReader();
     reader.onload = function(event) {
+        let parsed;
+        let field = null;
+        const isCsv = /\.csv$/i.test(file.name);
         try {
-            const data = JSON.parse(event.target.result);
+            if (isCsv) {
+                parsed = parseAuctionCsv(event.target.result);
+            } else {
+                const data = readExport(JSON.parse(event.target.result));
+                field = data.field;
+                parsed = validateState(data.state);
+            }
+        } catch (err) {
+            parsed = { state: null, errors: [err.message], warnings: [] };
+        }
+
+        if (!parsed.state) {
+            renderImportReport(file.name, parsed);
+            return;
+        }
 
-            if (data.state) {
-                Object.assign(state, data.state);
-                document.getElementById('budget-input').value = state.budget;
+        if (field?.bracket && field.year && !importedSeasons[field.year]) {
+            importedSeasons[field.year] = field;
+            saveSeasons();
+        }
 
-                // Rebuild UI
-                buildRegionPanels();
-                setupEventListeners();
-                updateAll();
-                saveState();
+        exitReplay();
+        let result = { added: 0, conflicts: [] };
+        if (merging) {
+            result = mergeBoard(parsed.state);
+        } else {
+            replaceBoard(parsed.state, isCsv);
+        }
+        importConflicts = result.conflicts;
 
-                alert('Data imported!');
-                document.getElementById('menu-overlay').classList.add('hidden');
-            }
-        } catch (err) {
-            alert('Import failed: ' + err.message);
+        if (state.year && !importedSeasons[state.year] && state.year !== getBundledYear()) {
+            parsed.warnings.push(`This auction used the ${state.year} field, which isn't loaded. Import it under Season.`);
         }
+        document.getElementById('budget-input').value = state.budget;
+        rebuildAfterImport();
+
+        if (!merging && parsed.warnings.length === 0) {
+            renderImportReport(file.name, null);
+            alert('Data imported!');
+            document.getElementById('menu-overlay').classList.add('hidden');
+            return;
+        }
+        renderImportReport(file.name, parsed, merging ? result : null);
     };
 
     reader.readAsText(file);
     e.target.value = '';
 }
 
+// Listeners are attached once in setupEventListeners; this only redraws
+function rebuildAfterImport() {
+    refreshBracketProbs();
+    buildRegionPanels();
+    buildPayoutEditor();
+    buildWinModelPanel();
+    buildRatingsPanel();
+    buildWhatIfPanel();
+    buildHistoryPanel();
+    buildParticipantsEditor();
+    buildSeasonPicker();
+    applyMode();
+    updateAll();
+    renderEventLog();
+    saveState();
+}
+
+function describeConflictValue(name, value) {
+    if (name === 'prices') return formatCurrency(value);
+    if (name === 'owners') return escapeHtml(getParticipant(value)?.name || value);
+    if (name === 'shares') return describeShares(value);
+    if (name === 'results') return `${value} win${value === 1 ? '' : 's'}`;
+    if (name === 'ratingOverrides') return describeOverride(value);
+    return escapeHtml(value);
+}
+
+function describeConflictItem(name, key) {
+    if (name === 'prices' || name === 'owners' || name === 'shares') {
+        return `${getItemLabel(key)} ${{ prices: 'price', owners: 'buyer', shares: 'split' }[name]}`;
+    }
+    if (name === 'ratingOverrides') return `${escapeHtml(key)} what-if`;
+    const [region, seed] = key.split('_');
+    return `${region} ${seed} seed ${name === 'results' ? 'result' : 'play-in'}`;
+}
+
+// Errors, warnings and merge conflicts under the Data menu
+function renderImportReport(filename, parsed, merge = null) {
+    const container = document.getElementById('import-report');
+    if (!parsed) {
+        container.innerHTML = '';
+        return;
+    }
+
+    // Messages repeat file cells, so they're escaped like the file name
+    const list = (items, cls) => items.map(m => `<li class="${cls}">${escapeHtml(m)}</li>`).join('');
+    const file = escapeHtml(filename);
+    let summary;
+    if (!parsed.state) {
+        summary = `Nothing imported from ${file}:`;
+    } else if (merge) {
+        summary = `Merged ${file}: ${merge.added} value${merge.added === 1 ? '' : 's'} added, ${merge.conflicts.length} conflict${merge.conflicts.length === 1 ? '' : 's'}.`;
+    } else {
+        summary = `Imported ${file}.`;
+    }
+
+    const conflicts = importConflicts.map((c, i) => !c ? '' : `
+        <div class="import-conflict">
+            <span>${describeConflictItem(c.name, c.key)}:
+                <strong>${describeConflictValue(c.name, c.current)}</strong> here,
+                <strong>${describeConflictValue(c.name, c.incoming)}</strong> in file</span>
+            <button class="btn" data-conflict="${i}">Use file</button>
+        </div>
+    `).join('');
+
+    container.innerHTML = `
+        <p class="${parsed.state ? 'hint' : 'season-error'}">${summary}</p>
+        <ul>${list(parsed.errors, 'season-error')}${list(parsed.warnings, 'season-warning')}</ul>
+        ${conflicts ? `<div class="import-conflicts">${conflicts}</div>` : ''}
+    `;
+}
+
+// Take the file's value for one conflict
+function handleImportReportClick(e) {
+    const index = e.target.dataset.conflict;
+    if (index === undefined) return;
+
+    const c = importConflicts[index];
+    if (!c) return;
+    applyImportedValue(c.name, c.key, c.incoming);
+    importConflicts[index] = null;  // Keeps the other buttons' indexes
+    e.target.closest('.import-conflict').remove();
+    rebuildAfterImport();
+}
+
+
 // Init on load
 document.addEventListener('DOMContentLoaded', init);
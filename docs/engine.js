@@ -0,0 +1,1691 @@
+// NCAA Calcutta Auction - pricing engine
+//
+// Everything that prices the auction without touching the page:
+// win probabilities, bracket propagation, payouts, the pot model
+// and bid targets. Loaded by index.html before app.js (as the
+// global `Engine`) and required by the CLI and tests in Node.
+//
+// Functions that depend on the pool take an `env` first:
+//   { config, model, bracket, payouts, playInWinners, results,
+//     ratingWeights, teamRatings, ratingOverrides }
+// where `config` is data.json. createEnv fills in the defaults.
+
+(function (root, factory) {
+    const engine = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = engine;
+    } else {
+        root.Engine = engine;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    // Percent of the net pot paid per round won, and the house rake
+    const DEFAULT_PAYOUTS = {
+        rounds: { R64: 0, R32: 1.5, S16: 1.5, E8: 5, F4: 12, CHAMP: 20 },
+        rake: { flat: 0, percent: 0 }
+    };
+
+    // Seeds in bracket order, top to bottom of a region
+    const BRACKET_ORDER = [1, 16, 8, 9, 5, 12, 4, 13, 6, 11, 3, 14, 7, 10, 2, 15];
+
+    // Rounds keyed by the game won (R32 = won R32 game, reached Sweet 16)
+    const ROUNDS = ['R64', 'R32', 'S16', 'E8', 'F4', 'CHAMP'];
+
+    // Bid target and the price above which an item is flagged as overpaid
+    const MAX_BID_FACTOR = 1.2;
+
+    // Barthag taken at face value: no seed advantage, no shrinkage
+    const THEORETICAL_MODEL = { intercept: 0, coefficient: 1 };
+
+    // Pricing inputs for a pool; anything not given comes from data.json
+    function createEnv(config, overrides = {}) {
+        return {
+            config,
+            model: config.fittedModel || THEORETICAL_MODEL,
+            bracket: config.bracket2025 || null,
+            payouts: config.payouts || DEFAULT_PAYOUTS,
+            playInWinners: {},
+            results: {},
+            ratingWeights: { barthag: 1 },
+            teamRatings: {},
+            ratingOverrides: {},
+            ...overrides
+        };
+    }
+
+    // ============================================================
+    // WIN PROBABILITY
+    // Fitted logistic regression on the Barthag log-odds gap
+    // ============================================================
+
+    // Convert Barthag to log-odds
+    function barthagToLogOdds(barthag) {
+        barthag = Math.max(0.0001, Math.min(0.9999, barthag));
+        return Math.log(barthag / (1 - barthag));
+    }
+
+    // Calculate win probability using fitted model
+    function calcWinProb(barthagA, barthagB, model) {
+        const logOddsDiff = barthagToLogOdds(barthagA) - barthagToLogOdds(barthagB);
+        const eta = model.intercept + model.coefficient * logOddsDiff;
+        return 1 / (1 + Math.exp(-eta));
+    }
+
+    // Win probability for team A over team B. The fitted intercept is a
+    // better-seed advantage, so the model is always evaluated from the
+    // better seed's side; same-seed games average both orientations.
+    function fromBetterSeed(a, b, winProb) {
+        if (a.seed < b.seed) return winProb(a, b);
+        if (a.seed > b.seed) return 1 - winProb(b, a);
+        return (winProb(a, b) + 1 - winProb(b, a)) / 2;
+    }
+
+    function gameWinProb(a, b, model) {
+        return fromBetterSeed(a, b, (x, y) => calcWinProb(x.barthag, y.barthag, model));
+    }
+
+    // Default Barthag values by seed (historical averages)
+    function getDefaultBarthag(seed) {
+        const defaults = {
+            1: 0.96, 2: 0.93, 3: 0.91, 4: 0.88,
+            5: 0.86, 6: 0.83, 7: 0.80, 8: 0.78,
+            9: 0.76, 10: 0.74, 11: 0.72, 12: 0.70,
+            13: 0.68, 14: 0.65, 15: 0.62, 16: 0.55
+        };
+        return defaults[seed] || 0.75;
+    }
+
+    // Standard score of a Barthag against past teams on the same seed
+    // line (interquartile range / 1.35 as the spread), or null
+    function getSeedZScore(config, seed, barthag) {
+        const bench = config.seedBarthag?.[seed];
+        if (!bench) return null;
+        return (barthag - bench.mean) / ((bench.q75 - bench.q25) / 1.35);
+    }
+
+    // R64 opponent by seed
+    function getR64Opponent(seed) {
+        const opponents = {
+            1: 16, 2: 15, 3: 14, 4: 13, 5: 12, 6: 11, 7: 10, 8: 9,
+            9: 8, 10: 7, 11: 6, 12: 5, 13: 4, 14: 3, 15: 2, 16: 1
+        };
+        return opponents[seed];
+    }
+
+    // R32 matchup possibilities (who you could face)
+    function getR32Opponents(seed) {
+        const matchups = {
+            1: [8, 9], 16: [8, 9], 8: [1, 16], 9: [1, 16],
+            4: [5, 12], 13: [5, 12], 5: [4, 13], 12: [4, 13],
+            3: [6, 11], 14: [6, 11], 6: [3, 14], 11: [3, 14],
+            2: [7, 10], 15: [7, 10], 7: [2, 15], 10: [2, 15]
+        };
+        return matchups[seed] || [];
+    }
+
+    // S16 opponents (from opposite side of bracket quarter)
+    function getS16Opponents(seed) {
+        const pairings = {
+            1: [4, 5, 12, 13], 16: [4, 5, 12, 13], 8: [4, 5, 12, 13], 9: [4, 5, 12, 13],
+            4: [1, 8, 9, 16], 13: [1, 8, 9, 16], 5: [1, 8, 9, 16], 12: [1, 8, 9, 16],
+            2: [3, 6, 11, 14], 15: [3, 6, 11, 14], 7: [3, 6, 11, 14], 10: [3, 6, 11, 14],
+            3: [2, 7, 10, 15], 14: [2, 7, 10, 15], 6: [2, 7, 10, 15], 11: [2, 7, 10, 15]
+        };
+        return pairings[seed] || [];
+    }
+
+    // ============================================================
+    // RATING SOURCES
+    // Each source maps the rating gap between two teams onto the
+    // same logistic scale, eta = intercept + coefficient * gap.
+    // Barthag's mapping is the win model; the others come from
+    // ratingSources in data.json. Games are priced on the weighted
+    // mean of the sources' log-odds, skipping any source one of the
+    // two teams has no rating for.
+    // ============================================================
+
+    // Ratings a team can carry, flat on its bracket entry as the season
+    // importer stores them (kenpom and vegas are entered per pool)
+    const RATING_FIELDS = ['barthag', 'adjOE', 'adjDE', 'tempo', 'wab', 'kenpom', 'vegas'];
+
+    // Possessions per game when a team's tempo is unknown
+    const DEFAULT_TEMPO = 68;
+
+    // Expected point margin from an efficiency-margin gap (points per 100
+    // possessions) at the two teams' average tempo
+    function efficiencyMargin(gap, a, b) {
+        return gap * ((a.tempo || DEFAULT_TEMPO) + (b.tempo || DEFAULT_TEMPO)) / 200;
+    }
+
+    const RATING_SOURCES = [
+        {
+            id: 'barthag',
+            label: 'Barthag',
+            has: t => t.barthag !== undefined,
+            gap: (a, b) => barthagToLogOdds(a.barthag) - barthagToLogOdds(b.barthag),
+            shift: (t, d) => ({ barthag: logOddsToBarthag(barthagToLogOdds(t.barthag) + d) })
+        },
+        {
+            id: 'efficiency',
+            label: 'AdjEM',
+            has: t => t.adjOE !== undefined && t.adjDE !== undefined,
+            gap: (a, b) => efficiencyMargin((a.adjOE - a.adjDE) - (b.adjOE - b.adjDE), a, b),
+            shift: (t, d) => ({ adjOE: t.adjOE + d * 100 / (t.tempo || DEFAULT_TEMPO) })
+        },
+        {
+            id: 'wab',
+            label: 'WAB',
+            has: t => t.wab !== undefined,
+            gap: (a, b) => a.wab - b.wab,
+            shift: (t, d) => ({ wab: t.wab + d })
+        },
+        {
+            id: 'kenpom',
+            label: 'KenPom',
+            mapping: 'efficiency',  // Same units as Barttorvik's AdjEM
+            has: t => t.kenpom !== undefined,
+            gap: (a, b) => efficiencyMargin(a.kenpom - b.kenpom, a, b),
+            shift: (t, d) => ({ kenpom: t.kenpom + d * 100 / (t.tempo || DEFAULT_TEMPO) })
+        },
+        {
+            id: 'vegas',
+            label: 'Vegas',
+            has: t => t.vegas !== undefined,
+            gap: (a, b) => a.vegas - b.vegas,
+            shift: (t, d) => ({ vegas: t.vegas + d })
+        }
+    ];
+
+    // A team's ratings, with ratings entered for the pool on top and
+    // any what-if override applied last
+    function getTeamRatings(env, team) {
+        const ratings = {};
+        RATING_FIELDS.forEach(field => {
+            const value = env.teamRatings?.[field]?.[team.team] ?? team[field];
+            if (Number.isFinite(value)) ratings[field] = value;
+        });
+        const override = env.ratingOverrides?.[team.team];
+        return override ? applyRatingOverride(env, ratings, override) : ratings;
+    }
+
+    // ============================================================
+    // WHAT-IF OVERRIDES
+    // Rating changes entered on the night (an injury, a suspension):
+    // { barthag } sets a team's Barthag outright, { points } moves it
+    // by points per game on the efficiency scale. Either becomes a
+    // shift in the log-odds of every game the team plays, applied to
+    // each source the team has a rating in, so blends move with it.
+    // ============================================================
+
+    // Log-odds per point of margin without an efficiency mapping in
+    // data.json (the 1.702 / 11 spread approximation)
+    const POINTS_LOG_ODDS = 0.1547;
+
+    function logOddsToBarthag(logOdds) {
+        return 1 / (1 + Math.exp(-logOdds));
+    }
+
+    // Game log-odds shift from an override of these ratings
+    function getOverrideShift(env, ratings, override) {
+        if (Number.isFinite(override.barthag) && ratings.barthag !== undefined) {
+            return env.model.coefficient * (barthagToLogOdds(override.barthag) - barthagToLogOdds(ratings.barthag));
+        }
+        const perPoint = env.config.ratingSources?.efficiency?.coefficient || POINTS_LOG_ODDS;
+        return (override.points || 0) * perPoint;
+    }
+
+    function applyRatingOverride(env, ratings, override) {
+        const shift = getOverrideShift(env, ratings, override);
+        const adjusted = { ...ratings };
+        RATING_SOURCES.forEach(source => {
+            const mapping = getSourceMapping(env, source);
+            if (shift && mapping?.coefficient && source.has(ratings)) {
+                Object.assign(adjusted, source.shift(ratings, shift / mapping.coefficient));
+            }
+        });
+        if (Number.isFinite(override.barthag)) adjusted.barthag = override.barthag;
+        return adjusted;
+    }
+
+    // Logistic mapping for a source, or null if data.json has none
+    function getSourceMapping(env, source) {
+        if (source.id === 'barthag') return env.model;
+        return env.config.ratingSources?.[source.mapping || source.id] || null;
+    }
+
+    // Sources that can price games in this env
+    function getRatingSources(env) {
+        return RATING_SOURCES.filter(source => getSourceMapping(env, source));
+    }
+
+    // Blended log-odds that team A beats team B; the win model on Barthag
+    // when no weighted source covers both teams
+    function blendLogOdds(env, a, b) {
+        let sum = 0;
+        let weight = 0;
+        RATING_SOURCES.forEach(source => {
+            const w = env.ratingWeights?.[source.id] || 0;
+            if (w <= 0 || !source.has(a) || !source.has(b)) return;
+            const mapping = getSourceMapping(env, source);
+            if (!mapping) return;
+            sum += w * (mapping.intercept + mapping.coefficient * source.gap(a, b));
+            weight += w;
+        });
+        if (weight > 0) return sum / weight;
+        return env.model.intercept + env.model.coefficient * (barthagToLogOdds(a.barthag) - barthagToLogOdds(b.barthag));
+    }
+
+    // Win probability for team A over team B under the env's blend
+    function teamWinProb(env, a, b) {
+        return fromBetterSeed(a, b, (x, y) => 1 / (1 + Math.exp(-blendLogOdds(env, x, y))));
+    }
+
+    // ============================================================
+    // BRACKET
+    // Slots, First Four entrants and exact propagation of every
+    // team's advancement probability across all 64 slots
+    // ============================================================
+
+    // Winner of a First Four game, from the pool or data.json
+    function getPlayInWinner(env, region, seed) {
+        const slot = env.bracket?.[region]?.[seed];
+        if (!slot?.playIn) return null;
+        const name = env.playInWinners?.[`${region}_${seed}`] || slot.winner;
+        return slot.playIn.find(t => t.team === name) || null;
+    }
+
+    // Teams that can occupy a seed line, with the chance each one does.
+    // An undecided First Four slot holds both candidates.
+    function getSlotEntrants(env, region, seed) {
+        const slot = env.bracket?.[region]?.[seed];
+        if (!slot) return [{ team: null, barthag: getDefaultBarthag(seed), p: 1 }];
+        const entrant = (t, p) => ({ ...getTeamRatings(env, t), team: t.team, p });
+
+        if (slot.playIn) {
+            const winner = getPlayInWinner(env, region, seed);
+            if (winner) return [entrant(winner, 1)];
+
+            const [a, b] = slot.playIn.map(t => ({ ...getTeamRatings(env, t), seed: Number(seed) }));
+            const pA = teamWinProb(env, a, b);
+            return [entrant(slot.playIn[0], pA), entrant(slot.playIn[1], 1 - pA)];
+        }
+
+        return [entrant(slot, 1)];
+    }
+
+    // Barthag for a seed line. An undecided play-in slot gets its
+    // candidates' probability-weighted mean.
+    function getRegionBarthag(env, region, seed) {
+        if (!env.bracket?.[region]?.[seed]) return getDefaultBarthag(seed);
+        return getSlotEntrants(env, region, seed).reduce((sum, t) => sum + t.p * t.barthag, 0);
+    }
+
+    // Display name for a seed line: the play-in winner once decided
+    function getTeamName(env, region, seed) {
+        const entrants = getSlotEntrants(env, region, seed);
+        if (entrants.length === 1 && entrants[0].team) return entrants[0].team;
+        return env.bracket?.[region]?.[seed]?.team || `${seed}-seed`;
+    }
+
+    // Games a seed line has won so far
+    function getTeamWins(env, region, seed) {
+        return env.results?.[`${region}_${seed}`] || 0;
+    }
+
+    // Region pairs that meet in the national semifinals
+    function getFinalFourPairs(config) {
+        if (config.finalFour) return config.finalFour;
+        const r = config.regions;
+        return [[r[0], r[1]], [r[2], r[3]]];
+    }
+
+    // All 64 slots in bracket order: Final Four pairs, then regions, then seeds
+    function buildBracketSlots(env) {
+        const slots = [];
+        getFinalFourPairs(env.config).flat().forEach(region => {
+            BRACKET_ORDER.forEach(seed => {
+                slots.push({
+                    region,
+                    seed,
+                    entrants: getSlotEntrants(env, region, seed),
+                    wins: getTeamWins(env, region, seed)
+                });
+            });
+        });
+        return slots;
+    }
+
+    // One entry per team that can occupy a slot, starting alive with its
+    // chance of occupying it (1, or its play-in win probability)
+    function buildBracketEntries(slots) {
+        return slots.flatMap((slot, s) => slot.entrants.map(team => ({
+            ...team, region: slot.region, seed: slot.seed, slot: s
+        })));
+    }
+
+    // Exact propagation: a team's chance of winning round r is its chance of
+    // being alive times its win probability against each possible opponent
+    // from the other half of its sub-bracket, weighted by that opponent's
+    // chance of being alive. Within any sub-bracket the survivors sum to 1.
+    // Games already played (slot.wins) are forced to their actual winner.
+    function propagateBracket(slots, winProb) {
+        const entries = buildBracketEntries(slots);
+        let alive = entries.map(e => e.p);
+        const probs = entries.map(() => ({}));
+
+        ROUNDS.forEach((round, r) => {
+            const half = 1 << r;
+            const size = half * 2;
+
+            const next = entries.map((entry, i) => {
+                if (alive[i] === 0) return 0;
+                const start = Math.floor(entry.slot / size) * size;
+                const oppStart = (entry.slot - start) < half ? start + half : start;
+
+                let pWin = 0;
+                entries.forEach((opp, j) => {
+                    if (opp.slot < oppStart || opp.slot >= oppStart + half || alive[j] === 0) return;
+                    pWin += alive[j] * winProb(entry, opp);
+                });
+                return alive[i] * pWin;
+            });
+
+            // Condition on played games: the winner's slot survives for sure
+            entries.forEach((entry, i) => {
+                const start = Math.floor(entry.slot / size) * size;
+                const winner = slots.findIndex((slot, s) => s >= start && s < start + size && slot.wins > r);
+                if (winner === -1) return;
+
+                const slotAlive = entries.reduce((sum, e, j) => sum + (e.slot === winner ? alive[j] : 0), 0);
+                next[i] = entry.slot === winner && slotAlive > 0 ? alive[i] / slotAlive : 0;
+            });
+
+            next.forEach((p, i) => { probs[i][round] = p; });
+            alive = next;
+        });
+
+        return { entries, probs };
+    }
+
+    // Round probabilities for every seed line and every team:
+    //   probs: { region: { seed: { R64 ... CHAMP } } }, blended over play-ins
+    //   teams: { region: { seed: [{ team, barthag, pPlayIn, probs }] } }
+    function computeBracket(env) {
+        const { entries, probs } = propagateBracket(buildBracketSlots(env), (a, b) => teamWinProb(env, a, b));
+        const slotProbs = {};
+        const teams = {};
+
+        entries.forEach((entry, i) => {
+            const { region, seed } = entry;
+            slotProbs[region] = slotProbs[region] || {};
+            teams[region] = teams[region] || {};
+
+            const p = slotProbs[region][seed] = slotProbs[region][seed] || {};
+            ROUNDS.forEach(round => { p[round] = (p[round] || 0) + probs[i][round]; });
+
+            (teams[region][seed] = teams[region][seed] || []).push({
+                team: entry.team, barthag: entry.barthag, pPlayIn: entry.p, probs: probs[i]
+            });
+        });
+
+        return { probs: slotProbs, teams };
+    }
+
+    // A seed line's road through the bracket. Per round: the chance it
+    // plays that game and wins it, and its likeliest opponents from the
+    // other half of its sub-bracket (the R32 and S16 pairings above,
+    // then the rest of the region, the paired region and the other
+    // semifinal). `meet` is the chance both sides get there, which are
+    // independent until they meet; `win` is the chance of beating them
+    // once they do. Play-in candidates are weighed by their own reach.
+    function getTeamPath(env, bracket, region, seed, limit = 3) {
+        const slots = buildBracketSlots(env);
+        const index = slots.findIndex(slot => slot.region === region && slot.seed === Number(seed));
+        if (index < 0) return [];
+
+        // Entrants with their chance of playing round r
+        const reaching = (slot, r) => slot.entrants.map((t, i) => {
+            const probs = bracket.teams[slot.region]?.[slot.seed]?.[i]?.probs;
+            return { ...t, seed: slot.seed, reach: r === 0 ? t.p : (probs?.[ROUNDS[r - 1]] || 0) };
+        });
+        const own = bracket.probs[region]?.[seed];
+
+        return ROUNDS.map((round, r) => {
+            const half = 1 << r;
+            const start = Math.floor(index / (half * 2)) * half * 2;
+            const oppStart = index - start < half ? start + half : start;
+            const ours = reaching(slots[index], r);
+
+            const opponents = slots.slice(oppStart, oppStart + half)
+                .map(slot => {
+                    let meet = 0;
+                    let wins = 0;
+                    reaching(slot, r).forEach(b => ours.forEach(a => {
+                        meet += a.reach * b.reach;
+                        wins += a.reach * b.reach * teamWinProb(env, a, b);
+                    }));
+                    return {
+                        region: slot.region,
+                        seed: slot.seed,
+                        team: getTeamName(env, slot.region, slot.seed),
+                        meet,
+                        win: meet > 0 ? wins / meet : 0
+                    };
+                })
+                .filter(o => o.meet > 0)
+                .sort((a, b) => b.meet - a.meet)
+                .slice(0, limit);
+
+            const plays = ours.reduce((sum, t) => sum + t.reach, 0);
+            return { round, plays, wins: own?.[round] || 0, opponents };
+        });
+    }
+
+    // ============================================================
+    // PAYOUTS
+    // Per-round payouts and house rake; every EV and target is
+    // priced through these
+    // ============================================================
+
+    // Payout per round won, as a fraction of the net pot
+    function getPayoutFractions(env) {
+        const rounds = env.payouts.rounds;
+        const fractions = {};
+        ROUNDS.forEach(round => { fractions[round] = (rounds[round] || 0) / 100; });
+        return fractions;
+    }
+
+    // Share of the net pot paid out if every round is paid (should be 100%)
+    function getPayoutTotal(env) {
+        const fractions = getPayoutFractions(env);
+        return ROUNDS.reduce((sum, round, r) => sum + fractions[round] * (32 >> r), 0) * 100;
+    }
+
+    // Pot available for payouts after the house rake
+    function getNetPot(env, grossPot) {
+        const rake = env.payouts.rake || {};
+        const net = grossPot * (1 - (rake.percent || 0) / 100) - (rake.flat || 0);
+        return Math.max(0, net);
+    }
+
+    // Expected payout fraction for a set of round-won probabilities
+    function payoutForProbs(env, probs) {
+        const fractions = getPayoutFractions(env);
+        return ROUNDS.reduce((sum, round) => sum + (probs[round] || 0) * fractions[round], 0);
+    }
+
+    // Historical (seed-only) EV for a seed, in percent of the net pot
+    function getSeedEV(env, seed) {
+        const probs = env.config.seedAdvancement?.[seed];
+        if (!probs) return undefined;
+        return payoutForProbs(env, probs) * 100;
+    }
+
+    // Historical (seed-only) EV for a matchup item, in percent of the net pot
+    function getBaseEV(env, matchupId) {
+        const matchup = env.config.matchups.find(m => m.id === matchupId);
+        const high = matchup && getSeedEV(env, matchup.highSeed);
+        if (high === undefined) return env.config.expectedValues[matchupId];
+        return high + (getSeedEV(env, matchup.lowSeed) || 0);
+    }
+
+    // Dollar value of an EV percentage against a projected gross pot
+    function evToDollars(env, evPct, grossPot) {
+        return (evPct / 100) * getNetPot(env, grossPot);
+    }
+
+    // Price at which an item returns exactly its cost. The bid itself lands
+    // in the pot, so solve P = ev * net(potOther + P) for P.
+    function getBreakEvenPrice(env, evPct, potOther) {
+        const rake = env.payouts.rake || {};
+        const keep = 1 - (rake.percent || 0) / 100;
+        const ev = evPct / 100;
+        const price = ev * (potOther * keep - (rake.flat || 0)) / (1 - ev * keep);
+        return Math.max(0, price);
+    }
+
+    // ============================================================
+    // ITEM EV AND BID TARGETS
+    // `bracket` is a computeBracket result for the same env
+    // ============================================================
+
+    // Split an item key into region and matchup id
+    function parseItemKey(key) {
+        const [region, ...parts] = key.split('_');
+        return { region, matchupId: parts.join('_') };
+    }
+
+    // All auction item keys
+    function getAllItemKeys(config) {
+        return config.regions.flatMap(region => config.matchups.map(m => `${region}_${m.id}`));
+    }
+
+    // Bracket-aware EV for a seed line, in percent of the net pot
+    function calculateBracketEV(env, bracket, region, seed) {
+        const probs = bracket.probs[region]?.[seed];
+        if (!probs) return { probs: {}, ev: 0 };
+        return { probs, ev: payoutForProbs(env, probs) * 100 };
+    }
+
+    // Both seeds' EVs for an item, with their seed-only counterparts
+    function getMatchupEVs(env, bracket, region, matchup) {
+        const baseEV = getBaseEV(env, matchup.id);
+        const highEV = calculateBracketEV(env, bracket, region, matchup.highSeed).ev;
+        const lowEV = calculateBracketEV(env, bracket, region, matchup.lowSeed).ev;
+
+        return {
+            high: highEV,
+            low: lowEV,
+            total: highEV + lowEV,
+            highNaive: getSeedEV(env, matchup.highSeed) ?? baseEV,
+            lowNaive: getSeedEV(env, matchup.lowSeed) ?? 0
+        };
+    }
+
+    // Combined team-specific EV of an item (both seed lines), in percent
+    function getItemEV(env, bracket, key) {
+        const { region, matchupId } = parseItemKey(key);
+        const matchup = env.config.matchups.find(m => m.id === matchupId);
+        return matchup ? getMatchupEVs(env, bracket, region, matchup).total : 0;
+    }
+
+    // Each seed line's EV under every usable rating source on its own,
+    // keyed by source id, then region and seed. Seed lines the source
+    // has no rating for are left out rather than priced on the fallback.
+    function getSourceEVs(env) {
+        const evs = {};
+        getRatingSources(env).forEach(source => {
+            const sourceEnv = { ...env, ratingWeights: { [source.id]: 1 } };
+            const bracket = computeBracket(sourceEnv);
+            const byRegion = {};
+            let covered = 0;
+            env.config.regions.forEach(region => {
+                byRegion[region] = {};
+                Object.keys(bracket.probs[region] || {}).forEach(seed => {
+                    const entrants = getSlotEntrants(env, region, seed);
+                    if (!entrants.every(t => t.team && source.has(t))) return;
+                    byRegion[region][seed] = calculateBracketEV(sourceEnv, bracket, region, seed).ev;
+                    covered++;
+                });
+            });
+            if (covered > 0) evs[source.id] = byRegion;
+        });
+        return evs;
+    }
+
+    // Target (EV in dollars) and max bid for an item against a gross pot
+    function getBidTargets(env, evPct, grossPot) {
+        const target = evToDollars(env, evPct, grossPot);
+        return { target, max: target * MAX_BID_FACTOR };
+    }
+
+    // Every item priced against a gross pot, in region then matchup order
+    function buildBidSheet(env, grossPot) {
+        const bracket = computeBracket(env);
+
+        return env.config.regions.flatMap(region => env.config.matchups.map(matchup => {
+            const evs = getMatchupEVs(env, bracket, region, matchup);
+            const { target, max } = getBidTargets(env, evs.total, grossPot);
+            return {
+                key: `${region}_${matchup.id}`,
+                region,
+                matchup: matchup.label,
+                high: getTeamName(env, region, matchup.highSeed),
+                low: getTeamName(env, region, matchup.lowSeed),
+                baseEV: getBaseEV(env, matchup.id),
+                ev: evs.total,
+                target,
+                max
+            };
+        }));
+    }
+
+    // Quick read on one matchup from its two teams' Barthag ratings, as
+    // R/06_bracket_evaluator.R does before the bracket is loaded: each
+    // standard deviation above the seed's historical average adds ~10%
+    // to the seed-only EV, capped at +/-30%.
+    function evaluateMatchup(env, { matchup: label, highBarthag, lowBarthag, grossPot }) {
+        const config = env.config;
+        const matchup = config.matchups.find(m => m.label === label || m.id === label);
+        if (!matchup) {
+            throw new Error(`Invalid matchup "${label}". Use a format like 1/16 or 5/12.`);
+        }
+
+        const highZ = getSeedZScore(config, matchup.highSeed, highBarthag) ?? 0;
+        const lowZ = getSeedZScore(config, matchup.lowSeed, lowBarthag) ?? 0;
+        const adjustment = Math.max(0.7, Math.min(1.3, 1 + 0.10 * (highZ + lowZ) / 2));
+
+        const baseEV = getBaseEV(env, matchup.id);
+        const adjustedEV = baseEV * adjustment;
+        const evDollars = evToDollars(env, adjustedEV, grossPot);
+
+        return {
+            matchup: matchup.label,
+            highSeed: matchup.highSeed,
+            lowSeed: matchup.lowSeed,
+            highBarthag,
+            lowBarthag,
+            highZ,
+            lowZ,
+            baseEV,
+            adjustment,
+            adjustedEV,
+            baseDollars: evToDollars(env, baseEV, grossPot),
+            evDollars,
+            targetLow: evDollars * 0.65,
+            targetHigh: evDollars * 0.85,
+            max: evDollars
+        };
+    }
+
+    // ============================================================
+    // WIN MODEL FITTING
+    // Refits the logistic model from past tournament games the way
+    // R/09_fit_win_probability_model.R does, with year and round
+    // filters, and scores it like fitted_model_coefficients.json
+    // ============================================================
+
+    // Minimal RFC 4180 reader: quoted fields, doubled quotes, CRLF, BOM
+    function parseCsv(text) {
+        const rows = [];
+        let row = [], field = '', quoted = false;
+        text = text.replace(/^\uFEFF/, '');
+
+        for (let i = 0; i < text.length; i++) {
+            const c = text[i];
+            if (quoted) {
+                if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+                else if (c === '"') quoted = false;
+                else field += c;
+            } else if (c === '"') {
+                quoted = true;
+            } else if (c === ',') {
+                row.push(field);
+                field = '';
+            } else if (c === '\n' || c === '\r') {
+                if (c === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                if (row.some(v => v.trim() !== '')) rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += c;
+            }
+        }
+        row.push(field);
+        if (row.some(v => v.trim() !== '')) rows.push(row);
+        return rows;
+    }
+
+    // Games from tournament_games_with_barthag.csv. Team A is the better
+    // seed; rows missing a rating or a winner are dropped, as in R.
+    function parseGames(text) {
+        const rows = parseCsv(text);
+        const header = (rows.shift() || []).map(h => h.trim().toLowerCase());
+        const required = ['year', 'round', 'team_a', 'team_b', 'seed_a', 'seed_b', 'barthag_a', 'barthag_b', 'winner'];
+        const missing = required.filter(h => !header.includes(h));
+        if (missing.length) {
+            throw new Error(`Games file is missing ${missing.join(', ')}`);
+        }
+
+        const col = {};
+        required.forEach(h => { col[h] = header.indexOf(h); });
+
+        return rows.map(row => ({
+            year: Number(row[col.year]),
+            round: (row[col.round] || '').trim(),
+            teamA: row[col.team_a],
+            teamB: row[col.team_b],
+            seedA: Number(row[col.seed_a]),
+            seedB: Number(row[col.seed_b]),
+            barthagA: parseFloat(row[col.barthag_a]),
+            barthagB: parseFloat(row[col.barthag_b]),
+            aWon: row[col.winner] === row[col.team_a] ? 1 : 0,
+            winner: (row[col.winner] || '').trim()
+        })).filter(g => Number.isFinite(g.barthagA) && Number.isFinite(g.barthagB) && g.winner);
+    }
+
+    // Games inside a year range and, when given, a set of rounds
+    function filterGames(games, { fromYear = -Infinity, toYear = Infinity, rounds = null } = {}) {
+        return games.filter(g => g.year >= fromYear && g.year <= toYear && (!rounds || rounds.includes(g.round)));
+    }
+
+    function predictGame(game, model) {
+        return calcWinProb(game.barthagA, game.barthagB, model);
+    }
+
+    // Maximum-likelihood logistic fit of team A winning on the Barthag
+    // log-odds gap (Newton-Raphson, as glm does)
+    function fitWinModel(games) {
+        if (games.length < 2) throw new Error(`${games.length} games match; need at least two to fit the model`);
+
+        const xs = games.map(g => barthagToLogOdds(g.barthagA) - barthagToLogOdds(g.barthagB));
+        let b0 = 0;
+        let b1 = 0;
+
+        for (let iter = 0; iter < 50; iter++) {
+            let g0 = 0, g1 = 0, h00 = 0, h01 = 0, h11 = 0;
+            games.forEach((game, i) => {
+                const p = 1 / (1 + Math.exp(-(b0 + b1 * xs[i])));
+                const w = p * (1 - p);
+                g0 += game.aWon - p;
+                g1 += (game.aWon - p) * xs[i];
+                h00 += w;
+                h01 += w * xs[i];
+                h11 += w * xs[i] * xs[i];
+            });
+
+            const det = h00 * h11 - h01 * h01;
+            if (!(det > 1e-12)) throw new Error('Games do not separate; widen the filters');
+            const d0 = (h11 * g0 - h01 * g1) / det;
+            const d1 = (h00 * g1 - h01 * g0) / det;
+            b0 += d0;
+            b1 += d1;
+            if (Math.abs(d0) < 1e-10 && Math.abs(d1) < 1e-10) break;
+        }
+
+        return { intercept: b0, coefficient: b1 };
+    }
+
+    // Brier score, log loss and accuracy (p > 0.5 called for team A)
+    function scoreWinModel(games, model) {
+        const eps = 1e-15;
+        let brier = 0, logLoss = 0, correct = 0;
+        games.forEach(g => {
+            const p = predictGame(g, model);
+            brier += (p - g.aWon) ** 2;
+            logLoss -= g.aWon * Math.log(Math.max(p, eps)) + (1 - g.aWon) * Math.log(Math.max(1 - p, eps));
+            if ((p > 0.5 ? 1 : 0) === g.aWon) correct++;
+        });
+        const n = games.length || 1;
+        return { brierScore: brier / n, logLoss: logLoss / n, accuracy: correct / n };
+    }
+
+    // Predicted vs actual win rate in equal-width probability bins
+    function calibrateWinModel(games, model, bins = 10) {
+        const groups = Array.from({ length: bins }, (_, b) => ({
+            from: b / bins, to: (b + 1) / bins, n: 0, predicted: 0, actual: 0
+        }));
+        games.forEach(g => {
+            const p = predictGame(g, model);
+            const bin = groups[Math.min(bins - 1, Math.floor(p * bins))];
+            bin.n++;
+            bin.predicted += p;
+            bin.actual += g.aWon;
+        });
+        return groups.filter(b => b.n > 0).map(b => ({ ...b, predicted: b.predicted / b.n, actual: b.actual / b.n }));
+    }
+
+    // Refit on the filtered games and report how it and the theoretical
+    // model (Barthag at face value) score on them
+    function refitWinModel(games, filter = {}) {
+        const used = filterGames(games, filter);
+        const model = fitWinModel(used);
+        const years = used.map(g => g.year);
+
+        return {
+            ...model,
+            nGames: used.length,
+            years: `${Math.min(...years)}-${Math.max(...years)}`,
+            rounds: [...new Set(used.map(g => g.round))],
+            metrics: {
+                fitted: scoreWinModel(used, model),
+                theoretical: scoreWinModel(used, THEORETICAL_MODEL)
+            },
+            calibration: calibrateWinModel(used, model)
+        };
+    }
+
+    // ============================================================
+    // POT PROJECTION MODEL
+    // Log-price model calibrated on past auctions:
+    //   log(price) = auction scale + matchup share + slope * sale position
+    //                + region effect + item noise
+    // Live, the auction scale and region effects are updated from the
+    // items sold so far and their remaining uncertainty is carried
+    // through to a prediction interval on the final pot.
+    // ============================================================
+
+    const POT_MODEL_DEFAULTS = {
+        priorPot: 20000,  // Pot guess when there is no past auction
+        priorSd: 0.25,    // Log-scale uncertainty of the pot before any sale
+        sigma: 0.3,       // Item noise when there is no past auction
+        tau: 0.1,         // Region effect spread when there is no past auction
+        shrink: 4,        // Pseudo-sales pulling matchup shares to historicalPriceRatios
+        noiseWeight: 8,   // Pseudo-sales behind the calibrated item noise
+        z: 1.645          // 90% prediction interval
+    };
+
+    function mean(values) {
+        return values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+    }
+
+    // Fit matchup shares, sale-order slope, region spread and item noise
+    // from past auctions (each a list of sales in the order they happened)
+    function fitPotModel(config, auctions) {
+        const cfg = { ...POT_MODEL_DEFAULTS, ...(config.potModel || {}) };
+        const itemCount = getAllItemKeys(config).length;
+
+        const priorLog = {};
+        config.matchups.forEach(m => {
+            priorLog[m.id] = Math.log(config.historicalPriceRatios[m.id] || 1);
+        });
+
+        const rows = [];
+        auctions.forEach((auction, a) => {
+            const n = auction.sales.length;
+            auction.sales.forEach((sale, i) => {
+                if (!(sale.price > 0)) return;
+                const { region, matchupId } = parseItemKey(sale.key);
+                if (priorLog[matchupId] === undefined) return;
+                rows.push({ a, region, matchupId, y: Math.log(sale.price), pos: n > 1 ? i / (n - 1) : 0 });
+            });
+        });
+
+        const logRatios = { ...priorLog };
+        let slope = 0;
+        let scales = auctions.map(() => 0);
+
+        // Alternate between auction scales, matchup shares and the order slope
+        for (let iter = 0; iter < 50 && rows.length; iter++) {
+            scales = auctions.map((_, a) => mean(rows
+                .filter(r => r.a === a)
+                .map(r => r.y - logRatios[r.matchupId] - slope * r.pos)));
+
+            config.matchups.forEach(m => {
+                const rs = rows.filter(r => r.matchupId === m.id);
+                const sum = rs.reduce((acc, r) => acc + r.y - scales[r.a] - slope * r.pos, 0);
+                logRatios[m.id] = (sum + cfg.shrink * priorLog[m.id]) / (rs.length + cfg.shrink);
+            });
+
+            const resid = rows.map(r => r.y - scales[r.a] - logRatios[r.matchupId]);
+            const posMean = mean(rows.map(r => r.pos));
+            const residMean = mean(resid);
+            let sxy = 0;
+            let sxx = 1;  // Ridge keeps the slope near zero on thin data
+            rows.forEach((r, i) => {
+                sxy += (r.pos - posMean) * (resid[i] - residMean);
+                sxx += (r.pos - posMean) ** 2;
+            });
+            slope = sxy / sxx;
+        }
+
+        let sigma = cfg.sigma;
+        let tau = cfg.tau;
+
+        if (rows.length > 0) {
+            // Split residuals into region-level and item-level variance
+            const groups = {};
+            rows.forEach(r => {
+                const e = r.y - scales[r.a] - logRatios[r.matchupId] - slope * r.pos;
+                const g = `${r.a}_${r.region}`;
+                (groups[g] = groups[g] || []).push(e);
+            });
+
+            const groupList = Object.values(groups);
+            const groupMeans = groupList.map(mean);
+            const within = groupList.reduce((acc, es, g) =>
+                acc + es.reduce((s2, e) => s2 + (e - groupMeans[g]) ** 2, 0), 0);
+            const dof = Math.max(1, rows.length - groupList.length - config.matchups.length);
+            sigma = Math.sqrt(within / dof);
+
+            const avgGroupSize = rows.length / groupList.length;
+            const between = mean(groupMeans.map(g => g * g));
+            tau = Math.sqrt(Math.max(0, between - sigma * sigma / avgGroupSize));
+        }
+
+        // Prior on the auction scale: past auctions, else the default pot
+        let priorLogScale;
+        let priorSd = cfg.priorSd;
+        if (auctions.length > 0 && rows.length > 0) {
+            priorLogScale = mean(scales);
+            if (auctions.length > 1) {
+                const v = mean(scales.map(x => (x - priorLogScale) ** 2)) * auctions.length / (auctions.length - 1);
+                priorSd = Math.max(0.1, Math.sqrt(v));
+            }
+        } else {
+            const unitPot = getAllItemKeys(config).reduce((sum, key, i) => {
+                const { matchupId } = parseItemKey(key);
+                return sum + Math.exp(logRatios[matchupId] + slope * i / (itemCount - 1));
+            }, 0);
+            priorLogScale = Math.log(cfg.priorPot / unitPot);
+        }
+
+        return {
+            logRatios,
+            slope,
+            sigma,
+            tau,
+            priorLogScale,
+            priorSd,
+            noiseWeight: cfg.noiseWeight,
+            z: cfg.z,
+            nAuctions: auctions.length,
+            nItems: rows.length
+        };
+    }
+
+    // Project the final pot from the sales so far (in order). Returns the
+    // mid (expected) pot and a prediction interval, optionally leaving one
+    // item out of the projection entirely.
+    function projectPot(config, model, sales, excludeKey = null) {
+        const allKeys = getAllItemKeys(config).filter(k => k !== excludeKey);
+        const lastPos = getAllItemKeys(config).length - 1;
+
+        const sold = sales
+            .filter(s => s.key !== excludeKey && s.price > 0)
+            .map((s, i) => ({ ...parseItemKey(s.key), key: s.key, price: s.price, pos: i / lastPos }));
+        const soldKeys = new Set(sold.map(s => s.key));
+        const soldTotal = sold.reduce((sum, s) => sum + s.price, 0);
+        const unsold = allKeys.filter(k => !soldKeys.has(k)).map(parseItemKey);
+
+        if (unsold.length === 0) {
+            return { low: soldTotal, mid: soldTotal, high: soldTotal };
+        }
+
+        // Each sale is an observation of auction scale + region effect + noise
+        const byRegion = {};
+        sold.forEach(s => {
+            const z = Math.log(s.price) - model.logRatios[s.matchupId] - model.slope * s.pos;
+            (byRegion[s.region] = byRegion[s.region] || []).push(z);
+        });
+
+        const tau2 = model.tau * model.tau;
+        let sigma2 = model.sigma * model.sigma;
+
+        // Auction scale: prior combined with each region's mean observation
+        let precision = 1 / (model.priorSd * model.priorSd);
+        let weighted = model.priorLogScale * precision;
+        Object.values(byRegion).forEach(zs => {
+            const v = tau2 + sigma2 / zs.length;
+            precision += 1 / v;
+            weighted += mean(zs) / v;
+        });
+        const scale = weighted / precision;
+        const scaleVar = 1 / precision;
+
+        // Region effects, shrunk toward zero
+        const regionEffect = {};
+        const regionVar = {};
+        config.regions.forEach(region => {
+            const zs = byRegion[region] || [];
+            if (zs.length === 0 || tau2 === 0) {
+                regionEffect[region] = 0;
+                regionVar[region] = tau2;
+                return;
+            }
+            const shrink = tau2 / (tau2 + sigma2 / zs.length);
+            regionEffect[region] = shrink * (mean(zs) - scale);
+            regionVar[region] = 1 / (1 / tau2 + zs.length / sigma2);
+        });
+
+        // Widen (or narrow) item noise by how erratic this room has been
+        if (sold.length > 0) {
+            const sse = sold.reduce((acc, s) => {
+                const fit = scale + model.logRatios[s.matchupId] + model.slope * s.pos + regionEffect[s.region];
+                return acc + (Math.log(s.price) - fit) ** 2;
+            }, 0);
+            sigma2 = (model.noiseWeight * sigma2 + sse) / (model.noiseWeight + sold.length);
+        }
+
+        // Unsold items are assumed to sell in the remaining positions
+        const firstPos = sold.length + (excludeKey ? 1 : 0);
+        const pos = ((firstPos + lastPos) / 2) / lastPos;
+
+        let expected = 0;
+        let sumSq = 0;
+        const regionSums = {};
+        unsold.forEach(item => {
+            const mu = scale + model.logRatios[item.matchupId] + model.slope * pos + regionEffect[item.region];
+            const v = scaleVar + regionVar[item.region] + sigma2;
+            const e = Math.exp(mu + v / 2);
+            expected += e;
+            sumSq += e * e;
+            regionSums[item.region] = (regionSums[item.region] || 0) + e;
+        });
+
+        // Scale is shared by all items, region effects within a region
+        let variance = scaleVar * expected * expected + sigma2 * sumSq;
+        Object.keys(regionSums).forEach(region => {
+            variance += regionVar[region] * regionSums[region] ** 2;
+        });
+
+        // Moment-matched lognormal for the unsold total
+        const s2 = Math.log(1 + variance / (expected * expected));
+        const m = Math.log(expected) - s2 / 2;
+        const sd = Math.sqrt(s2);
+
+        return {
+            low: Math.round(soldTotal + Math.exp(m - model.z * sd)),
+            mid: Math.round(soldTotal + expected),
+            high: Math.round(soldTotal + Math.exp(m + model.z * sd))
+        };
+    }
+
+    // ============================================================
+    // MARKET PRICE MODEL
+    // What the room pays, as a share of the final pot:
+    //   log(price / pot) = matchup effect
+    //                    + rating * log(item EV / seed-only EV)
+    //                    + drift * sale position
+    // fitted on past auctions with sales in the order sold. Item EVs
+    // come from the auction's own field when it is known; otherwise
+    // a sale only informs its matchup effect and the drift. As in the
+    // pot model, ridge terms keep one auction from producing wild
+    // slopes: rating is pulled toward 1 (price tracks EV), drift
+    // toward 0.
+    // ============================================================
+
+    const MARKET_MODEL_DEFAULTS = {
+        ridge: 1,    // Pseudo-observation weight on the slope priors
+        z: 1.645     // 90% prediction interval
+    };
+
+    // One training row per past sale
+    function getMarketRows(env, auctions, brackets = {}) {
+        const lastPos = getAllItemKeys(env.config).length - 1;
+
+        return auctions.flatMap(auction => {
+            const sales = (auction.sales || []).filter(s => s.price > 0);
+            const pot = auction.pot || sales.reduce((sum, s) => sum + s.price, 0);
+            const field = auction.bracket || brackets[auction.year];
+            const auctionEnv = { ...env, bracket: field, playInWinners: {}, results: {}, teamRatings: {}, ratingOverrides: {} };
+            const bracket = field ? computeBracket(auctionEnv) : null;
+            const netPot = Number.isFinite(auction.rake) ? Math.max(0, pot - auction.rake) : getNetPot(env, pot);
+
+            return sales.map((sale, i) => {
+                const { matchupId } = parseItemKey(sale.key);
+                const baseEV = getBaseEV(env, matchupId);
+                const ev = bracket ? getItemEV(auctionEnv, bracket, sale.key) : baseEV;
+                return {
+                    year: auction.year,
+                    key: sale.key,
+                    matchupId,
+                    price: sale.price,
+                    pot,
+                    netPot,
+                    ev,
+                    rating: ev > 0 && baseEV > 0 ? Math.log(ev / baseEV) : 0,
+                    pos: i / lastPos,
+                    y: Math.log(sale.price / pot)
+                };
+            });
+        });
+    }
+
+    // Fit the market model; null without any past sales. `brackets`
+    // maps a year to its field for auctions that don't carry one.
+    function fitMarketModel(env, auctions, brackets = {}, options = {}) {
+        const cfg = { ...MARKET_MODEL_DEFAULTS, ...options };
+        const rows = getMarketRows(env, auctions, brackets);
+        if (rows.length === 0) return null;
+
+        const groups = {};
+        rows.forEach(r => (groups[r.matchupId] = groups[r.matchupId] || []).push(r));
+        const groupMeans = {};
+        Object.entries(groups).forEach(([id, g]) => {
+            groupMeans[id] = { y: mean(g.map(r => r.y)), rating: mean(g.map(r => r.rating)), pos: mean(g.map(r => r.pos)) };
+        });
+
+        // Slopes from within-matchup variation, ridge toward the priors
+        let srr = cfg.ridge, srp = 0, spp = cfg.ridge, sry = cfg.ridge * 1, spy = 0;
+        rows.forEach(r => {
+            const g = groupMeans[r.matchupId];
+            const dr = r.rating - g.rating;
+            const dp = r.pos - g.pos;
+            const dy = r.y - g.y;
+            srr += dr * dr;
+            srp += dr * dp;
+            spp += dp * dp;
+            sry += dr * dy;
+            spy += dp * dy;
+        });
+        const det = srr * spp - srp * srp;
+        const rating = (spp * sry - srp * spy) / det;
+        const drift = (srr * spy - srp * sry) / det;
+
+        // Matchup effects; unseen matchups get the average premium over
+        // their seed-only EV share
+        const effects = {};
+        Object.entries(groupMeans).forEach(([id, g]) => {
+            effects[id] = g.y - rating * g.rating - drift * g.pos;
+        });
+        const seen = Object.keys(effects);
+        const avgPremium = mean(seen.map(id => effects[id] - Math.log(getBaseEV(env, id) / 100)));
+        env.config.matchups.forEach(m => {
+            if (effects[m.id] === undefined) effects[m.id] = Math.log(getBaseEV(env, m.id) / 100) + avgPremium;
+        });
+
+        const fitted = rows.map(r => effects[r.matchupId] + rating * r.rating + drift * r.pos);
+        const ssr = rows.reduce((sum, r, i) => sum + (r.y - fitted[i]) ** 2, 0);
+        const sigma = Math.sqrt(ssr / Math.max(1, rows.length - seen.length - 2));
+
+        // Fitted price over EV dollars, averaged per matchup
+        const premiums = {};
+        Object.keys(groups).forEach(id => {
+            const ratios = rows
+                .map((r, i) => ({ r, fit: fitted[i] }))
+                .filter(({ r }) => r.matchupId === id && r.ev > 0 && r.netPot > 0)
+                .map(({ r, fit }) => Math.exp(fit) * r.pot / (r.ev / 100 * r.netPot));
+            if (ratios.length) premiums[id] = mean(ratios);
+        });
+
+        return {
+            effects,
+            rating,
+            drift,
+            sigma,
+            z: cfg.z,
+            premiums,
+            nAuctions: new Set(rows.map(r => r.year)).size,
+            nSales: rows.length
+        };
+    }
+
+    // Expected clearing price of an item with EV `evPct` (percent) sold
+    // at position `pos` (0-1) into a final pot of `pot`
+    function predictMarketPrice(env, model, matchupId, evPct, pos, pot) {
+        const baseEV = getBaseEV(env, matchupId);
+        const rating = evPct > 0 && baseEV > 0 ? Math.log(evPct / baseEV) : 0;
+        const eta = model.effects[matchupId] + model.rating * rating + model.drift * pos;
+        return {
+            low: pot * Math.exp(eta - model.z * model.sigma),
+            mid: pot * Math.exp(eta + model.sigma * model.sigma / 2),
+            high: pot * Math.exp(eta + model.z * model.sigma)
+        };
+    }
+
+    // Unsold items ranked by EV dollars minus predicted price. Items are
+    // assumed to sell next in board order, `next` (the item on the
+    // block) first; the pot is the projection from the sales so far.
+    function buildMarketBoard(env, bracket, model, potModel, sales, next = null) {
+        const sold = new Set(sales.filter(s => s.price > 0).map(s => s.key));
+        const lastPos = getAllItemKeys(env.config).length - 1;
+        const pot = projectPot(env.config, potModel, sales).mid;
+
+        const unsold = getAllItemKeys(env.config).filter(key => !sold.has(key) && key !== next);
+        if (next && !sold.has(next)) unsold.unshift(next);
+
+        return unsold.map((key, i) => {
+            const { matchupId } = parseItemKey(key);
+            const ev = getItemEV(env, bracket, key);
+            const evDollars = evToDollars(env, ev, pot);
+            const price = predictMarketPrice(env, model, matchupId, ev, (sold.size + i) / lastPos, pot);
+            return { key, ev, evDollars, pot, price, gap: evDollars - price.mid, gapPct: (evDollars - price.mid) / price.mid * 100 };
+        }).sort((a, b) => b.gap - a.gap);
+    }
+
+    // ============================================================
+    // PURCHASE PLANNER
+    // Spends the budget left across unsold market board rows. Each
+    // item is valued at its EV dollars less a risk charge of
+    //   aversion / 2 * payout variance / bankroll
+    // (a certainty equivalent: swingy items cost more the larger they
+    // are against the whole budget). The plan maximizes value minus
+    // predicted price within the budget; an item's ceiling is the most
+    // it can cost before the plan is better off without it.
+    // ============================================================
+
+    const RISK_PROFILES = {
+        cautious: 0.25,
+        balanced: 0.1,
+        aggressive: 0
+    };
+
+    const PLAN_STEPS = 400;  // Budget resolution of the knapsack
+
+    // Standard deviation of an item's payout, in percent of the net pot.
+    // Its two teams meet in the R64, so at most one of them wins games.
+    function getItemPayoutSD(env, bracket, key) {
+        const { region, matchupId } = parseItemKey(key);
+        const matchup = env.config.matchups.find(m => m.id === matchupId);
+        if (!matchup) return 0;
+
+        const fractions = getPayoutFractions(env);
+        let cumulative = 0;
+        let sum = 0;
+        let sumSq = 0;
+        ROUNDS.forEach((round, r) => {
+            cumulative += fractions[round];
+            const next = ROUNDS[r + 1];
+            [matchup.highSeed, matchup.lowSeed].forEach(seed => {
+                const probs = bracket.probs[region]?.[seed] || {};
+                const exactly = (probs[round] || 0) - (next ? probs[next] || 0 : 0);
+                sum += exactly * cumulative;
+                sumSq += exactly * cumulative * cumulative;
+            });
+        });
+        return Math.sqrt(Math.max(0, sumSq - sum * sum)) * 100;
+    }
+
+    // Best surplus for every budget 0..cap (in steps) from `items`
+    // ({ cost, surplus }), with the choices needed to rebuild it
+    function knapsack(items, cap) {
+        const best = new Float64Array(cap + 1);
+        const take = items.map(() => new Uint8Array(cap + 1));
+        items.forEach((item, i) => {
+            for (let b = cap; b >= item.cost; b--) {
+                const value = best[b - item.cost] + item.surplus;
+                if (value > best[b]) {
+                    best[b] = value;
+                    take[i][b] = 1;
+                }
+            }
+        });
+
+        const chosen = new Set();
+        let b = cap;
+        for (let i = items.length - 1; i >= 0; i--) {
+            if (take[i][b]) {
+                chosen.add(i);
+                b -= items[i].cost;
+            }
+        }
+        return { best, chosen };
+    }
+
+    // Plan purchases from `board` (buildMarketBoard rows) with `budget`
+    // left to spend. `bankroll` (the whole budget) scales the risk charge.
+    // Rows come back in board order with:
+    //   value    risk-adjusted EV dollars
+    //   ceiling  most to pay and still keep it in the plan
+    //   inPlan   bought in the best plan at the predicted price
+    //   reason   why not: 'no-edge', 'risk', 'budget' or 'displaced'
+    function planPurchases(env, bracket, board, budget, { risk = 'balanced', bankroll = budget } = {}) {
+        const aversion = RISK_PROFILES[risk] ?? RISK_PROFILES.balanced;
+        const left = Math.max(0, budget);
+        const step = Math.max(1, left / PLAN_STEPS);
+        const cap = Math.floor(left / step);
+
+        const rows = board.map(row => {
+            const netPot = getNetPot(env, row.pot);
+            const sd = getItemPayoutSD(env, bracket, row.key) / 100 * netPot;
+            const charge = bankroll > 0 ? aversion / 2 * sd * sd / bankroll : 0;
+            return { ...row, sd, value: Math.max(0, row.evDollars - charge) };
+        });
+
+        // Only items worth more than their predicted price can join a plan
+        const candidates = rows
+            .map((row, i) => ({ i, cost: Math.ceil(row.price.mid / step), surplus: row.value - row.price.mid }))
+            .filter(c => c.surplus > 0 && c.cost <= cap);
+        const plan = knapsack(candidates, cap);
+        const planned = new Set([...plan.chosen].map(c => candidates[c].i));
+
+        rows.forEach((row, i) => {
+            // Highest price where value - price plus the best plan of
+            // the rest on what is left still beats the best plan
+            // without it, searched one budget step at a time
+            const others = candidates.filter(c => c.i !== i);
+            const without = others.length === candidates.length ? plan.best : knapsack(others, cap).best;
+            let ceiling = 0;
+            for (let p = Math.min(cap, Math.ceil(row.value / step)); p > 0; p--) {
+                const price = Math.min(p * step, row.value + without[cap - p] - without[cap]);
+                if (price > (p - 1) * step) {
+                    ceiling = price;
+                    break;
+                }
+            }
+
+            row.ceiling = Math.floor(ceiling);
+            row.inPlan = planned.has(i);
+            row.reason = row.inPlan ? null
+                : row.evDollars <= row.price.mid ? 'no-edge'
+                : row.value <= row.price.mid ? 'risk'
+                : row.price.mid > left ? 'budget'
+                : 'displaced';
+        });
+
+        const items = rows.filter(row => row.inPlan);
+        const spend = items.reduce((sum, row) => sum + row.price.mid, 0);
+        return {
+            risk,
+            budget: left,
+            spend,
+            value: items.reduce((sum, row) => sum + row.value, 0),
+            ev: items.reduce((sum, row) => sum + row.evDollars, 0),
+            rows
+        };
+    }
+
+    // ============================================================
+    // HISTORY
+    // What each matchup paid in past tournaments (seedWinsByYear in
+    // data.json, from data/raw/seed_wins_by_year.csv) on the current
+    // payouts, and past teams that look like one in this field
+    // ============================================================
+
+    // Percent of the net pot a team collects for this many wins
+    function payoutForWins(env, wins) {
+        const fractions = getPayoutFractions(env);
+        return ROUNDS.slice(0, wins).reduce((sum, round) => sum + fractions[round], 0) * 100;
+    }
+
+    // Per year, what an item of this matchup paid on average across the
+    // regions (percent of the net pot), with the spread across years
+    function getMatchupHistory(env, matchupId) {
+        const matchup = env.config.matchups.find(m => m.id === matchupId);
+        const byYear = env.config.seedWinsByYear || {};
+
+        const years = Object.keys(byYear).map(Number).sort((a, b) => a - b)
+            .filter(year => matchup && byYear[year][matchup.highSeed] && byYear[year][matchup.lowSeed])
+            .map(year => {
+                const high = byYear[year][matchup.highSeed];
+                const low = byYear[year][matchup.lowSeed];
+                const total = [...high, ...low].reduce((sum, wins) => sum + payoutForWins(env, wins), 0);
+                return { year, payout: total / high.length, high, low };
+            });
+
+        const sorted = years.map(y => y.payout).sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        const median = sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2 || 0;
+        return { matchup: matchupId, years, mean: mean(sorted), median, low: sorted[0] || 0, high: sorted[sorted.length - 1] || 0 };
+    }
+
+    // Past teams with their seed and Barthag from the games file, and
+    // the wins of their seed line that year from seedWinsByYear. The
+    // games file's pairings and winners are simulated from seed win
+    // rates (R/08_pull_tournament_games.R), so which team on a line won
+    // which games is unknown: `wins` is set only when every team on the
+    // line won as many games.
+    function getHistoricalTeams(env, games) {
+        const teams = new Map();
+        games.forEach(g => {
+            teams.set(`${g.year}_${g.teamA}`, { year: g.year, team: g.teamA, seed: g.seedA, barthag: g.barthagA });
+            teams.set(`${g.year}_${g.teamB}`, { year: g.year, team: g.teamB, seed: g.seedB, barthag: g.barthagB });
+        });
+
+        return [...teams.values()].flatMap(t => {
+            const line = env.config.seedWinsByYear?.[t.year]?.[t.seed];
+            if (!line?.length) return [];
+            const exact = line.every(w => w === line[0]);
+            return [{ ...t, line, wins: exact ? line[0] : null }];
+        });
+    }
+
+    // Same-seed past teams closest in Barthag, and the share of them
+    // that won each round (keyed like bracket probabilities). A team's
+    // line results count evenly when its own are unknown.
+    function findTeamAnalogs(teams, seed, barthag, limit = 10) {
+        const analogs = teams
+            .filter(t => t.seed === Number(seed))
+            .map(t => ({ ...t, gap: t.barthag - barthag }))
+            .sort((a, b) => Math.abs(a.gap) - Math.abs(b.gap))
+            .slice(0, limit);
+
+        const reached = {};
+        ROUNDS.forEach((round, r) => {
+            reached[round] = mean(analogs.map(t => t.line.filter(w => w > r).length / t.line.length));
+        });
+        return { analogs, reached, meanWins: mean(analogs.map(t => mean(t.line))) };
+    }
+
+    // ============================================================
+    // PRACTICE AUCTION
+    // Mock auctions against bots, for rehearsing a strategy. Bots
+    // draw a limit for each item around the market model's price,
+    // spread so that the runner-up bot (who sets the price when I
+    // stay out) reproduces the model's clearing price and noise.
+    // Bots price against the same pot as me and can't bid past what
+    // they have left of their share of it.
+    // ============================================================
+
+    // botBudget is each bot's budget in even shares of the pot; it's
+    // generous because the model's late-sale drift already prices in the
+    // room running dry
+    const PRACTICE_DEFAULTS = {
+        bots: 6,
+        aggressiveness: 1,  // Multiplier on every bot limit
+        increment: 5,       // Opening bid and smallest raise
+        botBudget: 2        // Shares of the pot per bot
+    };
+
+    // Mean and SD of the k-th highest of n standard normal draws
+    function normalOrderStat(n, k) {
+        const step = 0.02;
+        let cdf = 0, w0 = 0, w1 = 0, w2 = 0;
+        for (let x = -6; x <= 6; x += step) {
+            const pdf = Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI);
+            const p = cdf + pdf * step / 2;
+            const w = Math.pow(p, n - k) * Math.pow(1 - p, k - 1) * pdf;
+            w0 += w;
+            w1 += w * x;
+            w2 += w * x * x;
+            cdf += pdf * step;
+        }
+        const m = w1 / w0;
+        return { mean: m, sd: Math.sqrt(w2 / w0 - m * m) };
+    }
+
+    // Standard normal draw from a uniform generator (Box-Muller)
+    function drawNormal(rng) {
+        return Math.sqrt(-2 * Math.log(1 - rng())) * Math.cos(2 * Math.PI * rng());
+    }
+
+    // Item keys in sale order: 'bracket' (board order), 'top' (1/16s
+    // first), 'bottom' (8/9s first) or 'random'
+    function getPracticeOrder(config, order, rng) {
+        const keys = getAllItemKeys(config);
+        const highSeed = key => Number(parseItemKey(key).matchupId.split('_')[0]);
+
+        if (order === 'top') return keys.sort((a, b) => highSeed(a) - highSeed(b));
+        if (order === 'bottom') return keys.sort((a, b) => highSeed(b) - highSeed(a));
+        if (order === 'random') {
+            for (let i = keys.length - 1; i > 0; i--) {
+                const j = Math.floor(rng() * (i + 1));
+                [keys[i], keys[j]] = [keys[j], keys[i]];
+            }
+        }
+        return keys;
+    }
+
+    // A practice auction over `order`, priced against a gross pot
+    function createPracticeAuction({ order, pot, budget, ...options }) {
+        const cfg = { ...PRACTICE_DEFAULTS, ...options };
+        const bots = Math.max(2, Math.round(cfg.bots));
+        return {
+            order,
+            pot,
+            budget,
+            options: { ...cfg, bots },
+            runnerUp: normalOrderStat(bots, 2),
+            botBudgets: new Array(bots).fill(cfg.botBudget * pot / bots),
+            spent: 0,
+            sales: []
+        };
+    }
+
+    // Every bot's limit for the next item, with EV `evPct`
+    function drawBotLimits(env, model, auction, evPct, rng) {
+        const { matchupId } = parseItemKey(auction.order[auction.sales.length]);
+        const pos = auction.sales.length / Math.max(1, auction.order.length - 1);
+        const price = predictMarketPrice(env, model, matchupId, evPct, pos, auction.pot);
+        const median = Math.sqrt(price.low * price.high) * auction.options.aggressiveness;
+        const spread = model.sigma / auction.runnerUp.sd;
+
+        return auction.botBudgets.map(left =>
+            Math.min(left, median * Math.exp(spread * (drawNormal(rng) - auction.runnerUp.mean))));
+    }
+
+    // The highest limit wins at one increment over the next highest, as
+    // bidding would finish, never above its own limit. Ties go to the
+    // bots, who were bidding first. `winner` is a bot index, 'me' or
+    // null when nobody can open.
+    function resolveLot(limits, myMax, increment) {
+        const bids = limits.map((limit, i) => ({ bidder: i, limit }))
+            .concat({ bidder: 'me', limit: myMax })
+            .filter(b => b.limit >= increment)
+            .sort((a, b) => b.limit - a.limit);
+        if (bids.length === 0) return { winner: null, price: 0 };
+
+        const price = bids.length > 1 ? Math.min(bids[0].limit, bids[1].limit + increment) : increment;
+        return { winner: bids[0].bidder, price: Math.max(increment, Math.floor(price / increment) * increment) };
+    }
+
+    // Sell the next item, with my limit `myMax` (0 to pass). Updates
+    // the auction's budgets and sales and returns the sale.
+    function sellPracticeLot(env, model, auction, evPct, myMax, rng) {
+        const key = auction.order[auction.sales.length];
+        const limits = drawBotLimits(env, model, auction, evPct, rng);
+        const budgetLeft = auction.budget - auction.spent;
+        const { winner, price } = resolveLot(limits, Math.min(myMax, budgetLeft), auction.options.increment);
+
+        if (winner === 'me') auction.spent += price;
+        else if (winner !== null) auction.botBudgets[winner] -= price;
+
+        const sale = { key, ev: evPct, price, winner, myMax, budgetLeft, topBot: Math.max(...limits) };
+        auction.sales.push(sale);
+        return sale;
+    }
+
+    // A whole practice auction. `evs` maps item keys to EV percent and
+    // `strategy(key, evPct, auction)` gives my limit for each item.
+    function runPracticeAuction(env, model, evs, setup, strategy, rng) {
+        const auction = createPracticeAuction({ ...setup, order: getPracticeOrder(env.config, setup.order, rng) });
+        auction.order.forEach(key => {
+            sellPracticeLot(env, model, auction, evs[key], strategy(key, evs[key], auction), rng);
+        });
+        return auction;
+    }
+
+    // My decisions against model EV at the pot the auction produced:
+    // the edge on what I bought, and the edge I passed up on items I
+    // could afford that sold under their EV
+    function scorePracticeAuction(env, auction) {
+        const pot = auction.sales.reduce((sum, s) => sum + s.price, 0);
+        const lots = auction.sales.map(sale => {
+            const mine = sale.winner === 'me';
+            const evDollars = evToDollars(env, sale.ev, pot);
+            const edge = evDollars - sale.price;
+            const missed = !mine && sale.winner !== null && edge > 0 && sale.price <= sale.budgetLeft ? edge : 0;
+            return { ...sale, mine, evDollars, edge, missed };
+        });
+        const bought = lots.filter(l => l.mine);
+
+        return {
+            pot,
+            lots,
+            items: bought.length,
+            spent: bought.reduce((sum, l) => sum + l.price, 0),
+            evDollars: bought.reduce((sum, l) => sum + l.evDollars, 0),
+            edge: bought.reduce((sum, l) => sum + l.edge, 0),
+            missed: lots.reduce((sum, l) => sum + l.missed, 0)
+        };
+    }
+
+    // ============================================================
+    // SETTLEMENT
+    // Squaring up between partners after payouts
+    // ============================================================
+
+    // Transfers that clear `balances` ({ party: amount owed to them },
+    // negative when they owe; the balances should sum to zero). The
+    // largest debt pays the largest credit first, so there is at most
+    // one transfer fewer than there are parties.
+    function settleBalances(balances, tolerance = 0.005) {
+        const side = sign => Object.entries(balances)
+            .filter(([, amount]) => sign * amount > tolerance)
+            .map(([id, amount]) => ({ id, left: sign * amount }))
+            .sort((a, b) => b.left - a.left);
+        const debtors = side(-1);
+        const creditors = side(1);
+        const transfers = [];
+
+        let i = 0;
+        let j = 0;
+        while (i < debtors.length && j < creditors.length) {
+            const amount = Math.min(debtors[i].left, creditors[j].left);
+            transfers.push({ from: debtors[i].id, to: creditors[j].id, amount });
+            debtors[i].left -= amount;
+            creditors[j].left -= amount;
+            if (debtors[i].left <= tolerance) i++;
+            if (creditors[j].left <= tolerance) j++;
+        }
+        return transfers;
+    }
+
+    return {
+        DEFAULT_PAYOUTS,
+        BRACKET_ORDER,
+        ROUNDS,
+        MAX_BID_FACTOR,
+        POT_MODEL_DEFAULTS,
+        MARKET_MODEL_DEFAULTS,
+        RISK_PROFILES,
+        PRACTICE_DEFAULTS,
+        THEORETICAL_MODEL,
+        RATING_SOURCES,
+        createEnv,
+        barthagToLogOdds,
+        logOddsToBarthag,
+        calcWinProb,
+        gameWinProb,
+        getDefaultBarthag,
+        getSeedZScore,
+        getTeamRatings,
+        getOverrideShift,
+        getRatingSources,
+        blendLogOdds,
+        teamWinProb,
+        getR64Opponent,
+        getR32Opponents,
+        getS16Opponents,
+        getPlayInWinner,
+        getSlotEntrants,
+        getRegionBarthag,
+        getTeamName,
+        getTeamWins,
+        getFinalFourPairs,
+        buildBracketSlots,
+        buildBracketEntries,
+        propagateBracket,
+        computeBracket,
+        getTeamPath,
+        getPayoutFractions,
+        getPayoutTotal,
+        getNetPot,
+        payoutForProbs,
+        getSeedEV,
+        getBaseEV,
+        evToDollars,
+        getBreakEvenPrice,
+        parseItemKey,
+        getAllItemKeys,
+        calculateBracketEV,
+        getMatchupEVs,
+        getItemEV,
+        getSourceEVs,
+        getBidTargets,
+        buildBidSheet,
+        evaluateMatchup,
+        parseCsv,
+        parseGames,
+        filterGames,
+        fitWinModel,
+        scoreWinModel,
+        calibrateWinModel,
+        refitWinModel,
+        mean,
+        fitPotModel,
+        projectPot,
+        getMarketRows,
+        fitMarketModel,
+        predictMarketPrice,
+        buildMarketBoard,
+        getItemPayoutSD,
+        planPurchases,
+        payoutForWins,
+        getMatchupHistory,
+        getHistoricalTeams,
+        findTeamAnalogs,
+        normalOrderStat,
+        drawNormal,
+        getPracticeOrder,
+        createPracticeAuction,
+        drawBotLimits,
+        resolveLot,
+        sellPracticeLot,
+        runPracticeAuction,
+        scorePracticeAuction,
+        settleBalances
+    };
+});
@@ -0,0 +1,120 @@
+// sw.js - Offline support for the tracker
+//
+// The app shell is cached on install and served cache-first. Bump
+// VERSION whenever a shell file changes; open pages then offer to
+// reload into the new build (auction state is in localStorage, so
+// nothing is lost).
+//
+// data.json is network-first. Every good response is saved for the
+// next offline start. When the network fails or stalls, the saved copy
+// is served with X-Data-Source: cache and X-Fetched-At so the page can
+// say how old it is; if the stalled fetch lands later with different
+// data, open pages are told so they can load it in place.
+
+const VERSION = 'v24';
+const SHELL_CACHE = `calcutta-shell-${VERSION}`;
+const DATA_CACHE = 'calcutta-data';
+const DATA_URL = 'data.json';
+const NETWORK_TIMEOUT = 4000;
+
+const SHELL = [
+    './',
+    'index.html',
+    'style.css',
+    'engine.js',
+    'app.js',
+    'manifest.webmanifest',
+    'icon-192.png',
+    'icon-512.png'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const shell = await caches.open(SHELL_CACHE);
+        await shell.addAll(SHELL);
+        try {
+            await saveData(await fetch(DATA_URL, { cache: 'no-cache' }));
+        } catch (e) {
+            // Saved on the first successful page load instead
+        }
+    })());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('calcutta-shell-') && name !== SHELL_CACHE)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+// The page asks a waiting worker to take over once the user agrees
+self.addEventListener('message', event => {
+    if (event.data?.type === 'skip-waiting') self.skipWaiting();
+});
+
+self.addEventListener('fetch', event => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    // Paths relative to the app, so this works under any subdirectory
+    const scope = new URL(self.registration.scope).pathname;
+    if (!url.pathname.startsWith(scope)) return;
+    const file = url.pathname.slice(scope.length);
+
+    if (file === DATA_URL) {
+        event.respondWith(fetchData(event));
+    } else if (file === '' || SHELL.includes(file)) {
+        event.respondWith(fetchShell(event.request));
+    }
+    // Anything else (session API, historical CSVs) goes straight to the network
+});
+
+async function fetchShell(request) {
+    const cached = await caches.match(request, { ignoreSearch: true, cacheName: SHELL_CACHE });
+    return cached || fetch(request);
+}
+
+// Keep a copy of good data responses, stamped with when they arrived
+async function saveData(response) {
+    if (!response.ok) return;
+    const headers = new Headers(response.headers);
+    headers.set('X-Data-Source', 'cache');
+    headers.set('X-Fetched-At', new Date().toISOString());
+    const cache = await caches.open(DATA_CACHE);
+    await cache.put(DATA_URL, new Response(await response.blob(), { status: 200, headers }));
+}
+
+async function fetchData(event) {
+    const network = fetch(event.request).then(async response => {
+        if (response.ok) await saveData(response.clone());
+        return response;
+    });
+    const cache = await caches.open(DATA_CACHE);
+    const cached = await cache.match(DATA_URL);
+    if (!cached) return network;
+
+    // Serve the saved copy if the network fails or takes too long
+    const before = await cached.clone().text();
+    const timeout = new Promise(resolve => setTimeout(resolve, NETWORK_TIMEOUT, null));
+    try {
+        const response = await Promise.race([network, timeout]);
+        if (response?.ok) return response;
+    } catch (e) {
+        return cached;
+    }
+
+    event.waitUntil(network
+        .then(async response => {
+            if (response.ok && (await response.text()) !== before) notifyClients({ type: 'data-updated' });
+        })
+        .catch(() => {}));
+    return cached;
+}
+
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage(message));
+}
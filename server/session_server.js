@@ -0,0 +1,287 @@
+// session_server.js - Shared live auction session for the tracker
+//
+// Usage:
+//   node server/session_server.js [--port 8787]
+//
+// Serves docs/ and a small session API so every phone on the venue
+// Wi-Fi can open http://<laptop-ip>:8787 and join the same board.
+// No dependencies beyond Node itself; sessions live in memory.
+//
+// A session is a flat map of paths ("prices/East_8_9", "onBlock")
+// to values. Each write carries a client timestamp and the newest
+// write per path wins, so edits made offline merge cleanly when the
+// device reconnects and can't clobber newer changes.
+//
+//   POST /api/sessions                  create { values, clientId, ts } -> { code, version, values }
+//   PUT  /api/sessions/:code            recreate a lost session with the same body
+//   GET  /api/sessions/:code            snapshot -> { code, version, values }
+//   POST /api/sessions/:code/ops        { clientId, ops: [{ path, value, ts }] } -> { version, rejected }
+//   GET  /api/sessions/:code/events     Server-Sent Events stream of applied ops
+
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DOCS_DIR = path.join(__dirname, '..', 'docs');
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const MAX_BODY = 1024 * 1024;
+const MAX_LOG = 5000;
+// Keys are item and slot keys, participant ids and team names, which
+// can hold any printable character
+const PATH_PATTERN = /^((prices|owners|shares|participants|playInWinners|results|ratingOverrides)\/[^\u0000-\u001f]{1,200}|onBlock|payouts)$/;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml'
+};
+
+const sessions = new Map();
+
+// ============================================================
+// SESSIONS
+// ============================================================
+
+function newCode() {
+    let code;
+    do {
+        code = Array.from({ length: 4 }, () =>
+            CODE_ALPHABET[Math.floor(Math.random() * CODE_ALPHABET.length)]).join('');
+    } while (sessions.has(code));
+    return code;
+}
+
+function createSession(code, body) {
+    const session = { code, version: 0, values: {}, stamps: {}, log: [], clients: new Set() };
+    sessions.set(code, session);
+    applyOps(session, String(body.clientId || ''), Object.entries(body.values || {})
+        .map(([p, value]) => ({ path: p, value, ts: body.ts || 0 })));
+    return session;
+}
+
+// Newest timestamp wins; ties go to the larger client id so every
+// replica settles on the same value
+function isNewer(op, clientId, stamp) {
+    if (!stamp) return true;
+    if (op.ts !== stamp.ts) return op.ts > stamp.ts;
+    return clientId > stamp.clientId;
+}
+
+// Apply ops and broadcast the accepted ones; return the current value
+// of every path whose write lost so the sender can correct itself, and
+// malformed ops with an error
+function applyOps(session, clientId, ops) {
+    const rejected = [];
+
+    ops.forEach(op => {
+        const invalid = !PATH_PATTERN.test(op?.path) ? 'Invalid path'
+            : !Number.isFinite(op.ts) ? 'Invalid timestamp' : null;
+        if (invalid) {
+            rejected.push({ path: op?.path ?? null, error: invalid });
+            return;
+        }
+
+        if (!isNewer(op, clientId, session.stamps[op.path])) {
+            rejected.push({ path: op.path, value: session.values[op.path] ?? null });
+            return;
+        }
+
+        if (op.value === null || op.value === undefined) {
+            delete session.values[op.path];
+        } else {
+            session.values[op.path] = op.value;
+        }
+        session.stamps[op.path] = { ts: op.ts, clientId };
+
+        const entry = { version: ++session.version, clientId, path: op.path, value: op.value ?? null, ts: op.ts };
+        session.log.push(entry);
+        if (session.log.length > MAX_LOG) session.log.shift();
+        session.clients.forEach(res => sendEvent(res, entry));
+    });
+
+    return rejected;
+}
+
+function snapshot(session) {
+    return { code: session.code, version: session.version, values: session.values };
+}
+
+function sendEvent(res, entry) {
+    res.write(`id: ${entry.version}\ndata: ${JSON.stringify(entry)}\n\n`);
+}
+
+// ============================================================
+// HTTP
+// ============================================================
+
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'no-store'
+    });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY) {
+                reject(new Error('Body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {});
+            } catch (e) {
+                reject(new Error('Invalid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function openEventStream(req, res, session, url) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-store',
+        'Connection': 'keep-alive'
+    });
+
+    // Replay what the client missed since its snapshot or last event
+    const since = parseInt(req.headers['last-event-id'] || url.searchParams.get('since') || '0', 10);
+    if (session.log.length && since < session.log[0].version - 1) {
+        res.write('event: resync\ndata: {}\n\n');
+    } else {
+        session.log.filter(e => e.version > since).forEach(e => sendEvent(res, e));
+    }
+
+    session.clients.add(res);
+    const ping = setInterval(() => res.write(': ping\n\n'), 20000);
+    req.on('close', () => {
+        clearInterval(ping);
+        session.clients.delete(res);
+    });
+}
+
+async function handleApi(req, res, url) {
+    const [, , , code, action] = url.pathname.split('/');
+    const session = code ? sessions.get(code.toUpperCase()) : null;
+
+    if (!code && req.method === 'POST') {
+        const body = await readBody(req);
+        return sendJson(res, 201, snapshot(createSession(newCode(), body)));
+    }
+
+    if (code && !action && req.method === 'PUT') {
+        if (session) return sendJson(res, 200, snapshot(session));
+        const body = await readBody(req);
+        return sendJson(res, 201, snapshot(createSession(code.toUpperCase(), body)));
+    }
+
+    if (!session) return sendJson(res, 404, { error: 'No such session' });
+
+    if (!action && req.method === 'GET') {
+        return sendJson(res, 200, snapshot(session));
+    }
+
+    if (action === 'ops' && req.method === 'POST') {
+        const body = await readBody(req);
+        const rejected = applyOps(session, String(body.clientId || ''), Array.isArray(body.ops) ? body.ops : []);
+        return sendJson(res, 200, { version: session.version, rejected });
+    }
+
+    if (action === 'events' && req.method === 'GET') {
+        return openEventStream(req, res, session, url);
+    }
+
+    sendJson(res, 405, { error: 'Unsupported request' });
+}
+
+function serveStatic(req, res, url) {
+    let rel;
+    try {
+        rel = decodeURIComponent(url.pathname === '/' ? '/index.html' : url.pathname);
+    } catch (e) {
+        res.writeHead(400);
+        res.end('Bad request');
+        return;
+    }
+    const file = path.normalize(path.join(DOCS_DIR, rel));
+
+    if (!file.startsWith(DOCS_DIR + path.sep)) {
+        res.writeHead(403);
+        res.end();
+        return;
+    }
+
+    fs.readFile(file, (err, data) => {
+        if (err) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(file)] || 'application/octet-stream' });
+        res.end(data);
+    });
+}
+
+function lanAddresses() {
+    return Object.values(os.networkInterfaces())
+        .flat()
+        .filter(a => a && a.family === 'IPv4' && !a.internal)
+        .map(a => a.address);
+}
+
+// Answer a request that failed; the connection may already be streaming
+function sendError(res, status, err) {
+    if (res.headersSent) {
+        res.end();
+    } else {
+        sendJson(res, status, { error: err.message });
+    }
+}
+
+// One bad request answers with an error instead of ending the process
+function createServer() {
+    return http.createServer((req, res) => {
+        try {
+            const url = new URL(req.url, 'http://localhost');
+
+            if (url.pathname.startsWith('/api/sessions')) {
+                handleApi(req, res, url).catch(err => sendError(res, 400, err));
+            } else if (req.method === 'GET') {
+                serveStatic(req, res, url);
+            } else {
+                res.writeHead(405);
+                res.end();
+            }
+        } catch (err) {
+            sendError(res, 500, err);
+        }
+    });
+}
+
+function main() {
+    const portArg = process.argv.indexOf('--port');
+    const port = portArg > 0 ? parseInt(process.argv[portArg + 1], 10) : 8787;
+
+    createServer().listen(port, () => {
+        console.log(`Session server on port ${port}. Open on phones:`);
+        ['localhost', ...lanAddresses()].forEach(host => console.log(`  http://${host}:${port}/`));
+    });
+}
+
+if (require.main === module) main();
+
+module.exports = { sessions, createSession, applyOps, openEventStream, createServer };
@@ -0,0 +1,150 @@
+// Unit tests for the browser app's pure helpers, run against a stub DOM
+//
+// Run from the repository root:
+//   node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const Engine = require('../docs/engine.js');
+const config = require('../docs/data.json');
+
+const APP_JS = path.join(__dirname, '..', 'docs', 'app.js');
+
+// Just enough of an element for the render functions
+function stubElement(id) {
+    return {
+        id, value: '', innerHTML: '', textContent: '', className: '', dataset: {}, style: {},
+        classList: { add() {}, remove() {}, toggle() {}, contains: () => false },
+        addEventListener() {}, focus() {}, select() {}
+    };
+}
+
+// A fresh copy of app.js with data.json loaded; returns a code runner
+function loadApp() {
+    const elements = {};
+    const context = vm.createContext({
+        console, Engine, setTimeout, clearTimeout,
+        localStorage: { getItem: () => null, setItem() {}, removeItem() {} },
+        document: {
+            addEventListener() {},
+            getElementById: id => (elements[id] = elements[id] || stubElement(id)),
+            querySelector: () => null,
+            querySelectorAll: () => [],
+            createElement: () => stubElement()
+        }
+    });
+    vm.runInContext(fs.readFileSync(APP_JS, 'utf8'), context, { filename: APP_JS });
+    context.loadedConfig = config;
+    vm.runInContext('CONFIG = loadedConfig; refreshBracketProbs();', context);
+    return code => vm.runInContext(code, context);
+}
+
+test('explainPlanDrop: escapes the buyer name', () => {
+    const run = loadApp();
+    run(`state.participants.push({ id: 'p1', name: '<img src=x onerror=alert(1)>' });
+        state.prices.East_1_16 = 500;
+        state.owners.East_1_16 = 'p1';`);
+
+    const text = run(`explainPlanDrop('East_1_16', { ceiling: 400 }, { rows: [] })`);
+    assert.ok(!text.includes('<img'), text);
+    assert.match(text, /Sold to &lt;img src=x onerror=alert\(1\)&gt; for \$500/);
+});
+
+test('plan drops: the reason follows the sale as it is typed and assigned', () => {
+    const run = loadApp();
+    run(`state.participants.push({ id: 'p1', name: 'Dave' });
+        potModel = fitPotModel(getPastAuctions());
+        renderMarketBoard();`);
+    const key = run(`[...currentPlan.keys][0]`);
+    assert.ok(key, 'the plan has an item to drop');
+
+    // Keystrokes "2", "25", "250" re-plan; the commit and the buyer note drops
+    [2, 25, 250].forEach(price => run(`state.prices['${key}'] = ${price}; renderMarketBoard();`));
+    run(`notePlanDrops()`);
+    assert.match(run(`document.getElementById('plan-drops').innerHTML`), /Sold to someone else for \$250/);
+    run(`state.owners['${key}'] = 'p1'; renderMarketBoard(); notePlanDrops();`);
+
+    const drops = run(`document.getElementById('plan-drops').innerHTML`);
+    assert.match(drops, /Sold to Dave for \$250/);
+
+    // Cleared again, it's back in the plan and off the dropped list
+    run(`delete state.prices['${key}']; delete state.owners['${key}']; renderMarketBoard(); notePlanDrops();`);
+    assert.ok(!run(`document.getElementById('plan-drops').innerHTML`).includes(run(`getItemLabel('${key}')`)));
+});
+
+// Dave (p1) bought East 1/16 for $1000 and sold me 40% of it
+function loadSplitSale() {
+    const run = loadApp();
+    run(`state.participants.push({ id: 'p1', name: 'Dave' });
+        updateAll = () => {};
+        saveState = () => {};
+        applySale('East_1_16', 1000, 'p1');
+        changeShares('East_1_16', { me: 40, p1: 60 });`);
+    return run;
+}
+
+test('splits: a split only counts while the item is sold', () => {
+    const run = loadSplitSale();
+    assert.ok(run(`isMine('East_1_16')`));
+
+    run(`delete state.prices.East_1_16`);
+    assert.ok(!run(`isMine('East_1_16')`));
+    assert.strictEqual(run(`getOwnedKeys('me').length`), 0);
+});
+
+test('splits: clearing the sale or changing the buyer drops the split', () => {
+    let run = loadSplitSale();
+    run(`handleBuyerSelect({ dataset: { key: 'East_1_16' }, value: 'me' })`);
+    assert.strictEqual(run(`state.shares.East_1_16`), undefined);
+
+    run = loadSplitSale();
+    run(`applySale('East_1_16', 0, 'p1')`);
+    assert.strictEqual(run(`state.shares.East_1_16`), undefined);
+    assert.ok(!run(`isMine('East_1_16')`));
+});
+
+test('splits: undo and replay restore a dropped split', () => {
+    const run = loadSplitSale();
+    run(`handleBuyerSelect({ dataset: { key: 'East_1_16' }, value: 'me' })`);
+    const count = run(`state.log.length`);
+
+    // Before the buyer change, as of the split
+    assert.strictEqual(run(`JSON.stringify(getBoardAt(${count - 2}).shares)`), '{"East_1_16":{"me":40,"p1":60}}');
+
+    run(`handleUndo(); handleUndo();`);
+    assert.strictEqual(run(`getOwner('East_1_16')`), 'p1');
+    assert.strictEqual(run(`getShare('East_1_16', 'me')`), 0.4);
+});
+
+test('quick entry: picking an ambiguous item keeps the buyer as typed', () => {
+    const run = loadApp();
+    const input = run(`document.getElementById('command-input')`);
+    input.value = 'state 1500 Mike';
+    run(`renderCommandPreview = () => {};
+        handleCommandClick({ target: { id: '', dataset: { commandItem: 'East 9' } } })`);
+
+    assert.strictEqual(input.value, 'east 9 1500 Mike');
+    assert.strictEqual(run(`parseCommand('east 9 1500 Mike').buyer.name`), 'Mike');
+});
+
+test('validateState: splits must total 100% like the split editor requires', () => {
+    const run = loadApp();
+    const result = run(`validateState({
+        participants: [{ id: 'me', name: 'Me' }, { id: 'p1', name: 'Dave' }],
+        shares: {
+            East_1_16: { me: 40, p1: 60 },
+            West_1_16: { me: 70, p1: 50 },
+            South_1_16: { me: 150, p1: -50 },
+            Midwest_1_16: { me: 50, zz: 50 }
+        }
+    })`);
+
+    assert.deepStrictEqual(Object.keys(result.state.shares), ['East_1_16']);
+    assert.strictEqual(result.warnings.length, 3);
+    assert.match(result.warnings[0], /West_1_16: shares total 120%; they must total 100%, skipped/);
+    assert.match(result.warnings[2], /Midwest_1_16: unknown partner "zz"/);
+});
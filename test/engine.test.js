@@ -0,0 +1,423 @@
+// Unit tests for the pricing engine, win model refit and the CLI
+//
+// Run from the repository root:
+//   node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const Engine = require('../docs/engine.js');
+const cli = require('../cli/calcutta.js');
+const config = require('../docs/data.json');
+
+const GAMES_CSV = path.join(__dirname, '..', 'data', 'processed', 'tournament_games_with_barthag.csv');
+const games = Engine.parseGames(fs.readFileSync(GAMES_CSV, 'utf8'));
+
+const model = config.fittedModel;
+const close = (actual, expected, tol = 1e-9) =>
+    assert.ok(Math.abs(actual - expected) < tol, `${actual} is not within ${tol} of ${expected}`);
+
+test('calcWinProb: equal ratings give the better-seed intercept', () => {
+    close(Engine.calcWinProb(0.8, 0.8, model), 1 / (1 + Math.exp(-model.intercept)));
+    close(Engine.calcWinProb(0.8, 0.8, { intercept: 0, coefficient: 1 }), 0.5);
+});
+
+test('calcWinProb: symmetric without an intercept', () => {
+    const m = { intercept: 0, coefficient: model.coefficient };
+    close(Engine.calcWinProb(0.95, 0.6, m) + Engine.calcWinProb(0.6, 0.95, m), 1);
+});
+
+test('gameWinProb: evaluates from the better seed and sums to one', () => {
+    const a = { seed: 1, barthag: 0.95 };
+    const b = { seed: 16, barthag: 0.4 };
+    close(Engine.gameWinProb(a, b, model), Engine.calcWinProb(0.95, 0.4, model));
+    close(Engine.gameWinProb(a, b, model) + Engine.gameWinProb(b, a, model), 1);
+
+    const c = { seed: 11, barthag: 0.88 };
+    const d = { seed: 11, barthag: 0.81 };
+    close(Engine.gameWinProb(c, d, model) + Engine.gameWinProb(d, c, model), 1);
+});
+
+test('teamWinProb: Barthag alone matches gameWinProb', () => {
+    const env = Engine.createEnv(config);
+    const a = { seed: 4, barthag: 0.91, wab: 5 };
+    const b = { seed: 5, barthag: 0.93, wab: 2 };
+    close(Engine.teamWinProb(env, a, b), Engine.gameWinProb(a, b, model));
+});
+
+test('teamWinProb: blends sources and skips ones a team lacks', () => {
+    const env = Engine.createEnv(config, { ratingWeights: { barthag: 1, wab: 1 } });
+    const a = { seed: 4, barthag: 0.91, wab: 5 };
+    const b = { seed: 5, barthag: 0.93, wab: 2 };
+    const wab = config.ratingSources.wab;
+    const barthagEta = model.intercept + model.coefficient * (Engine.barthagToLogOdds(0.91) - Engine.barthagToLogOdds(0.93));
+    const wabEta = wab.intercept + wab.coefficient * (5 - 2);
+    close(Engine.blendLogOdds(env, a, b), (barthagEta + wabEta) / 2);
+
+    const noWab = { seed: 5, barthag: 0.93 };
+    close(Engine.teamWinProb(env, a, noWab), Engine.gameWinProb(a, noWab, model));
+});
+
+test('computeBracket: a rating blend reprices but still pays out 100%', () => {
+    const base = Engine.createEnv(config);
+    const blend = Engine.createEnv(config, { ratingWeights: { barthag: 1, efficiency: 1, wab: 1 } });
+    const total = env => {
+        const bracket = Engine.computeBracket(env);
+        return Engine.getAllItemKeys(config).reduce((sum, key) => sum + Engine.getItemEV(env, bracket, key), 0);
+    };
+    close(total(blend), 100, 1e-6);
+    assert.notStrictEqual(
+        Engine.getItemEV(blend, Engine.computeBracket(blend), 'East_1_16'),
+        Engine.getItemEV(base, Engine.computeBracket(base), 'East_1_16'));
+});
+
+test('getSourceEVs: only seed lines a source rates', () => {
+    const evs = Engine.getSourceEVs(Engine.createEnv(config, { teamRatings: { vegas: { Duke: 20 } } }));
+    assert.ok(evs.barthag.East[9] !== undefined);
+    assert.strictEqual(evs.wab.East[9], undefined);
+    assert.deepStrictEqual(Object.keys(evs.vegas.East), ['1']);
+    assert.strictEqual(evs.kenpom, undefined);
+});
+
+test('computeBracket: each round has the right number of winners', () => {
+    const { probs } = Engine.computeBracket(Engine.createEnv(config));
+    Engine.ROUNDS.forEach((round, r) => {
+        let total = 0;
+        config.regions.forEach(region => {
+            Object.values(probs[region]).forEach(p => { total += p[round]; });
+        });
+        close(total, 32 >> r, 1e-9);
+    });
+});
+
+test('computeBracket: played games are forced to their winner', () => {
+    const env = Engine.createEnv(config, { results: { East_16: 1 } });
+    const { probs } = Engine.computeBracket(env);
+    assert.strictEqual(probs.East[16].R64, 1);
+    assert.strictEqual(probs.East[1].R64, 0);
+    assert.strictEqual(probs.East[1].CHAMP, 0);
+});
+
+test('computeBracket: a decided play-in keeps only its winner', () => {
+    const winner = config.bracket2025.South[11].playIn[0].team;
+    const env = Engine.createEnv(config, { playInWinners: { South_11: winner } });
+    const { teams } = Engine.computeBracket(env);
+    assert.strictEqual(teams.South[11].length, 1);
+    assert.strictEqual(teams.South[11][0].team, winner);
+    assert.strictEqual(Engine.getTeamName(env, 'South', 11), winner);
+});
+
+test('getTeamPath: opponents account for every win', () => {
+    const env = Engine.createEnv(config);
+    const bracket = Engine.computeBracket(env);
+    const path = Engine.getTeamPath(env, bracket, 'East', 8, 64);
+    assert.strictEqual(path.length, Engine.ROUNDS.length);
+    assert.deepStrictEqual(path[0].opponents.map(o => [o.seed, o.meet]), [[Engine.getR64Opponent(8), 1]]);
+    path.forEach((step, r) => {
+        close(step.wins, bracket.probs.East[8][Engine.ROUNDS[r]]);
+        close(step.opponents.reduce((sum, o) => sum + o.meet * o.win, 0), step.wins);
+    });
+    assert.strictEqual(path[5].opponents.length, 32);
+});
+
+test('ratingOverrides: a weaker 1-seed lifts its region', () => {
+    const duke = config.bracket2025.East[1].team;
+    const base = Engine.createEnv(config);
+    const hurt = Engine.createEnv(config, { ratingOverrides: { [duke]: { points: -5 } } });
+    const [before, after] = [base, hurt].map(env => {
+        const bracket = Engine.computeBracket(env);
+        return key => Engine.getItemEV(env, bracket, key);
+    });
+
+    assert.ok(after('East_1_16') < before('East_1_16'));
+    assert.ok(after('East_8_9') > before('East_8_9'));
+    assert.ok(after('East_4_13') > before('East_4_13'));
+    const total = Engine.getAllItemKeys(config).reduce((sum, key) => sum + after(key), 0);
+    close(total, 100, 1e-6);
+});
+
+test('ratingOverrides: a Barthag override matches editing the field', () => {
+    const bracket2025 = JSON.parse(JSON.stringify(config.bracket2025));
+    bracket2025.East[1].barthag = 0.93;
+    const edited = Engine.computeBracket(Engine.createEnv(config, { bracket: bracket2025 }));
+    const override = Engine.computeBracket(Engine.createEnv(config, {
+        ratingOverrides: { [config.bracket2025.East[1].team]: { barthag: 0.93 } }
+    }));
+    Engine.ROUNDS.forEach(round => close(override.probs.East[1][round], edited.probs.East[1][round], 1e-12));
+});
+
+test('getItemEV: item EVs sum to the whole payout', () => {
+    const env = Engine.createEnv(config);
+    const bracket = Engine.computeBracket(env);
+    const total = Engine.getAllItemKeys(config).reduce((sum, key) => sum + Engine.getItemEV(env, bracket, key), 0);
+    close(total, Engine.getPayoutTotal(env), 1e-6);
+    close(Engine.getPayoutTotal(env), 100, 1e-6);
+});
+
+test('getNetPot: percent then flat rake, never negative', () => {
+    const env = Engine.createEnv(config, { payouts: { rounds: {}, rake: { percent: 10, flat: 500 } } });
+    assert.strictEqual(Engine.getNetPot(env, 20000), 17500);
+    assert.strictEqual(Engine.getNetPot(env, 100), 0);
+    assert.strictEqual(Engine.evToDollars(env, 10, 20000), 1750);
+});
+
+test('getBreakEvenPrice: the price pays for itself', () => {
+    const env = Engine.createEnv(config, {
+        payouts: { rounds: config.payouts.rounds, rake: { percent: 5, flat: 200 } }
+    });
+    const price = Engine.getBreakEvenPrice(env, 8.5, 18000);
+    close(price, 0.085 * Engine.getNetPot(env, 18000 + price), 1e-6);
+});
+
+test('getBidTargets: max is 20% over target', () => {
+    const env = Engine.createEnv(config, { payouts: Engine.DEFAULT_PAYOUTS });
+    const { target, max } = Engine.getBidTargets(env, 5, 20000);
+    close(target, 1000);
+    close(max, 1200);
+});
+
+test('projectPot: a finished auction projects its own total', () => {
+    const potModel = Engine.fitPotModel(config, config.pastAuctions || []);
+    const sales = Engine.getAllItemKeys(config).map((key, i) => ({ key, price: 100 + i }));
+    const total = sales.reduce((sum, s) => sum + s.price, 0);
+    assert.deepStrictEqual(Engine.projectPot(config, potModel, sales), { low: total, mid: total, high: total });
+});
+
+test('projectPot: the interval brackets the expected pot', () => {
+    const potModel = Engine.fitPotModel(config, config.pastAuctions || []);
+    const est = Engine.projectPot(config, potModel, [{ key: 'East_1_16', price: 2100 }]);
+    assert.ok(est.low < est.mid && est.mid < est.high);
+    assert.ok(est.low > 2100);
+});
+
+test('fitMarketModel: learns one effect per matchup from past sales', () => {
+    const env = Engine.createEnv(config);
+    const market = Engine.fitMarketModel(env, config.pastAuctions, { 2025: config.bracket2025 });
+    assert.strictEqual(Object.keys(market.effects).length, 8);
+    assert.strictEqual(market.nSales, 32);
+    assert.ok([market.rating, market.drift, market.sigma].every(Number.isFinite));
+    assert.ok(market.sigma > 0);
+    assert.strictEqual(Engine.fitMarketModel(env, []), null);
+});
+
+test('predictMarketPrice: scales with the pot', () => {
+    const env = Engine.createEnv(config);
+    const market = Engine.fitMarketModel(env, config.pastAuctions, { 2025: config.bracket2025 });
+    const small = Engine.predictMarketPrice(env, market, '1_16', 15, 0.5, 10000);
+    const large = Engine.predictMarketPrice(env, market, '1_16', 15, 0.5, 20000);
+    close(large.mid, 2 * small.mid, 1e-6);
+    assert.ok(small.low < small.mid && small.mid < small.high);
+});
+
+test('buildMarketBoard: ranks only unsold items by value gap', () => {
+    const env = Engine.createEnv(config);
+    const market = Engine.fitMarketModel(env, config.pastAuctions, { 2025: config.bracket2025 });
+    const potModel = Engine.fitPotModel(config, config.pastAuctions);
+    const bracket = Engine.computeBracket(env);
+    const sales = [{ key: 'East_1_16', price: 2100 }, { key: 'West_8_9', price: 400 }];
+    const board = Engine.buildMarketBoard(env, bracket, market, potModel, sales, 'South_5_12');
+
+    assert.strictEqual(board.length, 30);
+    assert.ok(!board.some(row => row.key === 'East_1_16' || row.key === 'West_8_9'));
+    board.slice(1).forEach((row, i) => assert.ok(board[i].gap >= row.gap));
+    board.forEach(row => close(row.gap, row.evDollars - row.price.mid, 1e-6));
+});
+
+test('planPurchases: stays in budget and only plans items worth their price', () => {
+    const env = Engine.createEnv(config);
+    const market = Engine.fitMarketModel(env, config.pastAuctions, { 2025: config.bracket2025 });
+    const potModel = Engine.fitPotModel(config, config.pastAuctions);
+    const bracket = Engine.computeBracket(env);
+    const board = Engine.buildMarketBoard(env, bracket, market, potModel, []);
+
+    ['cautious', 'balanced', 'aggressive'].forEach(risk => {
+        const plan = Engine.planPurchases(env, bracket, board, 5000, { risk });
+        assert.ok(plan.spend <= 5000);
+        plan.rows.filter(r => r.inPlan).forEach(r => {
+            assert.ok(r.value > r.price.mid);
+            assert.ok(r.ceiling >= Math.floor(r.price.mid));
+        });
+        plan.rows.filter(r => !r.inPlan).forEach(r => assert.ok(r.reason));
+    });
+
+    const cautious = Engine.planPurchases(env, bracket, board, 5000, { risk: 'cautious' });
+    const aggressive = Engine.planPurchases(env, bracket, board, 5000, { risk: 'aggressive' });
+    aggressive.rows.forEach((r, i) => {
+        close(r.value, r.evDollars, 1e-9);
+        assert.ok(cautious.rows[i].value <= r.value);
+    });
+    assert.strictEqual(Engine.planPurchases(env, bracket, board, 0).spend, 0);
+});
+
+test('getItemPayoutSD: zero once an item is settled', () => {
+    // 8 beats 9, then loses to 1: the 8/9 item has banked its one win
+    const env = Engine.createEnv(config, { results: { East_1: 2, East_8: 1 } });
+    const bracket = Engine.computeBracket(env);
+    assert.ok(Engine.getItemPayoutSD(env, bracket, 'East_1_16') > 0);
+    close(Engine.getItemPayoutSD(env, bracket, 'East_8_9'), 0, 1e-9);
+});
+
+test('getMatchupHistory: a year pays both seed lines averaged over the regions', () => {
+    const env = Engine.createEnv({ ...config, seedWinsByYear: { 2000: { 1: [6, 4, 0, 0], 16: [1, 0, 0, 0] } } });
+    const history = Engine.getMatchupHistory(env, '1_16');
+    assert.strictEqual(history.years.length, 1);
+    close(history.years[0].payout, (Engine.payoutForWins(env, 6) + Engine.payoutForWins(env, 4)) / 4);
+    close(Engine.payoutForWins(env, 6), 40);
+    close(history.median, history.mean);
+    assert.strictEqual(Engine.getMatchupHistory(env, '8_9').years.length, 0);
+});
+
+test('findTeamAnalogs: closest same-seed teams, unknown results counted evenly', () => {
+    const env = Engine.createEnv({ ...config, seedWinsByYear: { 2000: { 1: [2, 2, 2, 2], 16: [0, 0, 0, 0] }, 2001: { 1: [6, 0, 0, 0], 16: [1, 0, 0, 0] } } });
+    const game = (year, teamA, barthagA) => ({ year, teamA, seedA: 1, barthagA, teamB: `${teamA} opp`, seedB: 16, barthagB: 0.5 });
+    const teams = Engine.getHistoricalTeams(env, [game(2000, 'A', 0.95), game(2001, 'B', 0.90), game(2001, 'C', 0.97)]);
+    assert.strictEqual(teams.find(t => t.team === 'A').wins, 2);
+    assert.strictEqual(teams.find(t => t.team === 'B').wins, null);
+
+    const { analogs, reached } = Engine.findTeamAnalogs(teams, 1, 0.96, 2);
+    assert.deepStrictEqual(analogs.map(t => t.team).sort(), ['A', 'C']);
+    close(reached.R32, (1 + 0.25) / 2);
+    close(reached.CHAMP, 0.25 / 2);
+});
+
+test('resolveLot: the top limit pays one increment over the next', () => {
+    assert.deepStrictEqual(Engine.resolveLot([100, 300, 200], 250, 5), { winner: 1, price: 255 });
+    assert.deepStrictEqual(Engine.resolveLot([100, 300, 200], 400, 5), { winner: 'me', price: 305 });
+    assert.deepStrictEqual(Engine.resolveLot([100, 300], 300, 5), { winner: 1, price: 300 });
+    assert.deepStrictEqual(Engine.resolveLot([2, 0], 50, 5), { winner: 'me', price: 5 });
+    assert.deepStrictEqual(Engine.resolveLot([0, 0], 0, 5), { winner: null, price: 0 });
+});
+
+test('runPracticeAuction: bots clear at the market price, I stay in budget', () => {
+    const env = Engine.createEnv(config);
+    const market = Engine.fitMarketModel(env, config.pastAuctions, { 2025: config.bracket2025 });
+    const bracket = Engine.computeBracket(env);
+    const evs = Object.fromEntries(Engine.getAllItemKeys(config).map(key => [key, Engine.getItemEV(env, bracket, key)]));
+    let seed = 1;
+    const rng = () => (seed = seed * 16807 % 2147483647) / 2147483647;
+    const setup = { order: 'bracket', pot: 20000, budget: 2000 };
+
+    // Without me, the log price of an item centres on the model's
+    const logs = [];
+    for (let i = 0; i < 400; i++) {
+        const auction = Engine.runPracticeAuction(env, market, evs, setup, () => 0, rng);
+        assert.strictEqual(auction.sales.length, 32);
+        logs.push(Math.log(auction.sales[0].price));
+    }
+    const price = Engine.predictMarketPrice(env, market, '8_9', evs.East_8_9, 0, setup.pot);
+    close(Engine.mean(logs), Math.log(Math.sqrt(price.low * price.high)), 0.05);
+
+    const greedy = Engine.runPracticeAuction(env, market, evs, { ...setup, order: 'random' }, () => 5000, rng);
+    const score = Engine.scorePracticeAuction(env, greedy);
+    assert.ok(score.items > 0 && score.spent <= 2000);
+    assert.strictEqual(score.spent, greedy.spent);
+    assert.strictEqual(score.pot, greedy.sales.reduce((sum, s) => sum + s.price, 0));
+});
+
+test('settleBalances: transfers clear every balance', () => {
+    const balances = { me: 600, dave: -450, ann: 125, bob: -275 };
+    const transfers = Engine.settleBalances(balances);
+    assert.ok(transfers.length <= Object.keys(balances).length - 1);
+
+    const left = { ...balances };
+    transfers.forEach(t => {
+        assert.ok(t.amount > 0);
+        left[t.from] += t.amount;
+        left[t.to] -= t.amount;
+    });
+    Object.values(left).forEach(v => close(v, 0, 1e-9));
+    assert.deepStrictEqual(transfers[0], { from: 'dave', to: 'me', amount: 450 });
+    assert.deepStrictEqual(Engine.settleBalances({ me: 0, dave: 0.001 }), []);
+});
+
+test('evaluateMatchup: follows the R evaluator adjustment', () => {
+    const env = Engine.createEnv(config);
+    const seed1 = config.seedBarthag[1];
+    const r = Engine.evaluateMatchup(env, {
+        matchup: '1/16', highBarthag: seed1.mean, lowBarthag: config.seedBarthag[16].mean, grossPot: 2000
+    });
+    close(r.adjustment, 1);
+    close(r.adjustedEV, Engine.getBaseEV(env, '1_16'));
+
+    const strong = Engine.evaluateMatchup(env, { matchup: '1/16', highBarthag: 0.999, lowBarthag: 0.9, grossPot: 2000 });
+    close(strong.adjustment, 1.3);
+    close(strong.targetLow, strong.evDollars * 0.65);
+    assert.throws(() => Engine.evaluateMatchup(env, { matchup: '3/15', highBarthag: 0.9, lowBarthag: 0.5 }), /Invalid matchup/);
+});
+
+test('refitWinModel: reproduces the R fit on every game', () => {
+    const r = Engine.refitWinModel(games);
+    assert.strictEqual(r.nGames, 478);
+    assert.strictEqual(r.years, '2008-2023');
+    close(r.intercept, config.fittedModel.intercept, 5e-5);
+    close(r.coefficient, config.fittedModel.coefficient, 5e-5);
+    close(r.metrics.fitted.brierScore, 0.1648, 5e-5);
+    close(r.metrics.fitted.logLoss, 0.4936, 5e-5);
+    close(r.metrics.fitted.accuracy, 0.7636, 5e-5);
+    close(r.metrics.theoretical.brierScore, 0.1679, 5e-5);
+});
+
+test('refitWinModel: filters by year and round', () => {
+    const recent = Engine.refitWinModel(games, { fromYear: 2016, toYear: 2023 });
+    assert.strictEqual(recent.years, '2016-2023');
+    assert.strictEqual(recent.nGames, games.filter(g => g.year >= 2016).length);
+    assert.notStrictEqual(recent.coefficient, Engine.refitWinModel(games).coefficient);
+    assert.strictEqual(recent.calibration.reduce((sum, b) => sum + b.n, 0), recent.nGames);
+    assert.throws(() => Engine.refitWinModel(games, { rounds: ['E8'] }), /need at least two/);
+});
+
+test('parseGames: rejects files without the game columns', () => {
+    assert.throws(() => Engine.parseGames('year,team\n2020,Duke\n'), /missing/);
+});
+
+test('CLI: CSV sheet has one row per item matching the engine', () => {
+    const csv = cli.main(['sheet', '--pot', '20000', '--format', 'csv']).trim().split('\n');
+    assert.strictEqual(csv[0], 'region,matchup,high_team,low_team,base_ev_pct,ev_pct,target_bid,max_bid');
+    assert.strictEqual(csv.length, 1 + config.regions.length * config.matchups.length);
+
+    const sheet = Engine.buildBidSheet(Engine.createEnv(config), 20000);
+    const first = csv[1].split(',');
+    assert.strictEqual(first[0], sheet[0].region);
+    assert.strictEqual(Number(first[6]), Math.round(sheet[0].target));
+});
+
+test('CLI: JSON sheet applies rake and payout files', () => {
+    const payouts = path.join(__dirname, 'fixtures', 'payouts.json');
+    const out = JSON.parse(cli.main(['--pot', '10000', '--format', 'json', '--payouts', payouts, '--rake-flat', '1000']));
+    assert.strictEqual(out.netPot, 8000);
+    const total = out.items.reduce((sum, item) => sum + item.target, 0);
+    close(total, 8000, 1e-6);
+});
+
+test('CLI: a refit model file reprices the sheet', () => {
+    const fit = JSON.parse(cli.main(['fit', '--from', '2016', '--format', 'json']));
+    assert.strictEqual(fit.years, '2016-2023');
+
+    const file = path.join(os.tmpdir(), `calcutta-model-${process.pid}.json`);
+    fs.writeFileSync(file, JSON.stringify(fit));
+    try {
+        const base = JSON.parse(cli.main(['--pot', '20000', '--format', 'json']));
+        const refit = JSON.parse(cli.main(['--pot', '20000', '--format', 'json', '--model', file]));
+        assert.notStrictEqual(refit.items[0].target, base.items[0].target);
+        close(refit.items.reduce((sum, i) => sum + i.target, 0), base.items.reduce((sum, i) => sum + i.target, 0), 1e-6);
+    } finally {
+        fs.unlinkSync(file);
+    }
+});
+
+test('CLI: --weights reprices the sheet', () => {
+    const base = JSON.parse(cli.main(['--pot', '20000', '--format', 'json']));
+    const blend = JSON.parse(cli.main(['--pot', '20000', '--format', 'json', '--weights', 'barthag=1,wab=1']));
+    assert.notStrictEqual(blend.items[0].target, base.items[0].target);
+    assert.throws(() => cli.main(['--weights', 'elo=1']), /unknown source/);
+});
+
+test('CLI: bad input is rejected', () => {
+    assert.throws(() => cli.main(['sheet', '--format', 'xml']), /--format/);
+    assert.throws(() => cli.main(['sheet', '--pot', '-5']), /--pot/);
+    assert.throws(() => cli.main(['evaluate', '1/16', '1.5', '0.4']), /Barthag/);
+    assert.throws(() => cli.main(['bogus']), /Unknown command/);
+});
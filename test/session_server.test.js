@@ -0,0 +1,129 @@
+// Unit tests for the shared session server
+//
+// Run from the repository root:
+//   node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+
+const server = require('../server/session_server.js');
+
+// Stand-in response that records what the server streams
+function fakeStream() {
+    return {
+        headersSent: false,
+        chunks: [],
+        writeHead() { this.headersSent = true; },
+        write(chunk) { this.chunks.push(chunk); },
+        end() {}
+    };
+}
+
+// Start a server on a free port; resolve with its base URL
+async function listen(t) {
+    const http = server.createServer();
+    await new Promise(resolve => http.listen(0, '127.0.0.1', resolve));
+    t.after(() => http.close());
+    return `http://127.0.0.1:${http.address().port}`;
+}
+
+test('applyOps: the newest write per path wins', () => {
+    const session = server.createSession('T001', {});
+    server.applyOps(session, 'a', [{ path: 'prices/East_1', value: 500, ts: 10 }]);
+    const rejected = server.applyOps(session, 'b', [{ path: 'prices/East_1', value: 300, ts: 5 }]);
+
+    assert.strictEqual(session.values['prices/East_1'], 500);
+    assert.deepStrictEqual(rejected, [{ path: 'prices/East_1', value: 500 }]);
+
+    server.applyOps(session, 'b', [{ path: 'prices/East_1', value: 700, ts: 20 }]);
+    assert.strictEqual(session.values['prices/East_1'], 700);
+});
+
+test('applyOps: equal timestamps go to the larger client id', () => {
+    const session = server.createSession('T002', {});
+    server.applyOps(session, 'b', [{ path: 'owners/East_1', value: 'p1', ts: 10 }]);
+
+    assert.strictEqual(server.applyOps(session, 'a', [{ path: 'owners/East_1', value: 'p2', ts: 10 }]).length, 1);
+    assert.strictEqual(session.values['owners/East_1'], 'p1');
+
+    assert.deepStrictEqual(server.applyOps(session, 'c', [{ path: 'owners/East_1', value: 'p3', ts: 10 }]), []);
+    assert.strictEqual(session.values['owners/East_1'], 'p3');
+});
+
+test('applyOps: a losing write returns the current value, null when deleted', () => {
+    const session = server.createSession('T003', {});
+    server.applyOps(session, 'a', [{ path: 'prices/East_1', value: 500, ts: 10 }]);
+    server.applyOps(session, 'a', [{ path: 'prices/East_1', value: null, ts: 20 }]);
+
+    assert.ok(!('prices/East_1' in session.values));
+    assert.deepStrictEqual(server.applyOps(session, 'b', [{ path: 'prices/East_1', value: 100, ts: 15 }]),
+        [{ path: 'prices/East_1', value: null }]);
+});
+
+test('applyOps: malformed ops are rejected with an error, not dropped', () => {
+    const session = server.createSession('T004', {});
+    const rejected = server.applyOps(session, 'a', [
+        { path: 'secrets/x', value: 1, ts: 1 },
+        { path: 'prices/East_1', value: 1, ts: Infinity },
+        { path: 'prices/East_1', value: 1 }
+    ]);
+
+    assert.deepStrictEqual(rejected.map(r => r.error), ['Invalid path', 'Invalid timestamp', 'Invalid timestamp']);
+    assert.strictEqual(session.version, 0);
+});
+
+test('applyOps: keys may hold any printable team name', () => {
+    const session = server.createSession('T005', {});
+    const paths = ['ratingOverrides/Miami (FL)', 'playInWinners/East_16', 'ratingOverrides/UNC/Wilmington',
+        'ratingOverrides/Universidad Católica', 'participants/p-Texas A&M'];
+    const rejected = server.applyOps(session, 'a', paths.map((p, i) => ({ path: p, value: i + 1, ts: 1 })));
+
+    assert.deepStrictEqual(rejected, []);
+    assert.deepStrictEqual(Object.keys(session.values), paths);
+});
+
+test('openEventStream: replays recent ops, asks for a resync past the log', () => {
+    const session = server.createSession('T006', {});
+    server.applyOps(session, 'a', [1, 2, 3, 4].map(n => ({ path: `prices/East_${n}`, value: n, ts: n })));
+    session.log.splice(0, 2);  // as if the capped log had dropped versions 1 and 2
+
+    const open = since => {
+        const req = new EventEmitter();
+        req.headers = {};
+        const res = fakeStream();
+        server.openEventStream(req, res, session, new URL(`http://localhost/?since=${since}`));
+        req.emit('close');
+        return res.chunks.join('');
+    };
+
+    assert.match(open(1), /^event: resync/);
+    const replay = open(2);
+    assert.doesNotMatch(replay, /resync/);
+    assert.deepStrictEqual([...replay.matchAll(/^id: (\d+)$/gm)].map(m => m[1]), ['3', '4']);
+    assert.strictEqual(session.clients.size, 0);
+});
+
+test('PUT recreates a lost session under its code, then returns it unchanged', async t => {
+    const base = await listen(t);
+    const put = body => fetch(`${base}/api/sessions/zz99`, { method: 'PUT', body: JSON.stringify(body) });
+
+    const created = await put({ clientId: 'a', ts: 5, values: { 'prices/East_1': 400 } });
+    assert.strictEqual(created.status, 201);
+    assert.deepStrictEqual((await created.json()).values, { 'prices/East_1': 400 });
+
+    const again = await put({ clientId: 'b', ts: 9, values: { 'prices/East_1': 900 } });
+    assert.strictEqual(again.status, 200);
+    const snap = await again.json();
+    assert.strictEqual(snap.code, 'ZZ99');
+    assert.deepStrictEqual(snap.values, { 'prices/East_1': 400 });
+    assert.strictEqual(server.sessions.get('ZZ99').version, 1);
+});
+
+test('a malformed request gets a 400 and the server keeps serving', async t => {
+    const base = await listen(t);
+
+    assert.strictEqual((await fetch(`${base}/%E0%A4%A`)).status, 400);
+    assert.strictEqual((await fetch(`${base}/api/sessions`, { method: 'POST', body: '{' })).status, 400);
+    assert.strictEqual((await fetch(`${base}/index.html`)).status, 200);
+});